@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/**
+ * NextECG WebSocket Bridge
+ * Relays an ECG device (serial port) or a recorded capture to the monitor pages
+ * over WebSocket, for browsers without Web Serial. Device bytes are forwarded
+ * unchanged, so the page parses them exactly like a local serial port.
+ *
+ *   node ecg-bridge.js --serial /dev/ttyUSB0 [--baud 9600]
+ *   node ecg-bridge.js --file capture.csv [--rate 125] [--loop] [--binary]
+ *
+ *   --port 8765        WebSocket port
+ *   --host localhost   interface to listen on; 0.0.0.0 serves the whole LAN
+ *   --binary           replay data lines as CRC-checked binary frames (src/ecg/binaryFrame.js)
+ *
+ * In the page pick "WebSocket bridge" and enter ws://<host>:<port>.
+ */
+import { readFile } from 'node:fs/promises'
+import { parseArgs } from 'node:util'
+import { WebSocketServer, WebSocket } from 'ws'
+import { parseLine } from '../src/ecg/protocol.js'
+import { encodeBinaryFrame } from '../src/ecg/binaryFrame.js'
+
+const REOPEN_MS = 2000
+const TICK_MS = 40
+
+const { values: args } = parseArgs({
+  options: {
+    serial: { type: 'string' },
+    baud: { type: 'string', default: '9600' },
+    file: { type: 'string' },
+    rate: { type: 'string', default: '125' },
+    loop: { type: 'boolean', default: false },
+    binary: { type: 'boolean', default: false },
+    port: { type: 'string', default: '8765' },
+    host: { type: 'string', default: 'localhost' }
+  }
+})
+
+if (!args.serial === !args.file) {
+  console.error('Usage: node ecg-bridge.js (--serial <path> [--baud 9600] | --file <capture> [--rate 125] [--loop] [--binary]) [--port 8765] [--host localhost]')
+  process.exit(1)
+}
+
+// The #META header is sent once at device start; late clients get the last one on connect
+let metaLine = null
+
+const wss = new WebSocketServer({ host: args.host, port: parseInt(args.port) })
+wss.on('listening', () => console.log(`ECG bridge on ws://${args.host}:${args.port}`))
+wss.on('connection', (socket, req) => {
+  console.log(`Client ${req.socket.remoteAddress} connected (${wss.clients.size} open)`)
+  if (metaLine) socket.send(Buffer.from(metaLine + '\n'))
+  socket.on('close', () => console.log(`Client ${req.socket.remoteAddress} left (${wss.clients.size} open)`))
+})
+
+function broadcast(bytes) {
+  for (const client of wss.clients) {
+    if (client.readyState === WebSocket.OPEN) client.send(bytes)
+  }
+}
+
+function rememberMeta(chunk) {
+  const match = /#META[^\r\n]*/.exec(chunk.toString('latin1'))
+  if (match) metaLine = match[0]
+}
+
+// Serial device: forward every chunk, reopen if the device goes away
+async function relaySerial(path, baudRate) {
+  const { SerialPort } = await import('serialport')
+  const open = () => {
+    const port = new SerialPort({ path, baudRate, autoOpen: false })
+    port.on('data', chunk => { rememberMeta(chunk); broadcast(chunk) })
+    port.on('close', () => {
+      console.warn(`${path} closed, reopening in ${REOPEN_MS / 1000}s`)
+      setTimeout(open, REOPEN_MS)
+    })
+    port.open(err => {
+      if (!err) { console.log(`Reading ${path} at ${baudRate} baud`); return }
+      console.warn(`Cannot open ${path}: ${err.message}; retrying in ${REOPEN_MS / 1000}s`)
+      setTimeout(open, REOPEN_MS)
+    })
+  }
+  open()
+}
+
+// Recorded capture: pace lines at the sample rate like a live device
+async function relayFile(file, sampleRate, loop, binary) {
+  const lines = (await readFile(file, 'utf8')).split(/\r?\n/).filter(l => l.trim())
+  if (lines.length === 0) throw new Error(`${file} is empty`)
+  console.log(`Replaying ${lines.length} lines from ${file} at ${sampleRate} Hz${binary ? ' as binary frames' : ''}`)
+  const startTime = performance.now()
+  let emitted = 0
+  let seq = 0
+  let units = 'mv' // ADC counts go out as wide frames
+  const timer = setInterval(() => {
+    const due = Math.floor((performance.now() - startTime) * sampleRate / 1000) - emitted
+    const chunks = []
+    for (let i = 0; i < due; i++) {
+      if (emitted >= lines.length && !loop) {
+        clearInterval(timer)
+        console.log('Replay finished')
+        break
+      }
+      const line = lines[emitted % lines.length]
+      const record = parseLine(line)
+      if (record.type === 'meta') {
+        metaLine = line
+        if (record.meta.units) units = record.meta.units
+      }
+      chunks.push(binary && record.type === 'data' ? encodeBinaryFrame(seq++, record.values, units) : Buffer.from(line + '\n'))
+      emitted++
+    }
+    if (chunks.length) broadcast(Buffer.concat(chunks))
+  }, TICK_MS)
+}
+
+if (args.serial) {
+  relaySerial(args.serial, parseInt(args.baud)).catch(err => {
+    console.error(err.code === 'ERR_MODULE_NOT_FOUND' ? 'Serial mode needs the serialport package: npm install (in bridge/)' : err.message)
+    process.exit(1)
+  })
+} else {
+  relayFile(args.file, parseInt(args.rate), args.loop, args.binary).catch(err => {
+    console.error(err.message)
+    process.exit(1)
+  })
+}
@@ -0,0 +1,58 @@
+import React, { useState } from 'react'
+import { TEST_SIGNAL_MV, CALIBRATION_SECONDS } from './amplitude'
+import { dialogStyles as styles } from './dialogStyles'
+
+// Device units the amplitude is measured in
+const UNIT_LABELS = { norm: 'filtered ADC counts', adc: 'ADC counts', mv: 'mV as sent' }
+
+/**
+ * Amplitude Calibration Dialog
+ * Records a known test signal for CALIBRATION_SECONDS and shows the measured
+ * millivolts per device unit for each input before they are saved as the
+ * device's profile (amplitude.js).
+ * result: null before a run, 'running' while the worker records, then its
+ * { mvPerUnit, amplitudes, units, referenceMv } or { error }.
+ */
+export default function AmplitudeCalibrationDialog({ result, deviceLabel, onStart, onSave, onCancel }) {
+  const [referenceMv, setReferenceMv] = useState(TEST_SIGNAL_MV)
+  const running = result === 'running'
+  const measured = result && result !== 'running' && !result.error ? result : null
+
+  return (
+    <div style={styles.overlay} onClick={onCancel}>
+      <div style={{ ...styles.dialog, width: 380 }} onClick={e => e.stopPropagation()}>
+        <h3 style={styles.title}>Amplitude calibration</h3>
+
+        <div style={{ ...styles.hint, color: '#374151' }}>
+          Connect a {referenceMv} mV peak-to-peak test signal (10 Hz sine or square, from an ECG simulator or calibrator) to the LA and LL leads, with RA on the signal's reference. Keep the electrodes off the body.
+        </div>
+
+        <label style={styles.row}>
+          <span>Test signal (mV p-p)</span>
+          <input
+            type="number" style={styles.input} min={0.1} max={10} step={0.1} value={referenceMv} disabled={running || Boolean(measured)}
+            onChange={e => setReferenceMv(Math.max(0.1, Math.min(10, parseFloat(e.target.value) || TEST_SIGNAL_MV)))}
+          />
+        </label>
+
+        {running && <div style={styles.hint}>Recording the test signal for {CALIBRATION_SECONDS} s…</div>}
+        {result && result.error && <div style={{ ...styles.hint, color: '#dc2626' }}>{result.error}</div>}
+        {measured && (
+          <div style={{ ...styles.hint, color: '#374151' }}>
+            {measured.mvPerUnit.map((scale, i) => (
+              <div key={i}>Lead {i === 0 ? 'I' : 'II'} input: {measured.amplitudes[i].toPrecision(4)} {UNIT_LABELS[measured.units] || measured.units} → {scale.toPrecision(4)} mV per unit</div>
+            ))}
+            <div>The profile is kept for {deviceLabel}.</div>
+          </div>
+        )}
+
+        <div style={styles.actions}>
+          <button style={styles.secondary} onClick={onCancel}>{measured ? 'Close' : 'Cancel'}</button>
+          {measured
+            ? <button style={styles.primary} onClick={() => onSave({ mvPerUnit: measured.mvPerUnit, units: measured.units, referenceMv: measured.referenceMv, date: Date.now() })}>Save and use</button>
+            : <button style={{ ...styles.primary, opacity: running ? 0.5 : 1 }} disabled={running} onClick={() => onStart(referenceMv)}>Start</button>}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,135 @@
+import React, { useState } from 'react'
+import {
+  PROFILE_LEADS, loadDeviceProfiles, saveDeviceProfile, deleteDeviceProfile,
+  exportDeviceProfiles, parseDeviceProfiles, validateProfile
+} from './deviceProfiles'
+import { dialogStyles as styles } from './dialogStyles'
+
+// Draft fields as typed; leads are edited as "I, II"
+function toDraft(profile) {
+  return { ...profile, leads: profile.leads.join(', ') }
+}
+
+function fromDraft(draft) {
+  return { ...draft, leads: draft.leads.split(/[,;\s]+/).filter(Boolean) }
+}
+
+function download(text, name) {
+  const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }))
+  const a = document.createElement('a'); a.href = url; a.download = name; a.click()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+/**
+ * Device Profiles Dialog
+ * Edit, import and export the device profiles (deviceProfiles.js). Built-in
+ * profiles are saved as a copy; onClose(id) returns the profile to connect with.
+ */
+export default function DeviceProfileDialog({ profileId, onClose }) {
+  const [profiles, setProfiles] = useState(loadDeviceProfiles)
+  const [selectedId, setSelectedId] = useState(profileId)
+  const [draft, setDraft] = useState(() => toDraft(profiles.find(p => p.id === profileId) || profiles[0]))
+  const [message, setMessage] = useState(null) // { text, error }
+  const update = (key, value) => setDraft(prev => ({ ...prev, [key]: value }))
+
+  function select(id) {
+    setSelectedId(id)
+    setDraft(toDraft(profiles.find(p => p.id === id)))
+    setMessage(null)
+  }
+
+  function reload(id) {
+    const next = loadDeviceProfiles()
+    setProfiles(next)
+    setSelectedId(id)
+    setDraft(toDraft(next.find(p => p.id === id) || next[0]))
+  }
+
+  function save() {
+    try {
+      const saved = saveDeviceProfile(fromDraft(draft))
+      reload(saved.id)
+      setMessage({ text: draft.builtIn ? `Saved as a copy: ${saved.name}` : `Saved ${saved.name}` })
+    } catch (e) {
+      setMessage({ text: e.message, error: true })
+    }
+  }
+
+  function remove() {
+    deleteDeviceProfile(draft.id)
+    reload(profiles[0].id)
+    setMessage({ text: `Deleted ${draft.name}` })
+  }
+
+  function exportDraft() {
+    try {
+      const profile = validateProfile(fromDraft(draft))
+      download(exportDeviceProfiles([profile]), `${profile.name.replace(/[^\w.-]+/g, '_')}.json`)
+    } catch (e) {
+      setMessage({ text: e.message, error: true })
+    }
+  }
+
+  async function importFile(file) {
+    if (!file) return
+    try {
+      const saved = parseDeviceProfiles(await file.text()).map(saveDeviceProfile)
+      reload(saved[0].id)
+      setMessage({ text: `Imported ${saved.map(p => p.name).join(', ')}` })
+    } catch (e) {
+      console.warn('Could not import device profiles', e)
+      setMessage({ text: `${file.name}: ${e.message}`, error: true })
+    }
+  }
+
+  const number = (key, min, max, step, parse = parseFloat) => (
+    <input type="number" style={styles.input} min={min} max={max} step={step} value={Number.isFinite(draft[key]) ? draft[key] : ''} onChange={e => update(key, parse(e.target.value))} />
+  )
+
+  return (
+    <div style={styles.overlay} onClick={() => onClose(selectedId)}>
+      <div style={{ ...styles.dialog, width: 400 }} onClick={e => e.stopPropagation()}>
+        <h3 style={styles.title}>Device profiles</h3>
+
+        <label style={styles.row}>
+          <span>Profile</span>
+          <select style={styles.input} value={selectedId} onChange={e => select(e.target.value)}>
+            {profiles.map(p => <option key={p.id} value={p.id}>{p.name}{p.builtIn ? ' (built-in)' : ''}</option>)}
+          </select>
+        </label>
+
+        <label style={styles.row}><span>Name</span><input style={styles.input} value={draft.name} onChange={e => update('name', e.target.value)} /></label>
+        <label style={styles.row} title={`Lead carried by each column, in the order the device sends them: ${PROFILE_LEADS.join(', ')}`}>
+          <span>Leads (column order)</span>
+          <input style={styles.input} value={draft.leads} onChange={e => update('leads', e.target.value)} />
+        </label>
+        <label style={styles.row}><span>ADC bits</span>{number('adcBits', 8, 32, 1, v => parseInt(v))}</label>
+        <label style={styles.row}><span>Reference (V)</span>{number('vref', 0.1, 10, 0.01)}</label>
+        <label style={styles.row}><span>Front-end gain (×)</span>{number('gain', 0.1, 100000, 1)}</label>
+        <label style={styles.row}>
+          <span>Signed (bipolar) counts</span>
+          <input type="checkbox" checked={draft.bipolar} onChange={e => update('bipolar', e.target.checked)} />
+        </label>
+        <label style={styles.row}><span>Sample rate (Hz)</span>{number('sampleRate', 20, 10000, 1)}</label>
+        <label style={styles.row}><span>Baud rate</span>{number('baudRate', 300, 4000000, 1, v => parseInt(v))}</label>
+
+        <div style={{ ...styles.hint, color: message && message.error ? '#dc2626' : styles.hint.color }}>
+          {message ? message.text : 'Leads: any two of I, II and III (the others are derived), or all six limb leads; "skip" ignores a column. The ADC settings apply when the device sends raw counts; a header from the device overrides the sample rate.'}
+        </div>
+
+        <div style={{ ...styles.actions, justifyContent: 'space-between', marginBottom: 10 }}>
+          <label style={{ ...styles.secondary, display: 'inline-block' }}>
+            Import…
+            <input type="file" accept=".json,application/json" style={{ display: 'none' }} onChange={e => { importFile(e.target.files[0]); e.target.value = '' }} />
+          </label>
+          <button style={styles.secondary} onClick={exportDraft}>Export</button>
+          <button style={{ ...styles.secondary, opacity: draft.builtIn ? 0.5 : 1 }} disabled={draft.builtIn} onClick={remove}>Delete</button>
+        </div>
+        <div style={styles.actions}>
+          <button style={styles.secondary} onClick={() => onClose(selectedId)}>Close</button>
+          <button style={styles.primary} onClick={save}>{draft.builtIn ? 'Save as copy' : 'Save'}</button>
+        </div>
+      </div>
+    </div>
+  )
+}
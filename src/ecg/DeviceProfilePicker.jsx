@@ -0,0 +1,30 @@
+import React, { useState } from 'react'
+import DeviceProfileDialog from './DeviceProfileDialog'
+import { loadDeviceProfiles, describeDeviceProfile } from './deviceProfiles'
+
+/**
+ * Device Profile Picker
+ * Board selector shown next to the source picker; the profile is applied
+ * when the page connects. onProfileChange(id) also follows the dialog.
+ */
+export default function DeviceProfilePicker({ profileId, onProfileChange, disabled = false, style, selectStyle, buttonStyle, buttonClassName }) {
+  const [profiles, setProfiles] = useState(loadDeviceProfiles)
+  const [editing, setEditing] = useState(false)
+  const profile = profiles.find(p => p.id === profileId) || profiles[0]
+
+  function close(id) {
+    setEditing(false)
+    setProfiles(loadDeviceProfiles())
+    onProfileChange(id)
+  }
+
+  return (
+    <span style={{ display: 'inline-flex', alignItems: 'center', gap: 6, ...style }}>
+      <select value={profile.id} disabled={disabled} onChange={e => onProfileChange(e.target.value)} style={selectStyle} title={`Device profile: ${describeDeviceProfile(profile)}`}>
+        {profiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+      </select>
+      <button onClick={() => setEditing(true)} disabled={disabled} style={buttonStyle} className={buttonClassName} title="Edit, import or export device profiles">Profiles…</button>
+      {editing && <DeviceProfileDialog profileId={profile.id} onClose={close} />}
+    </span>
+  )
+}
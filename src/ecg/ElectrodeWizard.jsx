@@ -0,0 +1,88 @@
+import React, { useState } from 'react'
+import { ELECTRODES, LEAD_OFF_REASONS } from './leadOff'
+import { dialogStyles } from './dialogStyles'
+
+// Limb leads each electrode feeds (I, II, III)
+const ELECTRODE_LEADS = { RA: [0, 1], LA: [0, 2], LL: [1, 2] }
+
+const STATUS = {
+  waiting: { color: '#6b7280', text: 'Waiting for signal…' },
+  ok: { color: '#16a34a', text: '✓ Looks attached' },
+  suspect: { color: '#dc2626', text: '⚠ Check this electrode' }
+}
+
+function electrodeStatus(electrodes, id) {
+  if (!electrodes) return { status: 'waiting', reasons: [] }
+  if (!electrodes.suspects.includes(id)) return { status: 'ok', reasons: [] }
+  const reasons = new Set()
+  for (const lead of ELECTRODE_LEADS[id]) {
+    const result = electrodes.leads[lead]
+    if (result && result.off) result.reasons.forEach(r => reasons.add(r))
+  }
+  return { status: 'suspect', reasons: [...reasons] }
+}
+
+/**
+ * Electrode Placement Wizard
+ * Walks through RA, LA and LL one at a time with the live lead-off result
+ * (leadOff.js assessElectrodes) for each, then a summary. The pages hold
+ * automatic capture until every electrode looks attached; onSkip records anyway.
+ */
+export default function ElectrodeWizard({ electrodes, onSkip, style }) {
+  const [step, setStep] = useState(0)
+  const summary = step === ELECTRODES.length
+  const electrode = ELECTRODES[step]
+
+  return (
+    <div style={{ ...dialogStyles.dialog, width: 'auto', maxWidth: 520, margin: '0 auto 12px', ...style }}>
+      <h3 style={dialogStyles.title}>Electrode check</h3>
+
+      <div style={{ display: 'flex', gap: 8, marginBottom: 12 }}>
+        {ELECTRODES.map((e, i) => {
+          const { status } = electrodeStatus(electrodes, e.id)
+          return (
+            <button key={e.id} onClick={() => setStep(i)} style={{
+              ...dialogStyles.secondary, padding: '4px 10px',
+              borderColor: STATUS[status].color, color: STATUS[status].color,
+              outline: i === step ? `2px solid ${STATUS[status].color}` : 'none'
+            }}>
+              {e.id}
+            </button>
+          )
+        })}
+        <button onClick={() => setStep(ELECTRODES.length)} style={{ ...dialogStyles.secondary, padding: '4px 10px', outline: summary ? '2px solid #374151' : 'none' }}>All</button>
+      </div>
+
+      {!summary && (() => {
+        const { status, reasons } = electrodeStatus(electrodes, electrode.id)
+        return (
+          <div>
+            <div style={{ fontWeight: 700, marginBottom: 4 }}>Step {step + 1} of {ELECTRODES.length}: {electrode.name} ({electrode.id})</div>
+            <div style={{ marginBottom: 8 }}>{electrode.placement} Press the electrode down firmly; clean, dry skin helps.</div>
+            <div style={{ color: STATUS[status].color, fontWeight: 600 }}>
+              {STATUS[status].text}{reasons.length ? ` — ${reasons.map(r => LEAD_OFF_REASONS[r]).join(', ')}` : ''}
+            </div>
+          </div>
+        )
+      })()}
+
+      {summary && (
+        <div>
+          {ELECTRODES.map(e => {
+            const { status } = electrodeStatus(electrodes, e.id)
+            return <div key={e.id} style={{ color: STATUS[status].color }}>{e.id} · {e.name}: {STATUS[status].text}</div>
+          })}
+          <div style={{ ...dialogStyles.hint, marginBottom: 0 }}>
+            {electrodes && electrodes.ok ? 'All electrodes look attached — capture starts automatically.' : 'Capture starts automatically once every electrode looks attached.'}
+          </div>
+        </div>
+      )}
+
+      <div style={{ ...dialogStyles.actions, marginTop: 16 }}>
+        <button style={dialogStyles.secondary} onClick={onSkip} title="Start capture without waiting for the electrode check">Record anyway</button>
+        <button style={dialogStyles.secondary} disabled={step === 0} onClick={() => setStep(step - 1)}>Back</button>
+        <button style={dialogStyles.primary} disabled={summary} onClick={() => setStep(step + 1)}>Next</button>
+      </div>
+    </div>
+  )
+}
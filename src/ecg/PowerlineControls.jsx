@@ -0,0 +1,32 @@
+import React from 'react'
+
+/**
+ * Powerline Controls
+ * Mains notch selector shared by the monitor pages: 50/60 Hz, harmonics and
+ * adaptive tracking. value/onChange use the spec from filterSettings.js.
+ */
+export default function PowerlineControls({ value, onChange, style, selectStyle }) {
+  const on = value.mains > 0
+  const set = change => onChange({ ...value, ...change })
+
+  return (
+    <span style={{ display: 'inline-flex', alignItems: 'center', gap: 8, ...style }} title="Remove mains (powerline) interference">
+      <label style={{ display: 'inline-flex', alignItems: 'center', gap: 4 }}>
+        <span>Notch</span>
+        <select value={String(value.mains)} style={selectStyle} onChange={e => set({ mains: e.target.value === 'off' ? 'off' : Number(e.target.value) })}>
+          <option value="off">Off</option>
+          <option value="50">50 Hz</option>
+          <option value="60">60 Hz</option>
+        </select>
+      </label>
+      <label style={{ display: 'inline-flex', alignItems: 'center', gap: 4 }} title="Also remove 2×, 3×… the mains frequency (up to Nyquist)">
+        <input type="checkbox" checked={value.harmonics} disabled={!on} onChange={e => set({ harmonics: e.target.checked })} />
+        <span>Harmonics</span>
+      </label>
+      <label style={{ display: 'inline-flex', alignItems: 'center', gap: 4 }} title="Track small drift in mains frequency (LMS canceller) instead of a fixed notch">
+        <input type="checkbox" checked={value.adaptive} disabled={!on} onChange={e => set({ adaptive: e.target.checked })} />
+        <span>Adaptive</span>
+      </label>
+    </span>
+  )
+}
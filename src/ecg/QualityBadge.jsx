@@ -0,0 +1,26 @@
+import React from 'react'
+import { describeQuality } from './signalQuality'
+
+const COLORS = {
+  good: { background: '#dcfce7', color: '#166534' },
+  fair: { background: '#fef3c7', color: '#92400e' },
+  poor: { background: '#fee2e2', color: '#991b1b' },
+  unknown: { background: '#e5e7eb', color: '#4b5563' }
+}
+
+/**
+ * Quality Badge
+ * Small pill for one signal quality result (signalQuality.js): level with
+ * the score and issues in its tooltip. label prefixes the level, e.g. a lead name.
+ */
+export default function QualityBadge({ quality, label, style }) {
+  const level = quality ? quality.level : 'unknown'
+  return (
+    <span
+      title={`Signal quality: ${describeQuality(quality)}`}
+      style={{ display: 'inline-block', padding: '1px 8px', borderRadius: 999, fontSize: 11, fontWeight: 600, whiteSpace: 'nowrap', ...COLORS[level], ...style }}
+    >
+      {label ? `${label}: ` : ''}{quality ? `${level} ${Math.round(quality.score * 100)}%` : '—'}
+    </span>
+  )
+}
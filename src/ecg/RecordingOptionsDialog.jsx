@@ -0,0 +1,80 @@
+import React, { useState } from 'react'
+import { loadRecording, RECORDING_ACCEPT } from './recordings'
+import { dialogStyles as styles } from './dialogStyles'
+
+const SPEEDS = [
+  { value: 1, label: '1× (real time)' },
+  { value: 2, label: '2×' },
+  { value: 5, label: '5×' },
+  { value: 10, label: '10×' },
+  { value: Infinity, label: 'Instant' }
+]
+
+/**
+ * Open Recording Dialog
+ * Pick a CSV, WFDB (.hea with its .dat) or EDF file, check how its channels
+ * map onto Lead I/II, and choose the replay speed.
+ */
+export default function RecordingOptionsDialog({ onConnect, onCancel }) {
+  const [recording, setRecording] = useState(null)
+  const [error, setError] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [speed, setSpeed] = useState(1)
+  const [loop, setLoop] = useState(false)
+
+  async function chooseFiles(files) {
+    setRecording(null)
+    setError(null)
+    if (!files || files.length === 0) return
+    setLoading(true)
+    try {
+      setRecording(await loadRecording(files))
+    } catch (e) {
+      console.warn('Could not read recording', e)
+      setError(e.message || String(e))
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div style={styles.overlay} onClick={onCancel}>
+      <div style={{ ...styles.dialog, width: 380 }} onClick={e => e.stopPropagation()}>
+        <h3 style={styles.title}>Open recording</h3>
+
+        <input type="file" multiple accept={RECORDING_ACCEPT} onChange={e => chooseFiles(e.target.files)} style={{ fontSize: 12, marginBottom: 12 }} />
+
+        {loading && <div style={styles.hint}>Reading…</div>}
+        {error && <div style={{ ...styles.hint, color: '#dc2626' }}>{error}</div>}
+        {recording && (
+          <div style={{ ...styles.hint, color: '#374151' }}>
+            <div><strong>{recording.name}</strong> · {recording.format}</div>
+            <div>{recording.sampleRate} Hz · {recording.duration.toFixed(1)} s</div>
+            <div>{recording.mapping}</div>
+          </div>
+        )}
+
+        <label style={styles.row}>
+          <span>Speed</span>
+          <select style={styles.input} value={String(speed)} onChange={e => setSpeed(Number(e.target.value))}>
+            {SPEEDS.map(s => <option key={s.label} value={String(s.value)}>{s.label}</option>)}
+          </select>
+        </label>
+
+        <label style={{ ...styles.row, justifyContent: 'flex-start', gap: 8 }}>
+          <input type="checkbox" checked={loop} onChange={e => setLoop(e.target.checked)} />
+          <span>Loop</span>
+        </label>
+
+        <div style={styles.hint}>
+          For WFDB select the .hea header together with its .dat file. Channels named I, II or III (or MLII) are mapped by name; the remaining leads are derived on the page.
+        </div>
+
+        <div style={styles.actions}>
+          <button style={styles.secondary} onClick={onCancel}>Cancel</button>
+          <button style={{ ...styles.primary, opacity: recording ? 1 : 0.5 }} disabled={!recording} onClick={() => onConnect({ recording, speed, loop })}>Play</button>
+        </div>
+      </div>
+    </div>
+  )
+}
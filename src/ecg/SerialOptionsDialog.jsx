@@ -0,0 +1,83 @@
+import React, { useState } from 'react'
+import { SERIAL_DEFAULTS, BAUD_RATES, loadSerialSettings } from './serialSettings'
+import { dialogStyles as styles } from './dialogStyles'
+
+/**
+ * Serial Connection Dialog
+ * Baud rate (or auto-detect), data bits, stop bits, parity and flow control.
+ * Starts from the last settings that connected successfully, at the device
+ * profile's baud rate (defaults.baudRate) when one is given.
+ */
+export default function SerialOptionsDialog({ onConnect, onCancel, defaults = {} }) {
+  const [settings, setSettings] = useState(() => {
+    const last = loadSerialSettings() || SERIAL_DEFAULTS
+    return defaults.baudRate ? { ...last, baudRate: defaults.baudRate } : last
+  })
+  const update = (key, value) => setSettings(prev => ({ ...prev, [key]: value }))
+
+  return (
+    <div style={styles.overlay} onClick={onCancel}>
+      <div style={styles.dialog} onClick={e => e.stopPropagation()}>
+        <h3 style={styles.title}>Serial connection</h3>
+
+        <label style={styles.row}>
+          <span>Baud rate</span>
+          <select style={styles.input} value={settings.autoBaud ? 'auto' : settings.baudRate} onChange={e => {
+            if (e.target.value === 'auto') update('autoBaud', true)
+            else setSettings(prev => ({ ...prev, autoBaud: false, baudRate: parseInt(e.target.value) }))
+          }}>
+            <option value="auto">Auto-detect</option>
+            {[...new Set([...BAUD_RATES, settings.baudRate])].sort((a, b) => a - b).map(b => <option key={b} value={b}>{b}</option>)}
+          </select>
+        </label>
+
+        <label style={styles.row}>
+          <span>Data bits</span>
+          <select style={styles.input} value={settings.dataBits} onChange={e => update('dataBits', parseInt(e.target.value))}>
+            <option value={8}>8</option>
+            <option value={7}>7</option>
+          </select>
+        </label>
+
+        <label style={styles.row}>
+          <span>Stop bits</span>
+          <select style={styles.input} value={settings.stopBits} onChange={e => update('stopBits', parseInt(e.target.value))}>
+            <option value={1}>1</option>
+            <option value={2}>2</option>
+          </select>
+        </label>
+
+        <label style={styles.row}>
+          <span>Parity</span>
+          <select style={styles.input} value={settings.parity} onChange={e => update('parity', e.target.value)}>
+            <option value="none">None</option>
+            <option value="even">Even</option>
+            <option value="odd">Odd</option>
+          </select>
+        </label>
+
+        <label style={styles.row}>
+          <span>Flow control</span>
+          <select style={styles.input} value={settings.flowControl} onChange={e => update('flowControl', e.target.value)}>
+            <option value="none">None</option>
+            <option value="hardware">Hardware (RTS/CTS)</option>
+          </select>
+        </label>
+
+        <label style={{ ...styles.row, justifyContent: 'flex-start', gap: 8 }}>
+          <input type="checkbox" checked={settings.remember} onChange={e => update('remember', e.target.checked)} />
+          <span>Remember settings for this device</span>
+        </label>
+
+        <div style={styles.hint}>
+          The NextECG firmware streams at 9600 baud (HC-05 default). Auto-detect tries common rates and keeps the one that produces readable frames.
+        </div>
+
+        <div style={styles.actions}>
+          <button style={styles.secondary} onClick={onCancel}>Cancel</button>
+          <button style={styles.primary} onClick={() => onConnect(settings)}>Choose port…</button>
+        </div>
+      </div>
+    </div>
+  )
+}
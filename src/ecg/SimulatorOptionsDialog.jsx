@@ -0,0 +1,84 @@
+import React, { useState } from 'react'
+import { RHYTHMS } from './simulator'
+import { loadSimulatorSettings } from './sources/simulatorSource'
+import { dialogStyles as styles } from './dialogStyles'
+
+const SAMPLE_RATES = [125, 250, 500]
+
+/**
+ * Simulator Dialog
+ * Rhythm preset, heart rate and variability, signal amplitude and artefacts.
+ * Picking a preset loads its typical heart rate and HRV; both stay editable.
+ */
+export default function SimulatorOptionsDialog({ onConnect, onCancel }) {
+  const [settings, setSettings] = useState(loadSimulatorSettings)
+  const update = (key, value) => setSettings(prev => ({ ...prev, [key]: value }))
+  const number = (key, min, max, step) => (
+    <input
+      type="number" style={styles.input} min={min} max={max} step={step} value={settings[key]}
+      onChange={e => update(key, Math.max(min, Math.min(max, parseFloat(e.target.value) || 0)))}
+    />
+  )
+
+  return (
+    <div style={styles.overlay} onClick={onCancel}>
+      <div style={styles.dialog} onClick={e => e.stopPropagation()}>
+        <h3 style={styles.title}>ECG simulator</h3>
+
+        <label style={styles.row}>
+          <span>Rhythm</span>
+          <select style={styles.input} value={settings.rhythm} onChange={e => {
+            const preset = RHYTHMS[e.target.value]
+            setSettings(prev => ({ ...prev, rhythm: e.target.value, heartRate: preset.heartRate, hrv: preset.hrv }))
+          }}>
+            {Object.entries(RHYTHMS).map(([id, r]) => <option key={id} value={id}>{r.label}</option>)}
+          </select>
+        </label>
+
+        <label style={styles.row}><span>Heart rate (bpm)</span>{number('heartRate', 20, 250, 1)}</label>
+        <label style={styles.row}><span>HRV, RR SD (ms)</span>{number('hrv', 0, 200, 5)}</label>
+        <label style={styles.row}><span>Amplitude (×)</span>{number('amplitude', 0.1, 5, 0.1)}</label>
+        <label style={styles.row}><span>Noise (mV)</span>{number('noise', 0, 1, 0.01)}</label>
+        <label style={styles.row}><span>Baseline wander (mV)</span>{number('wander', 0, 2, 0.05)}</label>
+
+        <label style={styles.row}>
+          <span>Powerline hum (mV)</span>
+          <span style={{ display: 'flex', gap: 6 }}>
+            <input
+              type="number" style={{ ...styles.input, minWidth: 70, width: 70 }} min={0} max={1} step={0.01} value={settings.hum}
+              onChange={e => update('hum', Math.max(0, Math.min(1, parseFloat(e.target.value) || 0)))}
+            />
+            <select style={{ ...styles.input, minWidth: 70 }} value={settings.mainsHz} onChange={e => update('mainsHz', parseInt(e.target.value))}>
+              <option value={50}>50 Hz</option>
+              <option value={60}>60 Hz</option>
+            </select>
+          </span>
+        </label>
+
+        <label style={styles.row}>
+          <span>Channels</span>
+          <select style={styles.input} value={settings.channels} onChange={e => update('channels', parseInt(e.target.value))}>
+            <option value={2}>2 (Lead I, II)</option>
+            <option value={6}>6 (all limb leads)</option>
+          </select>
+        </label>
+
+        <label style={styles.row}>
+          <span>Sample rate</span>
+          <select style={styles.input} value={settings.sampleRate} onChange={e => update('sampleRate', parseInt(e.target.value))}>
+            {SAMPLE_RATES.map(r => <option key={r} value={r}>{r} Hz</option>)}
+          </select>
+        </label>
+
+        <div style={styles.hint}>
+          Frames are generated as device lines and go through the same parser as the hardware. The firmware uses 2 channels at 125 Hz.
+        </div>
+
+        <div style={styles.actions}>
+          <button style={styles.secondary} onClick={onCancel}>Cancel</button>
+          <button style={styles.primary} onClick={() => onConnect(settings)}>Start</button>
+        </div>
+      </div>
+    </div>
+  )
+}
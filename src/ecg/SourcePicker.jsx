@@ -0,0 +1,18 @@
+import React from 'react'
+import { SOURCES, getSource } from './sources'
+
+/**
+ * Source Picker
+ * Device/transport selector shared by the monitor pages, driven by the source registry.
+ */
+export default function SourcePicker({ sourceId, onSourceChange, disabled = false, style, selectStyle }) {
+  const source = getSource(sourceId)
+
+  return (
+    <span style={{ display: 'inline-flex', alignItems: 'center', gap: 6, ...style }}>
+      <select value={source.id} disabled={disabled} onChange={e => onSourceChange(e.target.value)} style={selectStyle} title="Signal source">
+        {SOURCES.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+      </select>
+    </span>
+  )
+}
@@ -0,0 +1,34 @@
+import React, { useState } from 'react'
+import { loadBridgeUrl } from './sources/websocketSource'
+import { dialogStyles as styles } from './dialogStyles'
+
+/**
+ * Bridge Connection Dialog
+ * Address of the WebSocket bridge (bridge/ecg-bridge.js) that relays the device.
+ */
+export default function WebSocketOptionsDialog({ onConnect, onCancel }) {
+  const [url, setUrl] = useState(loadBridgeUrl)
+
+  return (
+    <div style={styles.overlay} onClick={onCancel}>
+      <div style={styles.dialog} onClick={e => e.stopPropagation()}>
+        <h3 style={styles.title}>WebSocket bridge</h3>
+
+        <label style={styles.row}>
+          <span>Address</span>
+          <input style={styles.input} value={url} onChange={e => setUrl(e.target.value)} onKeyDown={e => { if (e.key === 'Enter') onConnect({ url: url.trim() }) }} />
+        </label>
+
+        <div style={styles.hint}>
+          Start the bridge next to the device with <code>node bridge/ecg-bridge.js --serial &lt;port&gt;</code>.
+          For other machines on the network add <code>--host 0.0.0.0</code> and use ws://&lt;bridge IP&gt;:8765.
+        </div>
+
+        <div style={styles.actions}>
+          <button style={styles.secondary} onClick={onCancel}>Cancel</button>
+          <button style={styles.primary} onClick={() => onConnect({ url: url.trim() })}>Connect</button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,111 @@
+/**
+ * Amplitude calibration
+ * The firmware rescales each channel so the peak of its calibration window is
+ * REF_AMPLITUDE ('hardware code', units=norm), so the "mV" on the grid differ
+ * between people and sessions. When the device announces the gain it applied
+ * (#META gain1=... gain2=...) or streams raw ADC counts, a per-device profile
+ * of millivolts per device unit turns the stream back into true millivolts.
+ * The profile is measured once from a known test signal (1 mV, 10 Hz sine or
+ * square, fed to LA and LL with RA as reference) and kept in localStorage.
+ *   device unit: norm / announced gain (filtered ADC counts), adc as sent, or mV as sent
+ * The announced baseline (offsetN) is DC and is not restored.
+ */
+const STORAGE_KEY = 'nextecg.amplitude'
+
+export const AMPLITUDE_MODES = [
+  { value: 'normalised', label: 'Normalised (as sent)' },
+  { value: 'absolute', label: 'Absolute (mV)' }
+]
+
+export const TEST_SIGNAL_MV = 1
+export const CALIBRATION_SECONDS = 5
+const PERCENTILE = 0.01 // amplitude from the 1st to the 99th percentile
+
+/**
+ * Multiplier per input channel from values as sent to device units, or null
+ * when the stream cannot be related to the input (normalised without gains).
+ * units: what the stream carries ('norm' from the header wins over the page's choice)
+ */
+export function deviceUnitScales(header = {}, units) {
+  if (units !== 'norm') return []
+  if (!header.gains || header.gains.length === 0) return null
+  return header.gains.map(g => 1 / g)
+}
+
+/**
+ * amplitude: { mode, profile: { mvPerUnit: [per channel], units, referenceMv, date } | null }
+ * Returns { scales: [per channel] | null (values as sent), calibrated, reason }.
+ * Without a profile, ADC counts are converted by the worker from the device
+ * profile's nominal resolution, reference and gain (deviceProfiles.js).
+ * Channels beyond the arrays use the last entry.
+ */
+export function amplitudeScales(amplitude, header = {}, units) {
+  const profile = amplitude && amplitude.profile
+  const asSent = { mv: 'device sends mV', adc: 'ADC counts through the device profile' }[units]
+  if (!amplitude || amplitude.mode !== 'absolute') {
+    return { scales: null, calibrated: Boolean(asSent), reason: asSent || 'normalised by the device' }
+  }
+  if (asSent && !profile) return { scales: null, calibrated: true, reason: asSent }
+  const unitScales = deviceUnitScales(header, units)
+  if (!unitScales) return { scales: null, calibrated: false, reason: 'device does not report its gain' }
+  if (!profile) return { scales: null, calibrated: false, reason: 'no calibration profile for this device' }
+  if (profile.units !== units) return { scales: null, calibrated: false, reason: `profile was measured in ${profile.units} units` }
+  const channels = Math.max(unitScales.length, profile.mvPerUnit.length)
+  const scales = Array.from({ length: channels }, (_, i) => channelScale(unitScales, i) * channelScale(profile.mvPerUnit, i))
+  return { scales, calibrated: true, reason: `calibrated ${new Date(profile.date).toLocaleDateString()}` }
+}
+
+// Entry for channel i: the last one repeats, an empty list is 1
+export function channelScale(scales, i) {
+  return scales.length ? scales[Math.min(i, scales.length - 1)] : 1
+}
+
+// "Calibrated (mV): calibrated 01/02/2025", "Normalised: device does not report its gain"
+export function describeAmplitude(state) {
+  if (!state) return 'Normalised'
+  return `${state.calibrated ? 'Calibrated (mV)' : 'Normalised'}: ${state.reason}`
+}
+
+/**
+ * Test signal window per input channel, in device units.
+ * Returns { mvPerUnit, amplitudes } or { error } when a channel is flat.
+ */
+export function measureTestSignal(channels, referenceMv = TEST_SIGNAL_MV) {
+  const amplitudes = channels.map(samples => {
+    const sorted = samples.filter(Number.isFinite).sort((a, b) => a - b)
+    if (sorted.length < 2) return 0
+    const at = p => sorted[Math.round(p * (sorted.length - 1))]
+    return at(1 - PERCENTILE) - at(PERCENTILE)
+  })
+  const flat = amplitudes.findIndex(a => !(a > 0))
+  if (flat >= 0) return { error: `Channel ${flat + 1} is flat; is the test signal connected?` }
+  return { mvPerUnit: amplitudes.map(a => referenceMv / a), amplitudes }
+}
+
+function readStore() {
+  try { return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {} } catch (_e) { return {} }
+}
+
+function writeStore(store) {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(store)) } catch (e) { console.warn('Could not save amplitude settings', e) }
+}
+
+export function loadAmplitudeMode() {
+  const mode = readStore().mode
+  return AMPLITUDE_MODES.some(m => m.value === mode) ? mode : 'normalised'
+}
+
+export function saveAmplitudeMode(mode) {
+  writeStore({ ...readStore(), mode })
+}
+
+// Profiles are keyed by device (announced id, USB ids, bridge URL ...)
+export function loadAmplitudeProfile(key) {
+  const profiles = readStore().profiles || {}
+  return profiles[key] || null
+}
+
+export function saveAmplitudeProfile(key, profile) {
+  const store = readStore()
+  writeStore({ ...store, profiles: { ...store.profiles, [key]: profile } })
+}
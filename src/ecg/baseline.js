@@ -0,0 +1,135 @@
+import { detectBeats } from './beatDetector'
+
+/**
+ * Baseline wander removal for diagnostic measurements
+ * Offline (whole-record) estimates of the baseline that are subtracted from
+ * the signal. Both are non-causal and introduce no phase shift, unlike the
+ * live high-pass, so ST-segment levels are kept:
+ *   median - two-stage median filter (200 ms removes QRS and P, 600 ms removes T)
+ *   spline - natural cubic spline through PR-segment knots, one per beat
+ * NaN samples (lost frames) split the record; each run is corrected on its own.
+ */
+const MEDIAN_WINDOWS = [0.2, 0.6] // seconds
+const PR_OFFSET = 0.08 // knot this far before each R peak
+const PR_WINDOW = 0.02 // averaged around the knot
+const MIN_RUN_SECONDS = 0.5
+
+function oddLength(seconds, sampleRate) {
+  return Math.max(1, Math.round(seconds * sampleRate)) | 1
+}
+
+// Index of the first element >= value in a sorted array
+function lowerBound(sorted, value) {
+  let lo = 0
+  let hi = sorted.length
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1
+    if (sorted[mid] < value) lo = mid + 1
+    else hi = mid
+  }
+  return lo
+}
+
+// Running median, window shrinks at the edges
+function medianFilter(x, length) {
+  const half = length >> 1
+  const out = new Float64Array(x.length)
+  const window = []
+  let from = 0
+  let to = 0 // window holds x[from .. to)
+  for (let i = 0; i < x.length; i++) {
+    const start = Math.max(0, i - half)
+    const end = Math.min(x.length, i + half + 1)
+    while (to < end) { window.splice(lowerBound(window, x[to]), 0, x[to]); to++ }
+    while (from < start) { window.splice(lowerBound(window, x[from]), 1); from++ }
+    const n = window.length
+    out[i] = n % 2 ? window[n >> 1] : (window[n / 2 - 1] + window[n / 2]) / 2
+  }
+  return out
+}
+
+function medianBaseline(x, sampleRate) {
+  let baseline = x
+  for (const seconds of MEDIAN_WINDOWS) baseline = medianFilter(baseline, oddLength(seconds, sampleRate))
+  return baseline
+}
+
+// Natural cubic spline through (xs, ys), evaluated at 0..length-1; held flat outside the knots
+function naturalSpline(xs, ys, length) {
+  const k = xs.length
+  const out = new Float64Array(length)
+  if (k === 1) return out.fill(ys[0])
+  const h = []
+  for (let i = 0; i < k - 1; i++) h.push(xs[i + 1] - xs[i])
+  // Second derivatives m (m0 = m[k-1] = 0): tridiagonal solve
+  const m = new Float64Array(k)
+  const c = new Float64Array(k)
+  const d = new Float64Array(k)
+  for (let i = 1; i < k - 1; i++) {
+    const a = h[i - 1]
+    const b = 2 * (h[i - 1] + h[i])
+    const r = 6 * ((ys[i + 1] - ys[i]) / h[i] - (ys[i] - ys[i - 1]) / h[i - 1])
+    const denom = b - a * c[i - 1]
+    c[i] = h[i] / denom
+    d[i] = (r - a * d[i - 1]) / denom
+  }
+  for (let i = k - 2; i >= 1; i--) m[i] = d[i] - c[i] * m[i + 1]
+
+  let seg = 0
+  for (let t = 0; t < length; t++) {
+    if (t <= xs[0]) { out[t] = ys[0]; continue }
+    if (t >= xs[k - 1]) { out[t] = ys[k - 1]; continue }
+    while (t > xs[seg + 1]) seg++
+    const hs = h[seg]
+    const a = (xs[seg + 1] - t) / hs
+    const b = (t - xs[seg]) / hs
+    out[t] = a * ys[seg] + b * ys[seg + 1] + ((a * a * a - a) * m[seg] + (b * b * b - b) * m[seg + 1]) * hs * hs / 6
+  }
+  return out
+}
+
+function splineBaseline(x, sampleRate) {
+  const peaks = detectBeats(x, sampleRate)
+  const offset = Math.round(PR_OFFSET * sampleRate)
+  const half = Math.max(1, Math.round(PR_WINDOW * sampleRate / 2))
+  const xs = []
+  const ys = []
+  for (const r of peaks) {
+    const at = r - offset
+    if (at - half < 0) continue
+    let sum = 0
+    for (let j = at - half; j <= at + half; j++) sum += x[j]
+    xs.push(at)
+    ys.push(sum / (2 * half + 1))
+  }
+  // Too few beats to place knots: fall back to the median estimate
+  if (xs.length < 2) return medianBaseline(x, sampleRate)
+  return naturalSpline(xs, ys, x.length)
+}
+
+/**
+ * Baseline-corrected copy of one lead (plain array, NaN gaps kept).
+ * method: 'median' | 'spline'; anything else returns the samples unchanged.
+ */
+export function removeBaseline(samples, sampleRate, method) {
+  if (method !== 'median' && method !== 'spline') return samples
+  const out = Array.from(samples)
+  const minRun = Math.round(MIN_RUN_SECONDS * sampleRate)
+  let i = 0
+  while (i < out.length) {
+    if (!Number.isFinite(out[i])) { i++; continue }
+    let end = i
+    while (end < out.length && Number.isFinite(out[end])) end++
+    const run = out.slice(i, end)
+    if (run.length < minRun) {
+      // Too short to estimate wander: remove its median level
+      const level = [...run].sort((a, b) => a - b)[run.length >> 1]
+      for (let j = i; j < end; j++) out[j] -= level
+    } else {
+      const baseline = method === 'spline' ? splineBaseline(run, sampleRate) : medianBaseline(run, sampleRate)
+      for (let j = i; j < end; j++) out[j] = run[j - i] - baseline[j - i]
+    }
+    i = end
+  }
+  return out
+}
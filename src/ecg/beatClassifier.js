@@ -0,0 +1,242 @@
+import { delineateBeats } from './delineation'
+import { MAX_DETECTION_DELAY_SECONDS } from './beatDetector'
+
+/**
+ * Beat classifier
+ * Labels each beat from the QRS detector (beatDetector.js):
+ *   N  normal
+ *   S  supraventricular premature: early, with the usual narrow QRS
+ *   V  ventricular: a QRS unlike the usual one, wide or early
+ *   Q  unclassified: lost samples, or a shape change that is neither wide
+ *      nor early (noise, a moved electrode)
+ * from three features: prematurity (RR under PREMATURE of the median recent
+ * normal-to-normal RR, so a pause does not make the next beats early), QRS width (delineation.js) and the correlation of
+ * the QRS with a running template of normal beats. The template is learned
+ * from the first TEMPLATE_BEATS alike beats and relearned after a run of
+ * RELEARN_BEATS unclassified ones; the beats seen while learning are held
+ * back and classified against it once it is built.
+ * Early is only premature against a regular rhythm of at least RHYTHM_BEATS
+ * RRs: in atrial fibrillation every RR differs from the last ones (REGULAR
+ * allows the repeating patterns of bigeminy and trigeminy), so its beats stay N.
+ * createBeatClassifier() streams (the worker); classifyBeats() runs a recording.
+ */
+export const BEAT_LABELS = {
+  N: 'Normal',
+  S: 'Supraventricular premature',
+  V: 'Ventricular',
+  Q: 'Unclassified'
+}
+
+// Marker colours on the live traces and the report
+export const BEAT_COLORS = { N: '#6b7280', S: '#d97706', V: '#dc2626', Q: '#9ca3af' }
+
+const WINDOW_SECONDS = [0.2, 0.2] // lead kept before and after R
+const CORRELATION_SECONDS = [0.08, 0.1] // QRS compared with the template
+const LAG_SECONDS = 0.02 // R may sit this far off on a similar beat
+const TEMPLATE_BEATS = 3
+const TEMPLATE_RATE = 1 / 8
+const RELEARN_BEATS = 8
+const RR_BEATS = 8
+const PREMATURE = 0.8
+const RHYTHM_BEATS = [12, 24] // recent RRs the rhythm is judged on: at least, at most
+// Largest median difference between RRs `lag` beats apart, of the median RR, for a regular rhythm:
+// beat to beat, or a bigeminy / trigeminy pattern that repeats closely
+const REGULAR = [[1, 0.1], [2, 0.08], [3, 0.08]]
+const SIMILAR = 0.9
+const DIFFERENT = 0.7
+const WIDE_MS = 120
+const WIDER_MS = 30 // than the template's QRS
+
+const median = values => {
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid = sorted.length >> 1
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
+
+/**
+ * Streaming classifier on the detector's lead. push(value, sampleIndex) for
+ * every sample and beat(r) for every R peak; push returns the beats whose
+ * window has now been seen, as [{ r, label }], in order (the first ones once
+ * TEMPLATE_BEATS alike beats have been).
+ */
+export function createBeatClassifier(sampleRate) {
+  const before = Math.round(sampleRate * WINDOW_SECONDS[0])
+  const after = Math.round(sampleRate * WINDOW_SECONDS[1])
+  const length = before + after + 1
+  // Kept until the detector's latest report of a beat (searchback) still finds its window
+  const size = length + Math.round(sampleRate * MAX_DETECTION_DELAY_SECONDS) + 1
+  const ring = new Float64Array(size).fill(NaN)
+  const lag = Math.max(1, Math.round(sampleRate * LAG_SECONDS))
+  const from = before - Math.round(sampleRate * CORRELATION_SECONDS[0])
+  const to = before + Math.round(sampleRate * CORRELATION_SECONDS[1])
+  let latest = -1
+  const pending = []
+  let template = null
+  let templateWidth = 0
+  let learned = 0
+  let unclassified = 0
+  let lastR = null
+  let lastLabel = null
+  let rr = [] // normal-to-normal intervals, in samples
+  let recent = [] // every measured RR, in samples
+  let seeds = [] // beats seen while learning, waiting for the template
+
+  // Best Pearson correlation of the QRS with the template over small shifts
+  function correlate(window) {
+    const n = to - from + 1
+    let best = -1
+    for (let shift = -lag; shift <= lag; shift++) {
+      const sums = [0, 0, 0, 0, 0] // x, y, xx, yy, xy
+      for (let i = from; i <= to; i++) {
+        const x = template[i]
+        const y = window[i + shift]
+        sums[0] += x; sums[1] += y; sums[2] += x * x; sums[3] += y * y; sums[4] += x * y
+      }
+      const [sx, sy, sxx, syy, sxy] = sums
+      const spread = Math.sqrt((sxx - sx * sx / n) * (syy - sy * sy / n))
+      if (spread > 0) best = Math.max(best, (sxy - sx * sy / n) / spread)
+    }
+    return best
+  }
+
+  function learn(window, width) {
+    if (!template) {
+      template = Float64Array.from(window)
+      templateWidth = width
+      learned = 1
+      return
+    }
+    for (let i = 0; i < length; i++) template[i] += (window[i] - template[i]) * TEMPLATE_RATE
+    templateWidth += (width - templateWidth) * TEMPLATE_RATE
+    learned++
+  }
+
+  // QRS width (ms) of a complete window, null without a measurable QRS
+  function measure(window) {
+    if (window.some(v => !Number.isFinite(v))) return null
+    const [wave] = delineateBeats(window, [before], sampleRate)
+    return wave.qrsOnset === null ? null : (wave.qrsOffset - wave.qrsOnset) * 1000 / sampleRate
+  }
+
+  // Learning: alike beats build the template; an odd first beat is replaced
+  function seed(window, width) {
+    const corr = template ? correlate(window) : 1
+    if (corr >= SIMILAR) learn(window, width)
+    else if (learned < 2) { template = null; learn(window, width) }
+  }
+
+  // Enough recent RRs, and not irregularly irregular (every RR unlike the last ones, with no repeating pattern)
+  function regularRhythm() {
+    if (recent.length < RHYTHM_BEATS[0]) return false
+    const typical = median(recent)
+    return REGULAR.some(([lag, limit]) => median(recent.slice(lag).map((v, i) => Math.abs(v - recent[i]))) <= limit * typical)
+  }
+
+  // Label against the template; seeded beats are already in it
+  function classify({ r, window, width, interval, seeded }) {
+    let result = 'Q'
+    if (interval !== null) recent = [...recent, interval].slice(-RHYTHM_BEATS[1])
+    if (width !== null) {
+      const premature = interval !== null && rr.length >= 2 && interval < PREMATURE * median(rr) && regularRhythm()
+      const corr = correlate(window)
+      const wide = width > WIDE_MS && width > templateWidth + WIDER_MS
+      if (corr < DIFFERENT || wide) result = wide || premature ? 'V' : 'Q'
+      else if (premature) result = corr >= SIMILAR ? 'S' : 'Q'
+      else {
+        result = 'N'
+        if (corr >= SIMILAR && !seeded) learn(window, width)
+      }
+    }
+    if (result === 'N' && lastLabel === 'N' && interval !== null) rr = [...rr, interval].slice(-RR_BEATS)
+    // A new shape that never matches (electrodes moved): learn again
+    unclassified = result === 'Q' ? unclassified + 1 : 0
+    if (unclassified >= RELEARN_BEATS) { template = null; learned = 0; unclassified = 0; rr = [] }
+    lastLabel = result
+    return { r, label: result }
+  }
+
+  // Classified beats, [] while the template is still being learned
+  function finish(r) {
+    const window = new Float64Array(length)
+    for (let i = 0; i < length; i++) {
+      const at = r - before + i
+      window[i] = at <= latest && at > latest - size ? ring[at % size] : NaN
+    }
+    const beat = { r, window, width: measure(window), interval: lastR !== null ? r - lastR : null, seeded: false }
+    lastR = r
+    if (learned >= TEMPLATE_BEATS) return [classify(beat)]
+    if (beat.width !== null) seed(window, beat.width)
+    seeds.push({ ...beat, seeded: true })
+    if (learned < TEMPLATE_BEATS && seeds.length < RELEARN_BEATS) return []
+    // Still no template after a run of beats (noise): they stay unclassified and learning starts over
+    if (learned < TEMPLATE_BEATS) { template = null; learned = 0 }
+    return settle()
+  }
+
+  // The held-back beats, against the template built so far (unclassified without one)
+  function settle() {
+    const held = seeds
+    seeds = []
+    return held.map(beat => (template ? classify(beat) : { r: beat.r, label: 'Q' }))
+  }
+
+  return {
+    push(value, sampleIndex) {
+      ring[sampleIndex % size] = value
+      latest = sampleIndex
+      const ready = []
+      while (pending.length && latest >= pending[0] + after) ready.push(...finish(pending.shift()))
+      return ready
+    },
+    beat(r) { pending.push(r) },
+    // Beats still waiting for their window or the template (at the end of a recording)
+    drain() { return [...pending.splice(0).flatMap(finish), ...settle()] },
+    // Lost samples: the windows across them are unclassified and no RR spans them; the template is kept
+    gap() {
+      ring.fill(NaN)
+      lastR = null
+      lastLabel = null
+    }
+  }
+}
+
+// The label of each R peak in a recording (one lead)
+export function classifyBeats(samples, beats, sampleRate) {
+  const classifier = createBeatClassifier(sampleRate)
+  const labels = []
+  let next = 0
+  for (let i = 0; i < samples.length; i++) {
+    while (next < beats.length && beats[next] <= i) classifier.beat(beats[next++])
+    for (const beat of classifier.push(samples[i], i)) labels.push(beat.label)
+  }
+  while (next < beats.length) classifier.beat(beats[next++])
+  return [...labels, ...classifier.drain().map(beat => beat.label)]
+}
+
+// { N, S, V, Q } beat counts
+export function countBeats(labels) {
+  const counts = { N: 0, S: 0, V: 0, Q: 0 }
+  for (const label of labels) counts[label]++
+  return counts
+}
+
+// "2 V, 1 S in 24 beats" or "No ectopic beats in 24 beats"
+export function describeEctopy(counts) {
+  const total = counts.N + counts.S + counts.V + counts.Q
+  const ectopic = ['V', 'S'].filter(label => counts[label] > 0).map(label => `${counts[label]} ${label}`)
+  const unknown = counts.Q ? `, ${counts.Q} unclassified` : ''
+  return `${ectopic.length ? ectopic.join(', ') : 'No ectopic beats'}${unknown} in ${total} beats`
+}
+
+/**
+ * RR intervals between consecutive beats whose labels are both in `keep`:
+ * ['N'] for normal-to-normal (NN) variability, ['N', 'S', 'Q'] to leave out
+ * only the intervals around ventricular beats. times and labels align.
+ */
+export function beatIntervals(times, labels, keep = ['N']) {
+  const intervals = []
+  for (let i = 1; i < times.length; i++) {
+    if (keep.includes(labels[i]) && keep.includes(labels[i - 1])) intervals.push(times[i] - times[i - 1])
+  }
+  return intervals
+}
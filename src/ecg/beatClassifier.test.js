@@ -0,0 +1,101 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { beatIntervals, classifyBeats, countBeats, createBeatClassifier, describeEctopy } from './beatClassifier'
+import { detectBeats } from './beatDetector'
+import { detectRhythmEvents } from './rhythmEvents'
+import { createSimulator, RHYTHMS } from './simulator'
+import { removeBaseline } from './baseline'
+
+const SAMPLE_RATE = 125
+
+// Lead II of a simulated take, the simulator's Math.random seeded
+function simulate(rhythm, seconds, seed) {
+  vi.spyOn(Math, 'random').mockImplementation(() => (seed = (seed * 1664525 + 1013904223) % 4294967296) / 4294967296)
+  const { heartRate, hrv } = RHYTHMS[rhythm]
+  const simulator = createSimulator({ rhythm, heartRate, hrv, sampleRate: SAMPLE_RATE })
+  return removeBaseline(Array.from({ length: seconds * SAMPLE_RATE }, (_, n) => simulator.sample(n)[1]), SAMPLE_RATE, 'median')
+}
+
+// Normal beats (P, QRS, T) after the given RRs (s)
+function narrowBeats(rrs) {
+  const waves = [[-0.16, 0.022, 0.15], [-0.025, 0.009, -0.1], [0, 0.011, 1.1], [0.025, 0.009, -0.22], [0.26, 0.045, 0.3]]
+  const rs = []
+  rrs.reduce((t, rr) => { rs.push(t + rr); return t + rr }, 0.6)
+  return Array.from({ length: Math.round((rs[rs.length - 1] + 1) * SAMPLE_RATE) }, (_, n) => {
+    const t = n / SAMPLE_RATE
+    let v = 0
+    for (const r of rs) for (const [at, width, amplitude] of waves) v += amplitude * Math.exp(-((t - r - at) ** 2) / (2 * width * width))
+    return v
+  })
+}
+
+function analyse(samples) {
+  const beats = detectBeats(samples, SAMPLE_RATE)
+  const labels = classifyBeats(samples, beats, SAMPLE_RATE)
+  return { beats, labels, counts: countBeats(labels), events: detectRhythmEvents(samples, beats, labels, SAMPLE_RATE) }
+}
+
+describe('classifyBeats', () => {
+  afterEach(() => { vi.restoreAllMocks() })
+
+  it('labels every beat of sinus rhythm normal, the template-learning beats included', () => {
+    const { beats, labels, counts } = analyse(simulate('sinus', 15, 2))
+    expect(labels).toHaveLength(beats.length)
+    expect(counts).toEqual({ N: beats.length, S: 0, V: 0, Q: 0 })
+  })
+
+  it('finds the ventricular beats of a rhythm with PVCs', () => {
+    const { counts } = analyse(simulate('pvc', 15, 2))
+    expect(counts.V).toBeGreaterThan(0)
+    expect(counts.Q).toBe(0)
+  })
+
+  it('labels atrial fibrillation normal, however early its beats come', () => {
+    for (const seed of [1, 2, 3, 4, 5]) {
+      const { counts, events } = analyse(simulate('af', 30, seed))
+      expect(counts).toMatchObject({ S: 0, V: 0 })
+      expect(events.filter(event => event.type.startsWith('s'))).toEqual([])
+    }
+  })
+
+  it('finds early narrow beats in a regular rhythm, single and in bigeminy', () => {
+    const single = analyse(narrowBeats([...Array(14).fill(0.8), 0.5, 1.1, ...Array(8).fill(0.8)]))
+    expect(single.labels[14]).toBe('S')
+    expect(single.counts).toMatchObject({ S: 1, V: 0, Q: 0 })
+    const bigeminy = analyse(narrowBeats([...Array(14).fill(0.8), ...Array(6).fill([0.5, 1.1]).flat(), ...Array(5).fill(0.8)]))
+    expect(bigeminy.counts.S).toBe(6)
+    expect(bigeminy.events.map(event => event.type)).toEqual(['bigeminy'])
+  })
+})
+
+describe('createBeatClassifier', () => {
+  it('holds the first beats back until the template is learned, then labels them in order', () => {
+    const samples = narrowBeats(Array(6).fill(0.8))
+    const beats = detectBeats(samples, SAMPLE_RATE)
+    const classifier = createBeatClassifier(SAMPLE_RATE)
+    const out = []
+    let next = 0
+    samples.forEach((v, n) => {
+      while (next < beats.length && beats[next] <= n) classifier.beat(beats[next++])
+      out.push(classifier.push(v, n))
+    })
+    const batches = out.filter(batch => batch.length)
+    expect(batches[0].map(beat => beat.r)).toEqual(beats.slice(0, 3))
+    expect([...batches.flat(), ...classifier.drain()]).toEqual(beats.map(r => ({ r, label: 'N' })))
+  })
+})
+
+describe('beat counts and intervals', () => {
+  it('counts and describes the classes', () => {
+    const counts = countBeats(['N', 'V', 'N', 'S', 'Q', 'V'])
+    expect(counts).toEqual({ N: 2, S: 1, V: 2, Q: 1 })
+    expect(describeEctopy(counts)).toBe('2 V, 1 S, 1 unclassified in 6 beats')
+    expect(describeEctopy(countBeats(['N', 'N']))).toBe('No ectopic beats in 2 beats')
+  })
+
+  it('keeps only the intervals between kept classes', () => {
+    const times = [0, 800, 1300, 2400, 3200]
+    const labels = ['N', 'N', 'V', 'N', 'Q']
+    expect(beatIntervals(times, labels)).toEqual([800])
+    expect(beatIntervals(times, labels, ['N', 'Q'])).toEqual([800, 800])
+  })
+})
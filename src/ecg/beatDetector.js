@@ -0,0 +1,204 @@
+import { designFilter, createFilter } from './dsp'
+
+/**
+ * QRS detector
+ * The one beat detector behind every page and metric (Pan & Tompkins, 1985).
+ * A 5-15 Hz band-pass, five-point derivative, squaring and a 150 ms moving
+ * window integral give a QRS energy envelope; each of its peaks is a beat
+ * or noise against adaptive levels (running averages of both kinds of peak):
+ *   threshold = noise + 0.25 × (signal - noise), halved while the RR is irregular
+ * - refractory: peaks within 200 ms of a beat are ignored
+ * - T waves: a peak within 360 ms of a beat whose steepest slope is under
+ *   half the beat's is taken as its T wave
+ * - searchback: with no beat for 1.66 × the recent RR (at most
+ *   SEARCHBACK_MAX_SECONDS), the largest peak since the last beat above half
+ *   the threshold is taken
+ * The levels are learned over the first LEARN_SECONDS. The R peak is the
+ * sample furthest from the slow baseline inside the QRS, so negative
+ * complexes (aVR, inverted or reversed leads) are found like upright ones.
+ * Independent of amplitude units, so it works on raw ADC counts and mV alike.
+ * createBeatDetector() streams (the worker); detectBeats() runs a recording.
+ */
+const BAND_HZ = [5, 15]
+const INTEGRATION_SECONDS = 0.15
+const REFRACTORY_SECONDS = 0.2
+const T_WAVE_SECONDS = 0.36
+const SEARCHBACK_RR = 1.66
+const SEARCHBACK_MAX_SECONDS = 5
+const LEARN_SECONDS = 2
+const BASELINE_SECONDS = 1
+const R_SEARCH_SECONDS = 0.25 // the integral peaks at the end of the QRS, R is up to this far before it
+const RR_BEATS = 8
+const RR_REGULAR = [0.92, 1.16] // of the regular RR average
+
+// Longest a beat is reported after its R peak (a searchback beat right after the previous one)
+export const MAX_DETECTION_DELAY_SECONDS = SEARCHBACK_MAX_SECONDS + R_SEARCH_SECONDS
+
+const mean = values => values.reduce((a, b) => a + b, 0) / values.length
+
+/**
+ * Streaming detector. push(value, sampleIndex) returns the sample index of an
+ * R peak or null; peaks are confirmed a few hundred ms after they happen.
+ * learned: { signal, noise } levels from a previous run (skips learning).
+ */
+export function createBeatDetector(sampleRate, learned = null) {
+  const band = createFilter(designFilter({ type: 'bandpass', order: 1, low: BAND_HZ[0], high: Math.min(BAND_HZ[1], sampleRate * 0.45) }, sampleRate))
+  const windowLength = Math.max(1, Math.round(sampleRate * INTEGRATION_SECONDS))
+  const refractory = Math.round(sampleRate * REFRACTORY_SECONDS)
+  const tWave = Math.round(sampleRate * T_WAVE_SECONDS)
+  const learnLength = Math.round(sampleRate * LEARN_SECONDS)
+  const rSearch = Math.round(sampleRate * R_SEARCH_SECONDS)
+  const baselineAlpha = 1 / (sampleRate * BASELINE_SECONDS)
+  const searchbackMax = Math.round(sampleRate * SEARCHBACK_MAX_SECONDS)
+  // Recent |value - baseline| and |slope| by sampleIndex, for locating R and judging T waves
+  const history = rSearch + windowLength + 2
+  const heights = new Float64Array(history)
+  const slopes = new Float64Array(history)
+  const squares = new Float64Array(windowLength)
+  const delayed = [0, 0, 0, 0] // band-passed samples n-1 .. n-4
+  let squareAt = 0
+  let integral = 0
+  let previous = [0, 0] // integral at n-1, n-2
+  let baseline = 0
+  let seen = 0
+  let firstIndex = 0
+  let signal = learned ? learned.signal : null
+  let noise = learned ? learned.noise : null
+  let learnMax = 0
+  let learnSum = 0
+  let learnCount = 0
+  let lastPeak = -Infinity // integral peak of the last beat
+  let lastR = -Infinity
+  let lastSlope = 0
+  let rr = []
+  let regular = []
+  let irregular = false
+  let candidate = null // largest sub-threshold peak since the last beat, for searchback
+  const ready = []
+
+  function reset() {
+    band.reset()
+    squares.fill(0)
+    heights.fill(0)
+    slopes.fill(0)
+    delayed.fill(0)
+    integral = 0
+    previous = [0, 0]
+    seen = 0
+    candidate = null
+    lastPeak = -Infinity
+  }
+
+  function threshold() {
+    return (noise + 0.25 * (signal - noise)) * (irregular ? 0.5 : 1)
+  }
+
+  function largest(values, from, to) {
+    let best = from
+    for (let i = from; i <= to; i++) if (values[i % history] > values[best % history]) best = i
+    return best
+  }
+
+  function accept(peak, slope, r) {
+    if (r <= lastR) return
+    if (lastPeak > -Infinity) {
+      const interval = peak - lastPeak
+      rr = [...rr, interval].slice(-RR_BEATS)
+      const expected = regular.length ? mean(regular) : mean(rr)
+      irregular = interval < RR_REGULAR[0] * expected || interval > RR_REGULAR[1] * expected
+      if (!irregular || regular.length === 0) regular = [...regular, interval].slice(-RR_BEATS)
+    }
+    lastPeak = peak
+    lastR = r
+    lastSlope = slope
+    candidate = null
+    ready.push(r)
+  }
+
+  // Classify a peak of the integral at sample `at`
+  function classify(value, at) {
+    if (at - lastPeak < refractory) return
+    const from = Math.max(firstIndex, lastR + 1, at - rSearch)
+    if (from > at) return
+    const slope = slopes[largest(slopes, Math.max(firstIndex, at - windowLength), at) % history]
+    const tWaveLike = at - lastPeak < tWave && slope < 0.5 * lastSlope
+    const limit = threshold()
+    if (value > limit && !tWaveLike) {
+      signal = 0.125 * value + 0.875 * signal
+      accept(at, slope, largest(heights, from, at))
+      return
+    }
+    noise = 0.125 * value + 0.875 * noise
+    if (!tWaveLike && value > 0.5 * limit && (!candidate || value > candidate.value)) {
+      candidate = { value, at, slope, r: largest(heights, from, at) }
+    }
+  }
+
+  function learn(value) {
+    learnMax = Math.max(learnMax, value)
+    learnSum += value
+    if (++learnCount < learnLength) return
+    signal = 0.5 * learnMax
+    noise = 0.5 * learnSum / learnCount
+  }
+
+  return {
+    push(value, sampleIndex) {
+      if (!Number.isFinite(value)) { reset(); return ready.length ? ready.shift() : null }
+      if (seen === 0) { baseline = value; firstIndex = sampleIndex }
+      seen++
+      baseline += (value - baseline) * baselineAlpha
+      const y = band.process(value)
+      const slope = (2 * y + delayed[0] - delayed[2] - 2 * delayed[3]) / 8
+      delayed.pop()
+      delayed.unshift(y)
+      heights[sampleIndex % history] = Math.abs(value - baseline)
+      slopes[sampleIndex % history] = Math.abs(slope)
+      integral += slope * slope - squares[squareAt]
+      squares[squareAt] = slope * slope
+      squareAt = (squareAt + 1) % windowLength
+      const envelope = integral / windowLength
+
+      // Wait for the derivative and the integral window to fill
+      if (seen > windowLength + 4) {
+        if (signal === null) learn(envelope)
+        else if (previous[0] > envelope && previous[0] >= previous[1]) classify(previous[0], sampleIndex - 1)
+      }
+      previous = [envelope, previous[0]]
+
+      if (candidate && regular.length && sampleIndex - lastPeak > Math.min(SEARCHBACK_RR * mean(regular), searchbackMax)) {
+        signal = 0.25 * candidate.value + 0.75 * signal
+        accept(candidate.at, candidate.slope, candidate.r)
+      }
+      return ready.length ? ready.shift() : null
+    },
+    // Beats confirmed but not yet returned (at the end of a recording)
+    drain() { return ready.splice(0) },
+    // Lost samples: restart the filters instead of seeing the jump as a QRS; the levels are kept
+    gap() { reset() },
+    get levels() {
+      if (signal !== null) return { signal, noise }
+      return learnCount ? { signal: 0.5 * learnMax, noise: 0.5 * learnSum / learnCount } : null
+    }
+  }
+}
+
+/**
+ * R peak sample indices in a recording (one lead). The levels are learned on
+ * its first seconds and the whole record is then run from the start, so the
+ * first beats are not lost to learning.
+ */
+export function detectBeats(samples, sampleRate) {
+  const learner = createBeatDetector(sampleRate)
+  const learnLength = Math.min(samples.length, Math.round(sampleRate * LEARN_SECONDS) + Math.round(sampleRate * INTEGRATION_SECONDS) + 5)
+  for (let i = 0; i < learnLength; i++) learner.push(samples[i], i)
+  const levels = learner.levels
+  if (!levels || !(levels.signal > 0)) return []
+  const detector = createBeatDetector(sampleRate, levels)
+  const beats = []
+  for (let i = 0; i < samples.length; i++) {
+    const beat = detector.push(samples[i], i)
+    if (beat !== null) beats.push(beat)
+  }
+  return [...beats, ...detector.drain()]
+}
@@ -0,0 +1,94 @@
+import { describe, expect, it } from 'vitest'
+import { createBeatDetector, detectBeats } from './beatDetector'
+
+const RATES = [125, 250, 360, 500]
+const TOLERANCE_SECONDS = 0.02
+
+// [offset from R (s), width (s), amplitude (mV)]: P, Q, R, S; the T wave's amplitude is an option
+const WAVES = [[-0.16, 0.022, 0.15], [-0.025, 0.009, -0.1], [0, 0.011, 1.1], [0.025, 0.009, -0.22]]
+
+// Lead with beats at the given RR intervals (s), baseline wander, mains hum and seeded noise; R times in s
+function synthesize(sampleRate, rrs, { scale = 1, offset = 0, noise = 0.02, t = 0.3 } = {}) {
+  const waves = [...WAVES, [0.26, 0.045, t]]
+  const rs = []
+  rrs.reduce((t, rr) => { rs.push(t + rr); return t + rr }, 0.5)
+  const samples = new Float64Array(Math.round((rs[rs.length - 1] + 1) * sampleRate))
+  let seed = 7
+  const random = () => (seed = (seed * 1664525 + 1013904223) % 4294967296) / 4294967296 - 0.5
+  for (let n = 0; n < samples.length; n++) {
+    const t = n / sampleRate
+    let v = 0.3 * Math.sin(2 * Math.PI * 0.3 * t) + 0.05 * Math.sin(2 * Math.PI * 50 * t) + noise * random()
+    for (const r of rs) {
+      if (Math.abs(t - r) > 0.6) continue
+      for (const [at, width, amplitude] of waves) v += amplitude * Math.exp(-((t - r - at) ** 2) / (2 * width * width))
+    }
+    samples[n] = offset + scale * v
+  }
+  return { samples: Array.from(samples), rs }
+}
+
+const steady = (bpm, seconds) => Array.from({ length: Math.floor(seconds * bpm / 60) }, (_, i) => 60 / bpm * (1 + 0.05 * Math.sin(i)))
+
+// Each true R matched by one detected beat within the tolerance
+function expectBeats(found, rs, sampleRate) {
+  expect(found).toHaveLength(rs.length)
+  found.forEach((r, i) => expect(Math.abs(r / sampleRate - rs[i])).toBeLessThan(TOLERANCE_SECONDS))
+}
+
+describe('detectBeats', () => {
+  for (const sampleRate of RATES) {
+    it(`finds every beat of a 72 bpm rhythm on time at ${sampleRate} Hz`, () => {
+      const { samples, rs } = synthesize(sampleRate, steady(72, 30))
+      expectBeats(detectBeats(samples, sampleRate), rs, sampleRate)
+    })
+  }
+
+  it('finds slow and fast rhythms', () => {
+    for (const bpm of [40, 150]) {
+      const { samples, rs } = synthesize(250, steady(bpm, 30))
+      expectBeats(detectBeats(samples, 250), rs, 250)
+    }
+  })
+
+  it('does not take the T wave of a tall-T rhythm for a beat', () => {
+    const { samples, rs } = synthesize(250, steady(60, 20), { t: 0.7 })
+    expectBeats(detectBeats(samples, 250), rs, 250)
+  })
+
+  it('finds inverted complexes and raw ADC counts alike', () => {
+    const { samples, rs } = synthesize(125, steady(80, 20), { scale: -1 })
+    expectBeats(detectBeats(samples, 125), rs, 125)
+    const adc = synthesize(125, steady(80, 20), { scale: 200, offset: 512 })
+    expectBeats(detectBeats(adc.samples, 125), adc.rs, 125)
+  })
+
+  it('picks up the beat after a pause', () => {
+    const { samples, rs } = synthesize(250, [...steady(70, 10), 2.5, ...steady(70, 10)])
+    expectBeats(detectBeats(samples, 250), rs, 250)
+  })
+
+  it('finds nothing on a flat line or a record too short to learn on', () => {
+    expect(detectBeats(Array(2500).fill(512), 250)).toEqual([])
+    expect(detectBeats([], 250)).toEqual([])
+  })
+})
+
+describe('createBeatDetector', () => {
+  it('streams the beats detectBeats finds once its levels are learned, each after its R peak', () => {
+    const { samples, rs } = synthesize(250, steady(72, 20))
+    const detector = createBeatDetector(250)
+    const streamed = []
+    samples.forEach((v, n) => {
+      const r = detector.push(v, n)
+      if (r === null) return
+      expect(r).toBeLessThanOrEqual(n)
+      streamed.push(r)
+    })
+    streamed.push(...detector.drain())
+    const recorded = detectBeats(samples, 250)
+    expect(recorded).toEqual(expect.arrayContaining(streamed))
+    // Only beats inside the learning seconds are missed
+    for (const r of recorded.filter(r => !streamed.includes(r))) expect(r / 250).toBeLessThan(2.5)
+    expect(streamed.length).toBeGreaterThan(rs.length - 3)
+  })
+})
@@ -0,0 +1,78 @@
+/**
+ * Binary Frame Format (protocol v1 extension)
+ * Compact framing for fast or lossy links, sent alongside the text lines:
+ *
+ *   0xA5 0x5A | seq u16 LE | channels u8 | channels x i16 LE | crc u16 LE
+ *
+ * Samples are thousandths of the stream unit (the CSV lines carry 3 decimals),
+ * so ±32.767 at most: enough for millivolts and normalised values. A stream
+ * announcing units=adc sends whole counts instead, as i32 with WIDE_SAMPLES
+ * set in the channels byte, so any ADC up to 24 bits passes unclipped.
+ * The CRC is CRC-16/CCITT-FALSE over seq, channels and samples.
+ * The sync bytes never occur in the ASCII text protocol, so both can share one stream.
+ */
+export const SYNC = [0xA5, 0x5A]
+export const SAMPLE_SCALE = 1000
+export const WIDE_SAMPLES = 0x80 // channels byte flag: i32 ADC counts follow
+export const MAX_CHANNELS = 12
+const HEADER_BYTES = 5 // sync + seq + channels
+
+const clamp = (value, limit) => Math.max(-limit - 1, Math.min(limit, Math.round(value)))
+
+export function crc16(bytes, start = 0, end = bytes.length) {
+  let crc = 0xFFFF
+  for (let i = start; i < end; i++) {
+    crc ^= bytes[i] << 8
+    for (let b = 0; b < 8; b++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF
+    }
+  }
+  return crc
+}
+
+export function frameLength(channels, wide = false) {
+  return HEADER_BYTES + channels * (wide ? 4 : 2) + 2
+}
+
+// Reference encoder (used by the Node bridge's --binary replay); units: as the stream's #META announces
+export function encodeBinaryFrame(seq, values, units = 'mv') {
+  const wide = units === 'adc'
+  const bytes = new Uint8Array(frameLength(values.length, wide))
+  const view = new DataView(bytes.buffer)
+  bytes[0] = SYNC[0]
+  bytes[1] = SYNC[1]
+  view.setUint16(2, seq & 0xFFFF, true)
+  bytes[4] = values.length | (wide ? WIDE_SAMPLES : 0)
+  values.forEach((v, i) => {
+    if (wide) view.setInt32(HEADER_BYTES + i * 4, clamp(v, 0x7FFFFFFF), true)
+    else view.setInt16(HEADER_BYTES + i * 2, clamp(v * SAMPLE_SCALE, 0x7FFF), true)
+  })
+  const crcAt = bytes.length - 2
+  view.setUint16(crcAt, crc16(bytes, 2, crcAt), true)
+  return bytes
+}
+
+/**
+ * Decode one frame whose sync bytes start at offset.
+ * Returns { needMore: true } when the buffer ends mid-frame,
+ * { error, length } for a bad frame, or { seq, values, length }.
+ */
+export function decodeBinaryFrame(bytes, offset = 0) {
+  if (bytes.length - offset < HEADER_BYTES) return { needMore: true }
+  const wide = (bytes[offset + 4] & WIDE_SAMPLES) !== 0
+  const channels = bytes[offset + 4] & ~WIDE_SAMPLES
+  if (channels === 0 || channels > MAX_CHANNELS) return { error: `bad channel count ${channels}`, length: 1 }
+  const length = frameLength(channels, wide)
+  if (bytes.length - offset < length) return { needMore: true }
+  const view = new DataView(bytes.buffer, bytes.byteOffset + offset, length)
+  const crcAt = length - 2
+  if (view.getUint16(crcAt, true) !== crc16(bytes, offset + 2, offset + crcAt)) {
+    // Skip just the first sync byte so a real frame inside the bad one is still found
+    return { error: 'CRC mismatch', length: 1 }
+  }
+  const values = new Array(channels)
+  for (let i = 0; i < channels; i++) {
+    values[i] = wide ? view.getInt32(HEADER_BYTES + i * 4, true) : view.getInt16(HEADER_BYTES + i * 2, true) / SAMPLE_SCALE
+  }
+  return { seq: view.getUint16(2, true), values, length }
+}
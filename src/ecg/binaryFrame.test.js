@@ -0,0 +1,110 @@
+import { describe, expect, it } from 'vitest'
+import { SYNC, WIDE_SAMPLES, crc16, decodeBinaryFrame, encodeBinaryFrame, frameLength } from './binaryFrame'
+import { createFramePipeline } from './framePipeline'
+
+const concat = (...chunks) => {
+  const bytes = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0))
+  chunks.reduce((at, c) => { bytes.set(c, at); return at + c.length }, 0)
+  return bytes
+}
+const text = line => new TextEncoder().encode(`${line}\n`)
+
+describe('crc16', () => {
+  it('is CRC-16/CCITT-FALSE', () => {
+    expect(crc16(new TextEncoder().encode('123456789'))).toBe(0x29B1)
+  })
+})
+
+describe('binary frames', () => {
+  it('round-trip samples in thousandths', () => {
+    const bytes = encodeBinaryFrame(513, [0.125, -1.5, 0])
+    expect(bytes.length).toBe(frameLength(3))
+    expect([bytes[0], bytes[1]]).toEqual(SYNC)
+    expect(decodeBinaryFrame(bytes)).toEqual({ seq: 513, values: [0.125, -1.5, 0], length: frameLength(3) })
+  })
+
+  it('round-trip ADC counts at the full range of a 24-bit converter', () => {
+    const counts = [-(2 ** 23), 2 ** 23 - 1, 1023, 0]
+    const bytes = encodeBinaryFrame(9, counts, 'adc')
+    expect(bytes.length).toBe(frameLength(4, true))
+    expect(bytes[4]).toBe(4 | WIDE_SAMPLES)
+    expect(decodeBinaryFrame(bytes)).toEqual({ seq: 9, values: counts, length: frameLength(4, true) })
+  })
+
+  it('clip thousandths at the i16 range', () => {
+    expect(decodeBinaryFrame(encodeBinaryFrame(0, [40, -40])).values).toEqual([32.767, -32.768])
+  })
+
+  it('decode at an offset and ask for more bytes mid-frame', () => {
+    const bytes = concat(new Uint8Array([1, 2, 3]), encodeBinaryFrame(7, [1, 2]))
+    expect(decodeBinaryFrame(bytes, 3).values).toEqual([1, 2])
+    expect(decodeBinaryFrame(bytes.subarray(0, bytes.length - 1), 3)).toEqual({ needMore: true })
+    expect(decodeBinaryFrame(bytes.subarray(0, 6), 3)).toEqual({ needMore: true })
+  })
+
+  it('reject a corrupted frame, skipping only its first sync byte', () => {
+    const bytes = encodeBinaryFrame(1, [0.5, 0.25])
+    bytes[6] ^= 0x10
+    expect(decodeBinaryFrame(bytes)).toEqual({ error: 'CRC mismatch', length: 1 })
+    const header = encodeBinaryFrame(1, [0.5])
+    header[4] = 0
+    expect(decodeBinaryFrame(header)).toEqual({ error: 'bad channel count 0', length: 1 })
+  })
+})
+
+describe('frame pipeline', () => {
+  function collect() {
+    const frames = []
+    const malformed = []
+    const pipeline = createFramePipeline({ onFrame: frame => frames.push(frame), onMalformed: record => malformed.push(record) })
+    return { pipeline, frames, malformed }
+  }
+
+  it('splits text lines from binary frames, even across chunks', () => {
+    const { pipeline, frames } = collect()
+    const stream = concat(text('0.1,0.2'), encodeBinaryFrame(0, [0.3, 0.4]), text('0.5,0.6'))
+    pipeline.push(stream.subarray(0, 12))
+    pipeline.push(stream.subarray(12))
+    expect(frames.map(frame => frame.values)).toEqual([[0.1, 0.2], [0.3, 0.4], [0.5, 0.6]])
+    expect(frames.map(frame => frame.sampleIndex)).toEqual([0, 1, 2])
+  })
+
+  it('passes ADC counts from wide frames through unscaled', () => {
+    const { pipeline, frames } = collect()
+    pipeline.push(concat(text('#META units=adc channels=2'), encodeBinaryFrame(0, [1023, -(2 ** 23)], 'adc')))
+    expect(frames.map(frame => frame.values)).toEqual([[1023, -(2 ** 23)]])
+  })
+
+  it('counts frames lost across the sequence wrap', () => {
+    const { pipeline, frames } = collect()
+    pipeline.push(concat(encodeBinaryFrame(0xFFFE, [0, 0]), encodeBinaryFrame(0xFFFF, [0, 0]), encodeBinaryFrame(2, [0, 0])))
+    expect(frames.map(frame => frame.lost)).toEqual([0, 0, 2])
+    expect(frames[2].sampleIndex).toBe(4)
+    expect(pipeline.stats.lost).toBe(2)
+  })
+
+  it('takes a large jump backwards as a device restart, not a loss', () => {
+    const { pipeline, frames } = collect()
+    pipeline.push(concat(encodeBinaryFrame(40000, [0, 0]), encodeBinaryFrame(39000, [0, 0])))
+    expect(frames.map(frame => frame.lost)).toEqual([0, 0])
+  })
+
+  it('reports a corrupted frame and keeps the text after it', () => {
+    const { pipeline, frames, malformed } = collect()
+    const bad = encodeBinaryFrame(0, [1, 1])
+    bad[bad.length - 1] ^= 0xFF
+    pipeline.push(concat(bad, text(''), text('0.7,0.8')))
+    expect(malformed.map(record => record.reason)).toEqual(['CRC mismatch'])
+    expect(frames.map(frame => frame.values)).toEqual([[0.7, 0.8]])
+    expect(pipeline.stats.corrupted).toBe(1)
+  })
+
+  it('passes malformed lines on with their reason', () => {
+    const { pipeline, frames, malformed } = collect()
+    pipeline.push(text('#META channels=2'))
+    pipeline.push(text('1,2,3'))
+    pipeline.push(text('garbage'))
+    expect(frames).toEqual([])
+    expect(malformed.map(record => record.reason)).toEqual(['expected 2 values, got 3', 'unrecognised message'])
+  })
+})
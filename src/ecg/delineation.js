@@ -0,0 +1,176 @@
+import { correctQT } from './qtc'
+
+/**
+ * Waveform delineation
+ * Locates the P wave, QRS complex and T wave of every beat found by the QRS
+ * detector (beatDetector.js), slope-based on a lightly smoothed lead:
+ * - QRS onset / offset: the steep part around R, extended outwards while the
+ *   slope stays above a small fraction of the steepest one; J = QRS offset
+ * - isoelectric level: the PR segment just before the QRS onset
+ * - T peak: the largest deflection from it between J and ~60% of the RR;
+ *   T end by the tangent method (its steepest return slope extended to the
+ *   isoelectric level)
+ * - P peak: the largest deflection before the QRS, after the previous T;
+ *   P onset / offset where it falls back near the isoelectric level
+ * Waves too small to tell from noise are left null, as is every point of a
+ * beat with lost samples (NaN) in its span. Indices are sample indices.
+ */
+const SMOOTH_SECONDS = 0.02
+const QRS_WINDOW = [0.12, 0.16] // s before and after R searched for the complex
+const QRS_STRONG = 0.2 // of the steepest QRS slope: inside the complex
+const QRS_FLAT = 0.08 // below this the complex has ended
+const ISO_SECONDS = 0.02
+const ST_SECONDS = 0.06 // ST level measured this long after J
+const T_START_SECONDS = 0.06
+const T_END_RR = 0.6
+const T_SLOPE_SECONDS = 0.2
+const T_MIN = 0.05 // of the QRS amplitude
+const P_WINDOW = [0.3, 0.01] // s before the QRS onset
+const P_MIN = 0.06
+const P_EDGE = 0.15 // of the P amplitude, at its onset and offset
+const P_RIVAL = 0.5 // largest other deflection before the QRS, of the P amplitude
+// Plausible intervals (ms); measurements outside them are delineation failures
+const LIMITS = { pr: [60, 400], qrs: [40, 200], qt: [200, 700] }
+
+function smooth(samples, sampleRate) {
+  const half = Math.max(1, Math.round(sampleRate * SMOOTH_SECONDS / 2))
+  const out = new Float64Array(samples.length)
+  for (let i = 0; i < samples.length; i++) {
+    let sum = 0
+    let count = 0
+    for (let k = Math.max(0, i - half); k <= Math.min(samples.length - 1, i + half); k++) { sum += samples[k]; count++ }
+    out[i] = sum / count
+  }
+  return out
+}
+
+const median = values => {
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid = sorted.length >> 1
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
+
+/**
+ * Fiducial points of each beat: [{ r, pOnset, pPeak, pOffset, qrsOnset,
+ * qrsOffset, j, tPeak, tEnd, isoelectric, st }]. st is the level J + 60 ms
+ * above the isoelectric one, in the samples' units.
+ */
+export function delineateBeats(samples, beats, sampleRate) {
+  const at = seconds => Math.round(seconds * sampleRate)
+  const s = smooth(samples, sampleRate)
+  const slope = new Float64Array(s.length)
+  for (let i = 1; i < s.length - 1; i++) slope[i] = (s[i + 1] - s[i - 1]) / 2
+  const finite = (from, to) => {
+    if (from < 0 || to >= s.length) return false
+    for (let i = from; i <= to; i++) if (!Number.isFinite(s[i])) return false
+    return true
+  }
+  const rr = beats.slice(1).map((r, k) => r - beats[k])
+  const typicalRR = rr.length ? median(rr) : at(1)
+  const waves = []
+  let previousTEnd = null
+
+  beats.forEach((r, k) => {
+    const wave = { r, pOnset: null, pPeak: null, pOffset: null, qrsOnset: null, qrsOffset: null, j: null, tPeak: null, tEnd: null, isoelectric: null, st: null }
+    waves.push(wave)
+    const from = r - at(QRS_WINDOW[0])
+    const to = r + at(QRS_WINDOW[1])
+    if (!finite(from - at(ISO_SECONDS) - 1, to + 1)) { previousTEnd = null; return }
+
+    // QRS: first and last steep sample, then out to where the slope flattens
+    let steepest = 0
+    for (let i = from; i <= to; i++) steepest = Math.max(steepest, Math.abs(slope[i]))
+    if (!(steepest > 0)) return
+    let onset = from
+    while (onset < r && Math.abs(slope[onset]) < QRS_STRONG * steepest) onset++
+    while (onset > from && Math.abs(slope[onset - 1]) > QRS_FLAT * steepest) onset--
+    let offset = to
+    while (offset > r && Math.abs(slope[offset]) < QRS_STRONG * steepest) offset--
+    while (offset < to && Math.abs(slope[offset + 1]) > QRS_FLAT * steepest) offset++
+    wave.qrsOnset = onset
+    wave.qrsOffset = offset
+    wave.j = offset
+
+    let iso = 0
+    for (let i = onset - at(ISO_SECONDS); i < onset; i++) iso += s[i]
+    iso /= Math.max(1, at(ISO_SECONDS))
+    wave.isoelectric = iso
+    let high = -Infinity
+    let low = Infinity
+    for (let i = onset; i <= offset; i++) { high = Math.max(high, s[i]); low = Math.min(low, s[i]) }
+    const qrsAmplitude = high - low
+    const stAt = offset + at(ST_SECONDS)
+    if (stAt < s.length && Number.isFinite(s[stAt])) wave.st = s[stAt] - iso
+
+    // P wave: between the previous T wave and the QRS
+    const pFrom = Math.max(onset - at(P_WINDOW[0]), previousTEnd !== null ? previousTEnd + 1 : 0, k > 0 ? beats[k - 1] + at(QRS_WINDOW[1]) : 0)
+    const pTo = onset - at(P_WINDOW[1])
+    if (pTo > pFrom && finite(pFrom, pTo)) {
+      let peak = pFrom
+      for (let i = pFrom; i <= pTo; i++) if (Math.abs(s[i] - iso) > Math.abs(s[peak] - iso)) peak = i
+      const amplitude = Math.abs(s[peak] - iso)
+      // A peak on the window's edge is the tail of another wave, not a P wave
+      if (amplitude >= P_MIN * qrsAmplitude && peak > pFrom && peak < pTo) {
+        let pOnset = peak
+        while (pOnset > pFrom && Math.abs(s[pOnset - 1] - iso) > P_EDGE * amplitude) pOnset--
+        let pOffset = peak
+        while (pOffset < pTo && Math.abs(s[pOffset + 1] - iso) > P_EDGE * amplitude) pOffset++
+        // Fibrillation or noise: other deflections in the window as large
+        let rival = 0
+        for (let i = pFrom; i <= pTo; i++) if (i < pOnset || i > pOffset) rival = Math.max(rival, Math.abs(s[i] - iso))
+        if (rival < P_RIVAL * amplitude) Object.assign(wave, { pOnset, pPeak: peak, pOffset })
+      }
+    }
+
+    // T wave: after J, before the next beat
+    const next = k + 1 < beats.length ? beats[k + 1] : Infinity
+    const tFrom = offset + at(T_START_SECONDS)
+    const tTo = Math.min(r + Math.round(T_END_RR * (k + 1 < beats.length ? beats[k + 1] - r : typicalRR)), next - at(QRS_WINDOW[0]), s.length - 2)
+    previousTEnd = null
+    if (tTo <= tFrom || !finite(tFrom, tTo)) return
+    let tPeak = tFrom
+    for (let i = tFrom; i <= tTo; i++) if (Math.abs(s[i] - iso) > Math.abs(s[tPeak] - iso)) tPeak = i
+    const tAmplitude = s[tPeak] - iso
+    if (Math.abs(tAmplitude) < T_MIN * qrsAmplitude || tPeak === tFrom || tPeak === tTo) return
+    // Tangent at the steepest return towards the isoelectric level
+    const direction = -Math.sign(tAmplitude)
+    const slopeTo = Math.min(tPeak + at(T_SLOPE_SECONDS), next - at(QRS_WINDOW[0]), s.length - 2)
+    if (!finite(tPeak, slopeTo)) return
+    let steep = tPeak
+    for (let i = tPeak; i <= slopeTo; i++) if (direction * slope[i] > direction * slope[steep]) steep = i
+    if (!(direction * slope[steep] > 0)) return
+    const tEnd = Math.round(steep + (iso - s[steep]) / slope[steep])
+    wave.tPeak = tPeak
+    wave.tEnd = Math.min(Math.max(tEnd, steep), slopeTo)
+    previousTEnd = wave.tEnd
+  })
+  return waves
+}
+
+/**
+ * Median PR, QRS, QT and RR (ms), the QTc by every formula (qtc.js) and
+ * the ST level (sample units) over the delineated beats, each null with
+ * fewer than two plausible measurements (PR also without a P wave in most
+ * beats).
+ * counts: how many beats each one is from.
+ */
+export function measureIntervals(waves, sampleRate) {
+  const ms = samples => samples * 1000 / sampleRate
+  const collect = (name, measure) => waves.map(measure).filter(v => v !== null && Number.isFinite(v) && (!LIMITS[name] || (v >= LIMITS[name][0] && v <= LIMITS[name][1])))
+  const values = {
+    pr: collect('pr', w => (w.pOnset !== null && w.qrsOnset !== null ? ms(w.qrsOnset - w.pOnset) : null)),
+    qrs: collect('qrs', w => (w.qrsOnset !== null ? ms(w.qrsOffset - w.qrsOnset) : null)),
+    qt: collect('qt', w => (w.tEnd !== null ? ms(w.tEnd - w.qrsOnset) : null)),
+    rr: collect('rr', (w, k) => (k > 0 ? ms(w.r - waves[k - 1].r) : null)),
+    st: collect('st', w => w.st)
+  }
+  const result = { counts: {} }
+  for (const [name, list] of Object.entries(values)) {
+    result[name] = list.length >= 2 ? median(list) : null
+    result.counts[name] = list.length
+  }
+  // P waves in under half the beats are not organised atrial activity (fibrillation): no PR
+  if (values.pr.length < 0.5 * values.qrs.length) result.pr = null
+  result.qtc = result.qt !== null && result.rr !== null ? correctQT(result.qt, result.rr) : null
+  return result
+}
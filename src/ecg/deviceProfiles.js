@@ -0,0 +1,164 @@
+/**
+ * Device profiles
+ * What a board streams: the lead carried by each column (in column order),
+ * how its ADC counts become millivolts at the electrodes, and the sample and
+ * baud rate to open it with until it announces its own (#META rate=...).
+ *   mV = counts × Vref / full scale / front-end gain × 1000
+ * Full scale is 2^bits - 1 for a unipolar ADC (Arduino, counts 0..full) and
+ * 2^(bits-1) for a bipolar one sending signed counts (ADS1292).
+ * Built-in profiles cover the boards we ship; custom ones are kept in
+ * localStorage and travel as JSON files.
+ */
+const STORAGE_KEY = 'nextecg.deviceProfiles'
+const EXPORT_FORMAT = 'nextecg-device-profiles'
+
+// Lead a column may carry; 'skip' ignores it (legacy BPM / irregularity columns are read separately)
+export const PROFILE_LEADS = ['I', 'II', 'III', 'aVR', 'aVL', 'aVF', 'skip']
+const LIMB_LEADS = ['I', 'II', 'III', 'aVR', 'aVL', 'aVF']
+
+export const BUILT_IN_PROFILES = [
+  // Two AD8232 modules (×100 in-amp, ×11 output stage) into the Uno's 10-bit ADC ('hardware code')
+  { id: 'nextecg-ad8232', name: 'NextECG (2× AD8232, Arduino Uno)', builtIn: true, leads: ['I', 'II'], adcBits: 10, vref: 5, gain: 1100, bipolar: false, sampleRate: 125, baudRate: 9600 },
+  // Both channels of an ADS1292R at the default PGA gain and internal 2.42 V reference
+  { id: 'ads1292', name: 'ADS1292R (24-bit, PGA ×6)', builtIn: true, leads: ['I', 'II'], adcBits: 24, vref: 2.42, gain: 6, bipolar: true, sampleRate: 500, baudRate: 115200 }
+]
+
+export const DEFAULT_PROFILE_ID = BUILT_IN_PROFILES[0].id
+
+// The ADC pin voltage the pages assumed before profiles: 10-bit at 5 V, no amplifier
+const PIN_VOLTAGE = { adcBits: 10, vref: 5, gain: 1, bipolar: false }
+
+/**
+ * Millivolts per ADC count and the counts' range in mV (the rails a
+ * disconnected electrode drives the input to). profile: null for PIN_VOLTAGE.
+ */
+export function adcScale(profile) {
+  const { adcBits, vref, gain, bipolar } = profile || PIN_VOLTAGE
+  const full = bipolar ? 2 ** (adcBits - 1) : 2 ** adcBits - 1
+  const mvPerCount = (vref * 1000) / full / gain
+  return { mvPerCount, rails: bipolar ? [-full * mvPerCount, (full - 1) * mvPerCount] : [0, full * mvPerCount] }
+}
+
+/**
+ * Maps a frame's columns onto the leads the worker layouts expect: all six
+ * limb leads in order when the board sends them, otherwise Lead I and II
+ * (from any two of I, II and III; Einthoven: II = I + III).
+ * Returns { channels, map(values, out) }; map is false for a short frame.
+ */
+export function createChannelMap(leads) {
+  const column = name => leads.indexOf(name)
+  if (LIMB_LEADS.every(lead => column(lead) >= 0)) {
+    const columns = LIMB_LEADS.map(column)
+    return {
+      channels: 6,
+      map(values, out) {
+        if (values.length < leads.length) return false
+        for (let i = 0; i < 6; i++) out[i] = values[columns[i]]
+        return true
+      }
+    }
+  }
+  const [i, ii, iii] = ['I', 'II', 'III'].map(column)
+  return {
+    channels: 2,
+    map(values, out) {
+      if (values.length < leads.length) return false
+      out[0] = i >= 0 ? values[i] : values[ii] - values[iii]
+      out[1] = ii >= 0 ? values[ii] : values[i] + values[iii]
+      return true
+    }
+  }
+}
+
+// Throws with the first problem found, otherwise returns the profile with only the known fields
+export function validateProfile(profile) {
+  if (!profile || typeof profile !== 'object') throw new Error('Profile is not an object')
+  const { id, name, leads, adcBits, vref, gain, bipolar, sampleRate, baudRate } = profile
+  const label = typeof name === 'string' && name.trim() ? name.trim() : null
+  if (!label) throw new Error('Profile needs a name')
+  if (!Array.isArray(leads) || leads.length < 2) throw new Error(`${label}: list the lead of at least two columns`)
+  const unknown = leads.find(lead => !PROFILE_LEADS.includes(lead))
+  if (unknown !== undefined) throw new Error(`${label}: unknown lead "${unknown}" (use ${PROFILE_LEADS.join(', ')})`)
+  const repeated = leads.find((lead, i) => lead !== 'skip' && leads.indexOf(lead) !== i)
+  if (repeated) throw new Error(`${label}: lead ${repeated} is assigned twice`)
+  if (['I', 'II', 'III'].filter(lead => leads.includes(lead)).length < 2) throw new Error(`${label}: two of I, II and III are needed`)
+  if (!Number.isInteger(adcBits) || adcBits < 8 || adcBits > 32) throw new Error(`${label}: ADC bits must be 8 to 32`)
+  if (!(vref > 0)) throw new Error(`${label}: reference voltage must be above 0`)
+  if (!(gain > 0)) throw new Error(`${label}: gain must be above 0`)
+  if (!(sampleRate >= 20 && sampleRate <= 10000)) throw new Error(`${label}: sample rate must be 20 to 10000 Hz`)
+  if (!Number.isInteger(baudRate) || baudRate <= 0) throw new Error(`${label}: baud rate must be a whole number`)
+  return { id: typeof id === 'string' && id ? id : null, name: label, leads: [...leads], adcBits, vref, gain, bipolar: Boolean(bipolar), sampleRate, baudRate }
+}
+
+// "I, II · 10-bit 5 V ×1100 · 125 Hz · 9600 baud"
+export function describeDeviceProfile(profile) {
+  const leads = profile.leads.map(lead => (lead === 'skip' ? '–' : lead)).join(', ')
+  return `${leads} · ${profile.adcBits}-bit ${profile.bipolar ? '±' : ''}${profile.vref} V ×${profile.gain} · ${profile.sampleRate} Hz · ${profile.baudRate} baud`
+}
+
+function readStore() {
+  try { return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {} } catch (_e) { return {} }
+}
+
+function writeStore(store) {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(store)) } catch (e) { console.warn('Could not save device profiles', e) }
+}
+
+// Built-in profiles first, then the custom ones (invalid stored entries are dropped)
+export function loadDeviceProfiles() {
+  const custom = (readStore().profiles || []).flatMap(stored => {
+    try { return [validateProfile(stored)] } catch (e) { console.warn('Ignoring stored device profile', e); return [] }
+  })
+  return [...BUILT_IN_PROFILES, ...custom.filter(p => p.id)]
+}
+
+export function getDeviceProfile(id) {
+  const profiles = loadDeviceProfiles()
+  return profiles.find(p => p.id === id) || profiles[0]
+}
+
+/**
+ * Save a custom profile and return it. A built-in or new profile is saved
+ * as a copy under a fresh id; a custom one replaces its stored version.
+ */
+export function saveDeviceProfile(profile) {
+  const valid = validateProfile(profile)
+  const store = readStore()
+  const custom = store.profiles || []
+  const replaces = valid.id && custom.some(p => p.id === valid.id)
+  const saved = replaces ? valid : { ...valid, id: `custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}` }
+  writeStore({ ...store, profiles: replaces ? custom.map(p => (p.id === saved.id ? saved : p)) : [...custom, saved] })
+  return saved
+}
+
+export function deleteDeviceProfile(id) {
+  const store = readStore()
+  writeStore({ ...store, profiles: (store.profiles || []).filter(p => p.id !== id) })
+}
+
+// The profile picked at connect time
+export function loadDeviceProfileId() {
+  const id = readStore().selected
+  return loadDeviceProfiles().some(p => p.id === id) ? id : DEFAULT_PROFILE_ID
+}
+
+export function saveDeviceProfileId(id) {
+  writeStore({ ...readStore(), selected: id })
+}
+
+export function exportDeviceProfiles(profiles) {
+  return JSON.stringify({ format: EXPORT_FORMAT, version: 1, profiles: profiles.map(({ builtIn, ...profile }) => profile) }, null, 2)
+}
+
+/**
+ * Profiles from an exported file, a bare array or a single profile object.
+ * Imported profiles get fresh ids when saved, so they never overwrite one here.
+ * Throws when the text is not JSON or any profile is invalid.
+ */
+export function parseDeviceProfiles(text) {
+  let data = null
+  try { data = JSON.parse(text) } catch (_e) { throw new Error('Not a JSON file') }
+  const list = data && data.format === EXPORT_FORMAT ? data.profiles : Array.isArray(data) ? data : [data]
+  if (!Array.isArray(list) || list.length === 0) throw new Error('No profiles in the file')
+  return list.map(profile => ({ ...validateProfile(profile), id: null }))
+}
@@ -0,0 +1,23 @@
+/**
+ * Dialog Styles
+ * Shared look for the connection dialogs shown before a source opens.
+ */
+export const dialogStyles = {
+  overlay: {
+    position: 'fixed', top: 0, left: 0, right: 0, bottom: 0,
+    background: 'rgba(0,0,0,0.5)', zIndex: 10000,
+    display: 'flex', alignItems: 'center', justifyContent: 'center'
+  },
+  dialog: {
+    background: '#ffffff', color: '#1f2937', borderRadius: 12, padding: 24,
+    width: 340, boxShadow: '0 10px 30px rgba(0,0,0,0.2)',
+    fontFamily: 'Inter, system-ui, sans-serif', fontSize: 13
+  },
+  title: { margin: '0 0 16px 0', fontSize: 16, fontWeight: 700 },
+  row: { display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 10, fontWeight: 600 },
+  input: { padding: '6px 10px', border: '1px solid #d1d5db', borderRadius: 6, fontSize: 12, minWidth: 150, background: '#ffffff', color: '#1f2937' },
+  hint: { fontSize: 11, color: '#6b7280', margin: '8px 0 16px 0', lineHeight: 1.4 },
+  actions: { display: 'flex', justifyContent: 'flex-end', gap: 10 },
+  primary: { padding: '8px 16px', borderRadius: 8, border: 'none', background: '#dc2626', color: '#ffffff', fontWeight: 600, cursor: 'pointer' },
+  secondary: { padding: '8px 16px', borderRadius: 8, border: '1px solid #d1d5db', background: '#f3f4f6', color: '#374151', fontWeight: 600, cursor: 'pointer' }
+}
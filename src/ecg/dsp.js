@@ -0,0 +1,220 @@
+/**
+ * IIR filter design
+ * Butterworth low-pass, high-pass and band-pass filters built as a cascade
+ * of biquad sections (bilinear transform with pre-warped corners), the same
+ * structure the firmware's ECGFilter1/ECGFilter2 run on the device.
+ * A band-pass is a high-pass at `low` followed by a low-pass at `high`, each
+ * of the given order, like the firmware's 4 + 4 section cascade.
+ *
+ * spec: { type: 'off' | 'bandpass' | 'highpass' | 'lowpass', order, low, high } (Hz)
+ * section: { b0, b1, b2, a1, a2 } for y = b0 x + b1 x[-1] + b2 x[-2] - a1 y[-1] - a2 y[-2]
+ */
+export const MAX_FILTER_ORDER = 8
+
+// Butterworth sections for one edge; odd orders end with a first-order section
+function butterworth(kind, order, cutoff, sampleRate) {
+  const nyquist = sampleRate / 2
+  const fc = Math.min(Math.max(cutoff, 1e-3), nyquist * 0.99)
+  const k = Math.tan(Math.PI * fc / sampleRate)
+  const sections = []
+  for (let i = 0; i < Math.floor(order / 2); i++) {
+    const q = 1 / (2 * Math.sin(Math.PI * (2 * i + 1) / (2 * order)))
+    const norm = 1 / (1 + k / q + k * k)
+    const a1 = 2 * (k * k - 1) * norm
+    const a2 = (1 - k / q + k * k) * norm
+    sections.push(kind === 'lowpass'
+      ? { b0: k * k * norm, b1: 2 * k * k * norm, b2: k * k * norm, a1, a2 }
+      : { b0: norm, b1: -2 * norm, b2: norm, a1, a2 })
+  }
+  if (order % 2) {
+    const norm = 1 / (1 + k)
+    const a1 = (k - 1) * norm
+    sections.push(kind === 'lowpass'
+      ? { b0: k * norm, b1: k * norm, b2: 0, a1, a2: 0 }
+      : { b0: norm, b1: -norm, b2: 0, a1, a2: 0 })
+  }
+  return sections
+}
+
+// Biquad sections for a filter spec at the given rate (empty when off)
+export function designFilter(spec, sampleRate) {
+  if (!spec || spec.type === 'off') return []
+  const order = Math.min(MAX_FILTER_ORDER, Math.max(1, Math.round(spec.order) || 1))
+  switch (spec.type) {
+    case 'lowpass': return butterworth('lowpass', order, spec.high, sampleRate)
+    case 'highpass': return butterworth('highpass', order, spec.low, sampleRate)
+    case 'bandpass': return [...butterworth('highpass', order, spec.low, sampleRate), ...butterworth('lowpass', order, spec.high, sampleRate)]
+    default: throw new Error(`Unknown filter type ${spec.type}`)
+  }
+}
+
+/**
+ * Run a cascade sample by sample (transposed direct form II).
+ * The first sample primes every section to its steady state, so a DC offset
+ * (raw ADC counts around 512) does not ring through the high-pass on connect.
+ */
+export function createFilter(sections) {
+  const state = sections.map(() => [0, 0])
+  let primed = false
+
+  function prime(x) {
+    for (let i = 0; i < sections.length; i++) {
+      const { b0, b1, b2, a1, a2 } = sections[i]
+      const y = x * (b0 + b1 + b2) / (1 + a1 + a2)
+      state[i][0] = y - b0 * x
+      state[i][1] = b2 * x - a2 * y
+      x = y
+    }
+  }
+
+  return {
+    sections,
+    process(x) {
+      if (!primed) { prime(x); primed = true }
+      for (let i = 0; i < sections.length; i++) {
+        const { b0, b1, b2, a1, a2 } = sections[i]
+        const s = state[i]
+        const y = b0 * x + s[0]
+        s[0] = b1 * x - a1 * y + s[1]
+        s[1] = b2 * x - a2 * y
+        x = y
+      }
+      return x
+    },
+    reset() { primed = false }
+  }
+}
+
+/**
+ * Forward-backward run over a finite record: no group delay, and for a linear
+ * filter the magnitude response is squared (a -3 dB corner becomes -6 dB).
+ * makeFilter() returns a fresh { process } for each direction. Both ends are
+ * padded with an odd reflection of up to `pad` samples so start-up transients
+ * settle outside the record.
+ */
+export function zeroPhase(makeFilter, samples, pad) {
+  const n = samples.length
+  const out = new Float64Array(n)
+  if (n === 0) return out
+  const p = Math.max(0, Math.min(pad, n - 1))
+  const ext = new Float64Array(n + 2 * p)
+  for (let i = 0; i < p; i++) ext[i] = 2 * samples[0] - samples[p - i]
+  for (let i = 0; i < n; i++) ext[p + i] = samples[i]
+  for (let i = 0; i < p; i++) ext[p + n + i] = 2 * samples[n - 1] - samples[n - 2 - i]
+  let filter = makeFilter()
+  for (let i = 0; i < ext.length; i++) ext[i] = filter.process(ext[i])
+  filter = makeFilter()
+  for (let i = ext.length - 1; i >= 0; i--) ext[i] = filter.process(ext[i])
+  out.set(ext.subarray(p, p + n))
+  return out
+}
+
+// |H(f)| of a cascade, for checking a design against the firmware's
+export function filterGain(sections, frequency, sampleRate) {
+  const w = 2 * Math.PI * frequency / sampleRate
+  let gain = 1
+  for (const { b0, b1, b2, a1, a2 } of sections) {
+    const num = Math.hypot(b0 + b1 * Math.cos(w) + b2 * Math.cos(2 * w), b1 * Math.sin(w) + b2 * Math.sin(2 * w))
+    const den = Math.hypot(1 + a1 * Math.cos(w) + a2 * Math.cos(2 * w), a1 * Math.sin(w) + a2 * Math.sin(2 * w))
+    gain *= num / den
+  }
+  return gain
+}
+
+/**
+ * Powerline interference
+ * spec: { mains: 'off' | 50 | 60, harmonics, adaptive }
+ * Fixed mode is a cascade of narrow biquad notches; adaptive mode is a
+ * Widrow-style canceller that fits a sine/cosine pair per frequency with LMS.
+ * The fitted phasor of the fundamental rotates when the mains is off its
+ * nominal frequency; that rotation retunes the references (up to ±MAX_DRIFT_HZ),
+ * so the canceller follows slow drift that a fixed notch would miss.
+ * Harmonics above Nyquist are skipped (at 125 Hz only 50 or 60 Hz itself).
+ */
+const NOTCH_Q = 30 // ~1.7 Hz wide at 50 Hz
+const MAX_HARMONIC = 5
+const ADAPT_SECONDS = 0.5 // LMS time constant
+const BASELINE_SECONDS = 1
+const MAX_DRIFT_HZ = 1
+const TRACK_SECONDS = 1 // frequency loop time constant
+
+export function powerlineFrequencies(spec, sampleRate) {
+  if (!spec || !(spec.mains > 0)) return []
+  const frequencies = []
+  const limit = spec.harmonics ? MAX_HARMONIC : 1
+  for (let k = 1; k <= limit && spec.mains * k < sampleRate / 2 * 0.98; k++) frequencies.push(spec.mains * k)
+  return frequencies
+}
+
+export function designNotch(frequency, sampleRate, q = NOTCH_Q) {
+  const w0 = 2 * Math.PI * frequency / sampleRate
+  const alpha = Math.sin(w0) / (2 * q)
+  const a0 = 1 + alpha
+  const a1 = -2 * Math.cos(w0) / a0
+  return { b0: 1 / a0, b1: a1, b2: 1 / a0, a1, a2: (1 - alpha) / a0 }
+}
+
+function createHumCanceller(frequencies, sampleRate) {
+  const mu = 1 / (ADAPT_SECONDS * sampleRate)
+  const baselineAlpha = 1 / (BASELINE_SECONDS * sampleRate)
+  const baseStep = 2 * Math.PI * frequencies[0] / sampleRate
+  const maxCorrection = 2 * Math.PI * MAX_DRIFT_HZ / sampleRate
+  const steps = frequencies.map((_, k) => baseStep * (k + 1))
+  let phases = frequencies.map(() => 0)
+  let weights = frequencies.map(() => [0, 0])
+  let baseline = null
+  let correction = 0 // fundamental step offset, radians per sample
+  let lastAngle = null
+
+  // Rotation of the fitted fundamental phasor = frequency error of the references
+  function track() {
+    const [ws, wc] = weights[0]
+    const angle = Math.atan2(wc, ws)
+    if (lastAngle !== null) {
+      let turn = angle - lastAngle
+      if (turn > Math.PI) turn -= 2 * Math.PI
+      if (turn < -Math.PI) turn += 2 * Math.PI
+      correction = Math.max(-maxCorrection, Math.min(maxCorrection, correction + turn / (TRACK_SECONDS * sampleRate)))
+      for (let k = 0; k < steps.length; k++) steps[k] = (baseStep + correction) * (k + 1)
+    }
+    lastAngle = angle
+  }
+
+  return {
+    process(x) {
+      let hum = 0
+      for (let k = 0; k < steps.length; k++) hum += weights[k][0] * Math.sin(phases[k]) + weights[k][1] * Math.cos(phases[k])
+      const y = x - hum
+      if (baseline === null) baseline = y
+      baseline += (y - baseline) * baselineAlpha
+      // Adapt on the signal minus its slow baseline, so a DC offset does not pull the weights
+      const error = y - baseline
+      for (let k = 0; k < steps.length; k++) {
+        weights[k][0] += 2 * mu * error * Math.sin(phases[k])
+        weights[k][1] += 2 * mu * error * Math.cos(phases[k])
+        phases[k] = (phases[k] + steps[k]) % (2 * Math.PI)
+      }
+      track()
+      return y
+    },
+    // Lost samples: keep the references in phase with the mains
+    skip(count) {
+      for (let k = 0; k < steps.length; k++) phases[k] = (phases[k] + steps[k] * count) % (2 * Math.PI)
+    },
+    reset() {
+      phases = frequencies.map(() => 0)
+      weights = frequencies.map(() => [0, 0])
+      baseline = null
+      correction = 0
+      lastAngle = null
+    }
+  }
+}
+
+// Per-lead powerline filter for a spec, or null when off
+export function createPowerlineFilter(spec, sampleRate) {
+  const frequencies = powerlineFrequencies(spec, sampleRate)
+  if (frequencies.length === 0) return null
+  if (spec.adaptive) return createHumCanceller(frequencies, sampleRate)
+  return createFilter(frequencies.map(f => designNotch(f, sampleRate)))
+}
@@ -0,0 +1,99 @@
+import { describe, expect, it } from 'vitest'
+import { MAX_FILTER_ORDER, createFilter, designFilter, filterGain, zeroPhase } from './dsp'
+
+const RATES = [125, 250, 500]
+const ORDERS = Array.from({ length: MAX_FILTER_ORDER }, (_, i) => i + 1)
+const CORNER = Math.SQRT1_2 // -3 dB
+// |H| of the analogue Butterworth prototype at `ratio` × the corner; the bilinear design is flatter below and steeper above
+const prototype = (ratio, order) => 1 / Math.sqrt(1 + ratio ** (2 * order))
+
+const sine = (frequency, sampleRate, length) => Array.from({ length }, (_, n) => Math.sin(2 * Math.PI * frequency * n / sampleRate))
+const peak = (values, from = 0) => Math.max(...values.slice(from).map(Math.abs))
+
+describe('designFilter', () => {
+  it('is off without a spec', () => {
+    expect(designFilter({ type: 'off' }, 250)).toEqual([])
+    expect(designFilter(null, 250)).toEqual([])
+    expect(() => designFilter({ type: 'notch', order: 2 }, 250)).toThrow('Unknown filter type notch')
+  })
+
+  it('builds order / 2 biquads, plus a first-order section for odd orders', () => {
+    for (const order of ORDERS) expect(designFilter({ type: 'lowpass', order, high: 40 }, 250)).toHaveLength(Math.ceil(order / 2))
+    expect(designFilter({ type: 'bandpass', order: 4, low: 0.5, high: 40 }, 250)).toHaveLength(4)
+  })
+
+  for (const sampleRate of RATES) {
+    it(`puts a Butterworth low-pass corner at -3 dB at ${sampleRate} Hz`, () => {
+      for (const order of ORDERS) {
+        const sections = designFilter({ type: 'lowpass', order, high: 40 }, sampleRate)
+        expect(filterGain(sections, 0, sampleRate)).toBeCloseTo(1, 6)
+        expect(filterGain(sections, 40, sampleRate)).toBeCloseTo(CORNER, 6)
+        expect(filterGain(sections, 10, sampleRate)).toBeGreaterThan(prototype(10 / 40, order))
+        expect(filterGain(sections, 60, sampleRate)).toBeLessThan(prototype(60 / 40, order))
+      }
+    })
+
+    it(`puts a Butterworth high-pass corner at -3 dB at ${sampleRate} Hz`, () => {
+      for (const order of ORDERS) {
+        const sections = designFilter({ type: 'highpass', order, low: 0.5 }, sampleRate)
+        expect(filterGain(sections, 0, sampleRate)).toBeCloseTo(0, 9)
+        expect(filterGain(sections, 0.5, sampleRate)).toBeCloseTo(CORNER, 6)
+        expect(filterGain(sections, 0.25, sampleRate)).toBeLessThan(prototype(0.5 / 0.25, order))
+        expect(filterGain(sections, 1, sampleRate)).toBeGreaterThan(prototype(0.5 / 1, order))
+        expect(filterGain(sections, 20, sampleRate)).toBeCloseTo(1, 3)
+      }
+    })
+  }
+
+  it('keeps the band-pass passband flat and both corners at -3 dB', () => {
+    const sections = designFilter({ type: 'bandpass', order: 4, low: 0.5, high: 40 }, 250)
+    expect(filterGain(sections, 10, 250)).toBeCloseTo(1, 3)
+    expect(filterGain(sections, 0.5, 250)).toBeCloseTo(CORNER, 3)
+    expect(filterGain(sections, 40, 250)).toBeCloseTo(CORNER, 3)
+    expect(filterGain(sections, 100, 250)).toBeLessThan(prototype(100 / 40, 4))
+    expect(filterGain(sections, 0.1, 250)).toBeLessThan(prototype(0.5 / 0.1, 4))
+  })
+})
+
+describe('createFilter', () => {
+  it('passes a sine with the designed gain once settled', () => {
+    const sampleRate = 250
+    const sections = designFilter({ type: 'lowpass', order: 4, high: 40 }, sampleRate)
+    for (const frequency of [10, 40, 80]) {
+      const filter = createFilter(sections)
+      const out = sine(frequency, sampleRate, 2 * sampleRate).map(x => filter.process(x))
+      expect(peak(out, sampleRate)).toBeCloseTo(filterGain(sections, frequency, sampleRate), 2)
+    }
+  })
+
+  it('starts a high-pass settled on the first sample, with no DC step', () => {
+    const filter = createFilter(designFilter({ type: 'highpass', order: 2, low: 0.5 }, 125))
+    const out = Array.from({ length: 250 }, () => filter.process(512))
+    expect(peak(out)).toBeLessThan(1e-9)
+  })
+})
+
+describe('zeroPhase', () => {
+  const sampleRate = 250
+  const sections = designFilter({ type: 'lowpass', order: 2, high: 20 }, sampleRate)
+  const makeFilter = () => createFilter(sections)
+
+  it('squares the magnitude response', () => {
+    for (const frequency of [5, 20, 40]) {
+      const out = Array.from(zeroPhase(makeFilter, sine(frequency, sampleRate, 4 * sampleRate), sampleRate))
+      expect(peak(out.slice(sampleRate, 3 * sampleRate))).toBeCloseTo(filterGain(sections, frequency, sampleRate) ** 2, 2)
+    }
+  })
+
+  it('leaves a pulse where it was', () => {
+    const pulse = Array.from({ length: 500 }, (_, n) => Math.exp(-(((n - 250) / 5) ** 2)))
+    const out = Array.from(zeroPhase(makeFilter, pulse, 250))
+    expect(out.indexOf(Math.max(...out))).toBe(250)
+    expect(out[240]).toBeCloseTo(out[260], 6)
+  })
+
+  it('handles empty and one-sample records', () => {
+    expect(zeroPhase(makeFilter, [], 10)).toHaveLength(0)
+    expect(Array.from(zeroPhase(makeFilter, [3], 10))[0]).toBeCloseTo(3, 9)
+  })
+})
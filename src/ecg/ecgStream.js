@@ -0,0 +1,124 @@
+import { createFramePipeline } from './framePipeline'
+
+/**
+ * ECG Acquisition Stream
+ * Reads raw bytes from any source (serial, bridge, file replay, simulator)
+ * and feeds them to a frame pipeline, which splits text lines from binary
+ * frames, classifies them with the device protocol and emits timestamped
+ * multi-channel frames.
+ * Binary frames carry a sequence counter; missing counts are reported on the
+ * next frame as `lost` so pages can draw a gap instead of stitching.
+ * Every frame is stamped from the sample clock (sampleIndex, time in seconds);
+ * `timestamp` is the wall-clock arrival time and is for diagnostics only.
+ * Sources with reconnect() (serial) are reopened when the link drops; the
+ * outage is reported as `lost` on the first frame after it, like a sequence gap.
+ * options.pipeline swaps the in-thread pipeline for another one with the same
+ * shape (the ECG worker client), so parsing can run off the main thread;
+ * stop() disposes it.
+ * Both monitor pages consume frames from here instead of talking to a port.
+ */
+
+/**
+ * Connect a source to frame handlers.
+ * handlers: {
+ *   onFrame({ seq, sampleIndex, time, timestamp, values, lost }), onControl(record), onMeta(header),
+ *   onMalformed(record), onCalibration('running' | 'done'), onClock(health),
+ *   onConnection('lost' | 'restored'), onError(err), onEnd()
+ * }
+ * options: { sampleRate } nominal rate until the device announces one, { pipeline } see above
+ */
+export function createEcgStream(source, handlers = {}, options = {}) {
+  const { onConnection, onError, onEnd } = handlers
+  const pipeline = options.pipeline || createFramePipeline(handlers, { sampleRate: options.sampleRate, playbackRate: source.playbackRate })
+  let reader = null
+  let running = false
+  let reconnectAbort = null
+  let unwatch = null
+
+  async function start() {
+    await source.open()
+    openPipe()
+    running = true
+    // Some links (Bluetooth SPP) stall instead of erroring; the disconnect event unblocks the read
+    if (source.onDisconnect) unwatch = source.onDisconnect(() => { if (reader) reader.cancel().catch(() => { }) })
+    readLoop()
+  }
+
+  function openPipe() {
+    reader = source.readable.getReader()
+  }
+
+  async function closePipe() {
+    if (!reader) return
+    const r = reader
+    reader = null
+    await r.cancel().catch(() => { })
+    r.releaseLock()
+  }
+
+  async function pump() {
+    while (running) {
+      const { value, done } = await reader.read()
+      if (done) { pipeline.flush(); return }
+      pipeline.push(value)
+    }
+  }
+
+  // Reopen a dropped source and carry the outage over as a gap
+  async function resume() {
+    if (onConnection) onConnection('lost')
+    await closePipe()
+    reconnectAbort = new AbortController()
+    await source.reconnect(reconnectAbort.signal)
+    reconnectAbort = null
+    if (!running) { await source.close(); return }
+    openPipe()
+    pipeline.linkRestored()
+    if (onConnection) onConnection('restored')
+  }
+
+  async function readLoop() {
+    try {
+      while (running) {
+        try {
+          await pump()
+        } catch (err) {
+          if (!running || !source.reconnect) throw err
+          console.warn('ECG source read failed, reconnecting', err)
+        }
+        // Ended or failed: sources that can reconnect are reopened, the rest are finished
+        if (!running || !source.reconnect) break
+        await resume()
+      }
+    } catch (err) {
+      if (running && onError) onError(err)
+    } finally {
+      const wasRunning = running
+      running = false
+      if (unwatch) { unwatch(); unwatch = null }
+      if (wasRunning && onEnd) onEnd()
+    }
+  }
+
+  async function stop() {
+    running = false
+    if (reconnectAbort) reconnectAbort.abort()
+    if (unwatch) { unwatch(); unwatch = null }
+    try {
+      await closePipe()
+    } catch (e) { console.warn(e) }
+    await source.close()
+    if (pipeline.dispose) await pipeline.dispose()
+  }
+
+  return {
+    source,
+    pipeline,
+    get protocol() { return pipeline.protocol },
+    get clock() { return pipeline.clock },
+    get stats() { return pipeline.stats },
+    start,
+    stop,
+    get running() { return running }
+  }
+}
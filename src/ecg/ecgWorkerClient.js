@@ -0,0 +1,123 @@
+/**
+ * ECG worker client
+ * Main-thread side of worker/ecg.worker.js. Has the same shape as a frame
+ * pipeline (push, flush, linkRestored, protocol, clock, stats), so it can be
+ * handed to createEcgStream as options.pipeline; the stream keeps reading
+ * the source and forwards its bytes, the worker does everything else.
+ *
+ * handlers: {
+ *   onBatch({ firstSample, count, lost, leads, raw, beats, labels, device, sampleRate, stats }),
+ *   onControl(record), onMeta(header), onMalformed(record), onCalibration('running' | 'done'), onClock(health),
+ *   onQuality(assessLeads result, see signalQuality.js) about twice a second,
+ *   onElectrodes(assessElectrodes result, see leadOff.js) at the same rate,
+ *   onReversal({ ...detectReversal result, correction }) likewise with the limb6 layout
+ *     (see leadReversal.js; `correction` is the swap already being undone),
+ *   onAmplitude({ calibrated, reason }) when absolute / normalised amplitudes change (amplitude.js),
+ *   onAmplitudeCalibration({ mvPerUnit, amplitudes, units, referenceMv } | { error }) after calibrateAmplitude()
+ * }
+ *   If the worker fails it is stopped: a running calibration ends with { error },
+ *   dispose() resolves at once and later calls do nothing.
+ *   A batch holds `count` consecutive samples from sampleIndex `firstSample`, one
+ *   Float32Array per lead; `lost` samples are missing right before it. `beats` are
+ *   R-peak sample indices and `labels` their class, 'N' | 'S' | 'V' | 'Q' (beatClassifier.js),
+ *   posted about 200 ms after the peak (the first few once the classifier has learned
+ *   the usual QRS); `raw` (with keepRaw) the leads before notch and filter;
+ *   `device` holds legacy BPM / irregularity columns.
+ * options: { sampleRate, playbackRate, layout: 'limb6' | 'raw2', units: 'mv' | 'adc' | null (as sent),
+ *            filter, powerline: dsp.js specs or null, dropWhileCalibrating, legacyExtras, keepRaw,
+ *            reversal: electrode swap to correct (limb6), see leadReversal.js,
+ *            amplitude: { mode, profile } see amplitude.js,
+ *            device: device profile (column leads, ADC scale) or null for columns as sent, see deviceProfiles.js }
+ */
+const EVENT_HANDLERS = {
+  control: 'onControl',
+  meta: 'onMeta',
+  malformed: 'onMalformed',
+  calibration: 'onCalibration',
+  clock: 'onClock',
+  quality: 'onQuality',
+  electrodes: 'onElectrodes',
+  reversal: 'onReversal',
+  amplitude: 'onAmplitude',
+  amplitudeCalibration: 'onAmplitudeCalibration'
+}
+
+export function createWorkerPipeline(handlers = {}, options = {}) {
+  const worker = new Worker(new URL('./worker/ecg.worker.js', import.meta.url), { type: 'module' })
+  const stats = { frames: 0, lost: 0, corrupted: 0, reconnects: 0 }
+  const protocol = { header: {} }
+  const clock = {
+    sampleRate: options.sampleRate || 125,
+    health: null,
+    setSampleRate(rate) {
+      if (rate === clock.sampleRate) return
+      clock.sampleRate = rate
+      post({ type: 'setSampleRate', sampleRate: rate })
+    },
+    timeOf(sampleIndex) { return sampleIndex / clock.sampleRate }
+  }
+  let disposed = null
+  let resolveDisposed = null
+  let dead = false
+  let calibrating = false
+
+  const post = message => { if (!dead) worker.postMessage(message) }
+  const failCalibration = () => {
+    calibrating = false
+    if (handlers.onAmplitudeCalibration) handlers.onAmplitudeCalibration({ error: 'The ECG worker stopped; reconnect to calibrate.' })
+  }
+
+  worker.onmessage = ({ data }) => {
+    if (data.stats) Object.assign(stats, data.stats)
+    if (data.type === 'batch') {
+      clock.sampleRate = data.sampleRate
+      if (handlers.onBatch) handlers.onBatch(data)
+    } else if (data.type === 'event') {
+      if (data.name === 'meta') {
+        protocol.header = data.payload
+        if (data.payload.sampleRate) clock.sampleRate = data.payload.sampleRate
+      }
+      if (data.name === 'clock') clock.health = data.payload
+      if (data.name === 'amplitudeCalibration') calibrating = false
+      const handler = handlers[EVENT_HANDLERS[data.name]]
+      if (handler) handler(data.payload)
+    } else if (data.type === 'disposed') {
+      worker.terminate()
+      resolveDisposed()
+    }
+  }
+  worker.onerror = e => {
+    console.error('ECG worker failed', e.message || e)
+    dead = true
+    worker.terminate()
+    if (calibrating) failCalibration()
+    if (resolveDisposed) resolveDisposed()
+  }
+  worker.postMessage({ type: 'init', options })
+
+  return {
+    protocol,
+    clock,
+    stats,
+    push(bytes) { post({ type: 'bytes', bytes }) },
+    flush() { post({ type: 'flush' }) },
+    linkRestored() { post({ type: 'linkRestored' }) },
+    // Change units / filter / powerline specs on a running stream
+    configure(settings) { post({ type: 'configure', settings }) },
+    // Record the known test signal for `seconds` and measure mV per device unit
+    calibrateAmplitude(seconds, referenceMv) {
+      if (dead) return failCalibration()
+      calibrating = true
+      post({ type: 'calibrateAmplitude', seconds, referenceMv })
+    },
+    // Resolves once the worker has posted its last batch and stopped
+    dispose() {
+      if (dead) return Promise.resolve()
+      if (!disposed) {
+        disposed = new Promise(resolve => { resolveDisposed = resolve })
+        worker.postMessage({ type: 'dispose' })
+      }
+      return disposed
+    }
+  }
+}
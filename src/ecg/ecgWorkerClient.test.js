@@ -0,0 +1,57 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createWorkerPipeline } from './ecgWorkerClient'
+
+// Stands in for the module worker: records what it is sent and whether it was stopped
+class FakeWorker {
+  constructor() {
+    this.sent = []
+    this.terminated = false
+    FakeWorker.last = this
+  }
+
+  postMessage(message) { this.sent.push(message.type) }
+  terminate() { this.terminated = true }
+}
+
+describe('createWorkerPipeline', () => {
+  beforeEach(() => {
+    vi.stubGlobal('Worker', FakeWorker)
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    vi.restoreAllMocks()
+  })
+
+  it('resolves dispose once the worker has stopped', async () => {
+    const pipeline = createWorkerPipeline()
+    const worker = FakeWorker.last
+    let done = false
+    pipeline.dispose().then(() => { done = true })
+    await Promise.resolve()
+    expect(done).toBe(false)
+    worker.onmessage({ data: { type: 'disposed' } })
+    await pipeline.dispose()
+    expect(worker.terminated).toBe(true)
+    expect(worker.sent).toEqual(['init', 'dispose'])
+  })
+
+  it('stops a failed worker, ends what waits on it and ignores later calls', async () => {
+    const onAmplitudeCalibration = vi.fn()
+    const pipeline = createWorkerPipeline({ onAmplitudeCalibration })
+    const worker = FakeWorker.last
+    pipeline.calibrateAmplitude(10, 1)
+    const disposing = pipeline.dispose()
+    worker.onerror({ message: 'boom' })
+    await disposing
+    expect(worker.terminated).toBe(true)
+    expect(onAmplitudeCalibration).toHaveBeenCalledWith({ error: expect.any(String) })
+
+    pipeline.push(new Uint8Array(4))
+    pipeline.configure({ filter: null })
+    pipeline.calibrateAmplitude(10, 1)
+    await pipeline.dispose()
+    expect(worker.sent).toEqual(['init', 'calibrateAmplitude', 'dispose'])
+    expect(onAmplitudeCalibration).toHaveBeenCalledTimes(2)
+  })
+})
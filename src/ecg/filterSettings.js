@@ -0,0 +1,103 @@
+import { MAX_FILTER_ORDER } from './dsp'
+
+/**
+ * Display Filter Settings
+ * The Butterworth filter the 6-lead page runs on every lead (see dsp.js),
+ * persisted in localStorage. FIRMWARE_FILTER is what the device's own
+ * cascade ('hardware code' ECGFilter1/ECGFilter2) works out to.
+ */
+const STORAGE_KEY = 'nextecg.filter'
+
+export const FILTER_TYPES = [
+  { value: 'bandpass', label: 'Band-pass' },
+  { value: 'highpass', label: 'High-pass' },
+  { value: 'lowpass', label: 'Low-pass' }
+]
+
+export const FILTER_ORDERS = Array.from({ length: MAX_FILTER_ORDER }, (_, i) => i + 1)
+
+export const FILTER_DEFAULTS = { type: 'bandpass', order: 4, low: 0.5, high: 40 }
+
+// Two high-pass and two low-pass biquads at 125 Hz: -3 dB at 0.5 and 44.5 Hz
+export const FIRMWARE_FILTER = { type: 'bandpass', order: 4, low: 0.5, high: 44.5 }
+
+const ORDINALS = ['', '1st', '2nd', '3rd']
+
+// "Butterworth band-pass 0.5–40 Hz, 4th order", or "Off" without a filter
+export function describeFilter(spec) {
+  if (!spec || spec.type === 'off') return 'Off'
+  const order = `${ORDINALS[spec.order] || `${spec.order}th`} order`
+  switch (spec.type) {
+    case 'highpass': return `Butterworth high-pass ${spec.low} Hz, ${order}`
+    case 'lowpass': return `Butterworth low-pass ${spec.high} Hz, ${order}`
+    default: return `Butterworth band-pass ${spec.low}–${spec.high} Hz, ${order}`
+  }
+}
+
+export function loadFilterSettings() {
+  try { return { ...FILTER_DEFAULTS, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) } } catch (_e) { return { ...FILTER_DEFAULTS } }
+}
+
+export function saveFilterSettings(spec) {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(spec)) } catch (e) { console.warn('Could not save filter settings', e) }
+}
+
+/**
+ * Powerline notch (dsp.js createPowerlineFilter), shared by both pages.
+ * mains: 'off' | 50 | 60
+ */
+const POWERLINE_STORAGE_KEY = 'nextecg.powerline'
+
+export const POWERLINE_DEFAULTS = { mains: 'off', harmonics: true, adaptive: false }
+
+// "50 Hz notch + harmonics, adaptive", or "Off"
+export function describePowerline(spec) {
+  if (!spec || !(spec.mains > 0)) return 'Off'
+  return `${spec.mains} Hz notch${spec.harmonics ? ' + harmonics' : ''}${spec.adaptive ? ', adaptive' : ''}`
+}
+
+export function loadPowerlineSettings() {
+  try { return { ...POWERLINE_DEFAULTS, ...JSON.parse(localStorage.getItem(POWERLINE_STORAGE_KEY)) } } catch (_e) { return { ...POWERLINE_DEFAULTS } }
+}
+
+export function savePowerlineSettings(spec) {
+  try { localStorage.setItem(POWERLINE_STORAGE_KEY, JSON.stringify(spec)) } catch (e) { console.warn('Could not save powerline settings', e) }
+}
+
+/**
+ * Baseline wander handling on the 6-lead page.
+ * 'filter' leaves it to the display filter's high-pass; the diagnostic methods
+ * (baseline.js) drop that high-pass and correct recorded data without phase shift.
+ */
+const BASELINE_STORAGE_KEY = 'nextecg.baseline'
+
+export const BASELINE_METHODS = [
+  { value: 'filter', label: 'High-pass (live)' },
+  { value: 'median', label: 'Two-stage median (diagnostic)' },
+  { value: 'spline', label: 'PR-segment spline (diagnostic)' }
+]
+
+export const isDiagnosticBaseline = method => method === 'median' || method === 'spline'
+
+// 'none' (raw samples) or anything unknown reads as "None"
+export function describeBaseline(method) {
+  const found = BASELINE_METHODS.find(m => m.value === method)
+  return found ? found.label : 'None'
+}
+
+// The display filter without its high-pass part, for diagnostic baseline mode
+export function withoutHighPass(spec) {
+  if (!spec || spec.type === 'highpass') return null
+  return spec.type === 'bandpass' ? { ...spec, type: 'lowpass' } : spec
+}
+
+export function loadBaselineMethod() {
+  try {
+    const method = localStorage.getItem(BASELINE_STORAGE_KEY)
+    return BASELINE_METHODS.some(m => m.value === method) ? method : 'filter'
+  } catch (_e) { return 'filter' }
+}
+
+export function saveBaselineMethod(method) {
+  try { localStorage.setItem(BASELINE_STORAGE_KEY, method) } catch (e) { console.warn('Could not save baseline method', e) }
+}
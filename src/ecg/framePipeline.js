@@ -0,0 +1,153 @@
+import { createLineProtocol } from './protocol'
+import { SYNC, decodeBinaryFrame } from './binaryFrame'
+import { createSampleClock } from './sampleClock'
+
+/**
+ * Frame Pipeline
+ * Synchronous core of the acquisition stream: raw byte chunks in, classified
+ * records out. Splits text lines from binary frames, runs the line protocol,
+ * turns binary sequence gaps into `lost` counts and stamps every data frame
+ * from the sample clock. Has no DOM dependencies, so the same code runs on
+ * the main thread (createEcgStream) and inside the ECG worker.
+ */
+
+const MAX_LINE_BYTES = 4096
+const SEQ_MODULO = 0x10000
+
+// Splits the raw byte stream into text lines and binary frames.
+// Also usable as a TransformStream transformer.
+export class FrameDemuxTransformer {
+  constructor() {
+    this.pending = new Uint8Array(0)
+    this.decoder = new TextDecoder()
+    this.resyncing = false // bytes after a corrupt frame are its remains, not text
+  }
+  emitText(bytes, controller) {
+    if (this.resyncing) { this.resyncing = false; return }
+    if (bytes.length) controller.enqueue({ kind: 'line', text: this.decoder.decode(bytes) })
+  }
+  transform(chunk, controller) {
+    const buf = new Uint8Array(this.pending.length + chunk.length)
+    buf.set(this.pending)
+    buf.set(chunk, this.pending.length)
+    let lineStart = 0
+    let i = 0
+    while (i < buf.length) {
+      if (buf[i] === SYNC[0]) {
+        if (i + 1 >= buf.length) break
+        if (buf[i + 1] === SYNC[1]) {
+          const result = decodeBinaryFrame(buf, i)
+          if (result.needMore) break
+          this.emitText(buf.subarray(lineStart, i), controller)
+          controller.enqueue(result.error ? { kind: 'corrupt', reason: result.error } : { kind: 'binary', seq: result.seq, values: result.values })
+          this.resyncing = Boolean(result.error)
+          i += result.length
+          lineStart = i
+          continue
+        }
+      }
+      if (buf[i] === 0x0A) {
+        this.emitText(buf.subarray(lineStart, i), controller)
+        lineStart = i + 1
+      }
+      i++
+    }
+    this.pending = buf.slice(lineStart)
+    // Line noise without newlines must not grow the buffer forever
+    if (this.pending.length > MAX_LINE_BYTES) {
+      this.emitText(this.pending, controller)
+      this.pending = new Uint8Array(0)
+    }
+  }
+  flush(controller) {
+    this.emitText(this.pending, controller)
+  }
+}
+
+/**
+ * handlers: {
+ *   onFrame({ seq, sampleIndex, time, timestamp, values, lost }), onControl(record), onMeta(header),
+ *   onMalformed(record), onCalibration('running' | 'done'), onClock(health)
+ * }
+ * options: { sampleRate } nominal rate until the device announces one, { playbackRate } for replays
+ */
+export function createFramePipeline(handlers = {}, options = {}) {
+  const { onFrame, onControl, onMeta, onMalformed, onCalibration, onClock } = handlers
+  const protocol = createLineProtocol()
+  const clock = createSampleClock(options.sampleRate || 125)
+  if (options.playbackRate) clock.setPlaybackRate(options.playbackRate)
+  const stats = { frames: 0, lost: 0, corrupted: 0, reconnects: 0 }
+  let demux = new FrameDemuxTransformer()
+  let seq = 0
+  let lastDeviceSeq = null
+  let lastFrameAt = null
+  let pendingGap = 0 // samples missed while the link was down
+
+  // Count frames missing between two binary sequence numbers
+  function countLost(deviceSeq) {
+    if (lastDeviceSeq === null) return 0
+    const missing = (deviceSeq - lastDeviceSeq - 1 + SEQ_MODULO) % SEQ_MODULO
+    // A huge jump backwards is a device restart, not half a minute of loss
+    return missing < SEQ_MODULO / 2 ? missing : 0
+  }
+
+  function dispatch(record, calibration, lost = 0) {
+    // Report calibration first so the frame that ended it is handled in the new state
+    if (calibration && onCalibration) onCalibration(calibration)
+    if (record.type === 'data') {
+      lost += pendingGap
+      pendingGap = 0
+      stats.frames++
+      stats.lost += lost
+      const timestamp = performance.now()
+      lastFrameAt = timestamp
+      const { sampleIndex, healthChanged } = clock.tick(lost, timestamp)
+      if (healthChanged && onClock) onClock({ ...clock.health })
+      if (onFrame) onFrame({ seq: seq++, sampleIndex, time: clock.timeOf(sampleIndex), timestamp, values: record.values, lost })
+    } else if (record.type === 'control') {
+      if (record.command === 'START') lastDeviceSeq = null
+      if (onControl) onControl(record)
+    } else if (record.type === 'meta') {
+      if (protocol.header.sampleRate) clock.setSampleRate(protocol.header.sampleRate)
+      if (onMeta) onMeta(protocol.header)
+    } else {
+      stats.corrupted++
+      if (onMalformed) onMalformed(record)
+    }
+  }
+
+  const controller = {
+    enqueue(item) {
+      if (item.kind === 'line') {
+        const line = item.text.trim()
+        if (!line) return
+        const { record, calibration } = protocol.push(line)
+        dispatch(record, calibration)
+      } else if (item.kind === 'binary') {
+        const { record, calibration } = protocol.pushRecord({ type: 'data', line: '<binary frame>', values: item.values })
+        const lost = record.type === 'data' ? countLost(item.seq) : 0
+        lastDeviceSeq = item.seq
+        dispatch(record, calibration, lost)
+      } else {
+        dispatch({ type: 'malformed', line: '<binary frame>', reason: item.reason }, null)
+      }
+    }
+  }
+
+  return {
+    protocol,
+    clock,
+    stats,
+    push(bytes) { demux.transform(bytes, controller) },
+    flush() { demux.flush(controller) },
+    // The link came back after an outage: drop half-read bytes and carry the outage over as a gap
+    linkRestored() {
+      demux = new FrameDemuxTransformer()
+      lastDeviceSeq = null
+      stats.reconnects++
+      if (lastFrameAt === null) return
+      // The first frame after the outage is itself one of the expected samples
+      pendingGap = Math.max(0, Math.round((performance.now() - lastFrameAt) / 1000 * clock.sampleRate) - 1)
+    }
+  }
+}
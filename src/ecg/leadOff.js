@@ -0,0 +1,127 @@
+import { assessLead } from './signalQuality'
+
+/**
+ * Electrode lead-off detection
+ * The firmware streams whatever analogRead returns, so a loose electrode has
+ * to be recognised from the signal itself. A lead is "off" when its window is
+ *   rail - pinned at the ADC rails (raw ADC input) or at the window's extremes
+ *   flat - a flat line
+ *   hum  - mains interference carries most of the power (floating input)
+ * Which electrode is to blame follows from the limb leads it feeds:
+ * I = LA - RA, II = LL - RA, III = LL - LA.
+ */
+export const LEAD_OFF_WINDOW_SECONDS = 2
+
+const RAIL_MARGIN = 0.005 // of the ADC range
+const RAIL_FRACTION = 0.05
+const HUM_FRACTION = 0.5
+const MAX_HARMONIC = 3
+
+export const ELECTRODES = [
+  { id: 'RA', name: 'Right arm', placement: 'Inside of the right wrist, or just below the right collarbone.' },
+  { id: 'LA', name: 'Left arm', placement: 'Inside of the left wrist, or just below the left collarbone.' },
+  { id: 'LL', name: 'Left leg', placement: 'Inside of the left ankle, or the lower left abdomen above the hip.' }
+]
+
+export const LEAD_OFF_REASONS = {
+  rail: 'signal at the rail',
+  flat: 'flat line',
+  hum: 'mostly mains hum'
+}
+
+// Variance contributed by one frequency (Goertzel on a zero-mean record)
+function tonePower(x, frequency, sampleRate) {
+  const coeff = 2 * Math.cos(2 * Math.PI * frequency / sampleRate)
+  let s1 = 0
+  let s2 = 0
+  for (let i = 0; i < x.length; i++) {
+    const s = x[i] + coeff * s1 - s2
+    s2 = s1
+    s1 = s
+  }
+  const power = s1 * s1 + s2 * s2 - coeff * s1 * s2
+  return 2 * power / (x.length * x.length)
+}
+
+/**
+ * Share of the signal's variance at the mains frequency and its harmonics.
+ * mains: 50 | 60, or anything else to take whichever of the two is larger.
+ */
+export function mainsFraction(samples, sampleRate, mains) {
+  const finite = samples.filter(Number.isFinite)
+  if (finite.length < 2) return 0
+  const mean = finite.reduce((a, b) => a + b, 0) / finite.length
+  const x = finite.map(v => v - mean)
+  const variance = x.reduce((a, b) => a + b * b, 0) / x.length
+  if (!(variance > 0)) return 0
+  const hum = f => {
+    let power = 0
+    for (let k = 1; k <= MAX_HARMONIC && f * k < sampleRate / 2 * 0.98; k++) power += tonePower(x, f * k, sampleRate)
+    return power
+  }
+  const power = mains === 50 || mains === 60 ? hum(mains) : Math.max(hum(50), hum(60))
+  return Math.min(1, power / variance)
+}
+
+/**
+ * One lead's window. options: { mains, rails: [low, high] } (rails only for raw ADC input)
+ * Returns { off, reasons } or null while there is less than a second of signal.
+ */
+export function detectLeadOff(samples, sampleRate, options = {}) {
+  const finite = samples.filter(Number.isFinite)
+  if (finite.length < sampleRate) return null
+  const quality = assessLead(finite, sampleRate)
+  const reasons = []
+
+  const flat = quality.issues.includes('flatline')
+  // A flat line is one long plateau; only count plateaus at the extremes of a moving signal
+  let railed = flat ? 0 : quality.measures.clipped || 0
+  if (options.rails) {
+    const [low, high] = options.rails
+    const margin = (high - low) * RAIL_MARGIN
+    railed = Math.max(railed, finite.filter(v => v <= low + margin || v >= high - margin).length / finite.length)
+  }
+  if (railed >= RAIL_FRACTION) reasons.push('rail')
+  else if (flat) reasons.push('flat')
+  else if (mainsFraction(finite, sampleRate, options.mains) >= HUM_FRACTION) reasons.push('hum')
+  return { off: reasons.length > 0, reasons }
+}
+
+/**
+ * Electrodes to check, from which limb leads are off.
+ * off: [I, II, III] booleans; measuredIII false when III is derived from I and II
+ * (it then fails whenever either does, so only I and II are used).
+ */
+export function suspectElectrodes(off, measuredIII) {
+  const [I, II, III] = off
+  if (!measuredIII) {
+    if (I && II) return ['RA']
+    if (I) return ['LA']
+    if (II) return ['LL']
+    return []
+  }
+  if (I && II && III) return ['RA', 'LA', 'LL']
+  const suspects = []
+  if (I && II) suspects.push('RA')
+  if (I && III) suspects.push('LA')
+  if (II && III) suspects.push('LL')
+  // A single failing lead points at the pair of electrodes it is made of
+  if (suspects.length === 0) {
+    if (I) suspects.push('RA', 'LA')
+    else if (II) suspects.push('RA', 'LL')
+    else if (III) suspects.push('LA', 'LL')
+  }
+  return suspects
+}
+
+/**
+ * leads: windows for Lead I, II (and III when measuredIII)
+ * Returns { leads: [detectLeadOff...], suspects, ok } or null until every lead has a second of signal.
+ */
+export function assessElectrodes(leads, sampleRate, options = {}) {
+  const measuredIII = Boolean(options.measuredIII) && leads.length >= 3
+  const checked = leads.slice(0, measuredIII ? 3 : 2).map(samples => detectLeadOff(samples, sampleRate, options))
+  if (checked.some(r => r === null)) return null
+  const suspects = suspectElectrodes(checked.map(r => r.off), measuredIII)
+  return { leads: checked, suspects, ok: suspects.length === 0 }
+}
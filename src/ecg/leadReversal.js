@@ -0,0 +1,150 @@
+import { detectBeats } from './beatDetector'
+
+/**
+ * Limb lead reversal
+ * With three electrodes, swapping two of them permutes the six limb leads
+ * (some inverted). Each swap is its own inverse, so correcting a recording
+ * applies the same permutation again:
+ *   RA-LA  I = -I,   II = III, III = II,  aVR = aVL, aVL = aVR
+ *   LA-LL  I = II,   II = I,   III = -III, aVL = aVF, aVF = aVL
+ *   RA-LL  I = -III, II = -II, III = -I,  aVR = aVF, aVF = aVR
+ * Detection averages the beats in a window and checks the P and QRS polarity
+ * of the patterns those swaps leave behind. An LA/LL swap keeps Lead I
+ * upright and aVR negative, so it can only be flagged as possible.
+ * Leads are in the worker's order: I, II, III, aVR, aVL, aVF.
+ */
+export const REVERSALS = [
+  { value: 'none', label: 'None' },
+  { value: 'RA-LA', label: 'RA ↔ LA' },
+  { value: 'LA-LL', label: 'LA ↔ LL' },
+  { value: 'RA-LL', label: 'RA ↔ LL' }
+]
+
+// [source lead, sign] for each output lead
+const PERMUTATIONS = {
+  'RA-LA': [[0, -1], [2, 1], [1, 1], [4, 1], [3, 1], [5, 1]],
+  'LA-LL': [[1, 1], [0, 1], [2, -1], [3, 1], [5, 1], [4, 1]],
+  'RA-LL': [[2, -1], [1, -1], [0, -1], [5, 1], [4, 1], [3, 1]]
+}
+
+const I = 0
+const II = 1
+const III = 2
+const AVR = 3
+const AVL = 4
+const AVF = 5
+
+const PR_WINDOW = [-0.07, -0.05] // isoelectric reference, seconds from R
+const P_WINDOW = [-0.2, -0.12]
+const QRS_WINDOW = [-0.05, 0.05]
+const MIN_BEATS = 3
+const QRS_SIGNIFICANT = 0.05 // net QRS deflection, of the largest QRS
+const P_SIGNIFICANT = 0.04 // P wave peak, of the largest QRS
+
+export function describeReversal(value) {
+  const entry = REVERSALS.find(r => r.value === value)
+  return entry && entry.value !== 'none' ? `${entry.label} swapped` : 'None'
+}
+
+/**
+ * Correct one sample in place: values holds the six leads, a spare copy is
+ * taken from `scratch` (same length) so the permutation reads the originals.
+ */
+export function correctLeads(values, reversal, scratch) {
+  const permutation = PERMUTATIONS[reversal]
+  if (!permutation || values.length < 6) return values
+  for (let i = 0; i < 6; i++) scratch[i] = values[i]
+  for (let i = 0; i < 6; i++) values[i] = permutation[i][1] * scratch[permutation[i][0]]
+  return values
+}
+
+/**
+ * Correct whole recordings: map has one array per lead under keys[0..5]
+ * (I, II, III, aVR, aVL, aVF in some naming). Other entries are copied.
+ */
+export function correctLeadMap(map, keys, reversal) {
+  const permutation = PERMUTATIONS[reversal]
+  if (!permutation) return map
+  const out = { ...map }
+  keys.forEach((key, i) => {
+    const [source, sign] = permutation[i]
+    const samples = map[keys[source]]
+    out[key] = samples && sign < 0 ? Array.from(samples, v => -v) : samples
+  })
+  return out
+}
+
+function mean(x, from, to) {
+  let sum = 0
+  for (let i = from; i < to; i++) sum += x[i]
+  return sum / Math.max(1, to - from)
+}
+
+// Largest deviation from `level`, with its sign
+function extreme(x, from, to, level) {
+  let best = 0
+  for (let i = from; i < to; i++) if (Math.abs(x[i] - level) > Math.abs(best)) best = x[i] - level
+  return best
+}
+
+// Averaged beat per lead around the R peaks that fit in the window
+function templates(leads, peaks, before, after) {
+  const usable = peaks.filter(r => r - before >= 0 && r + after < leads[0].length)
+  const length = before + after + 1
+  const averaged = leads.map(x => {
+    const t = new Float64Array(length)
+    for (const r of usable) for (let k = 0; k < length; k++) t[k] += x[r - before + k]
+    for (let k = 0; k < length; k++) t[k] /= Math.max(1, usable.length)
+    return t
+  })
+  return { beats: usable.length, averaged }
+}
+
+/**
+ * leads: windows of the six limb leads (unfiltered apart from the notch is fine).
+ * Returns { reversal, confidence: 'likely' | 'possible' | null, evidence, beats },
+ * or null without six leads, with lost samples in the window or fewer than MIN_BEATS beats.
+ */
+export function detectReversal(leads, sampleRate) {
+  if (leads.length < 6 || leads.some(x => x.some(v => !Number.isFinite(v)))) return null
+  const index = s => Math.round(s * sampleRate)
+  // Find beats on the largest of I, II and III; the detector does not care about polarity
+  const spread = x => Math.max(...x) - Math.min(...x)
+  const reference = [I, II, III].reduce((a, b) => (spread(leads[b]) > spread(leads[a]) ? b : a), I)
+  const before = -index(P_WINDOW[0])
+  const after = index(QRS_WINDOW[1])
+  const { beats, averaged } = templates(leads, detectBeats(leads[reference], sampleRate), before, after)
+  if (beats < MIN_BEATS) return null
+
+  const at = s => before + index(s)
+  const measures = averaged.map(t => {
+    const iso = mean(t, at(PR_WINDOW[0]), at(PR_WINDOW[1]) + 1)
+    return {
+      p: extreme(t, at(P_WINDOW[0]), at(P_WINDOW[1]) + 1, iso),
+      qrs: mean(t, at(QRS_WINDOW[0]), at(QRS_WINDOW[1]) + 1) - iso
+    }
+  })
+  const scale = Math.max(...averaged.map(t => spread(t)))
+  if (!(scale > 0)) return null
+  const q = measures.map(m => m.qrs / scale)
+  const p = measures.map(m => m.p / scale)
+  const inverted = (v, limit) => v < -limit
+
+  const result = (reversal, confidence, evidence) => ({ reversal, confidence, evidence, beats })
+  // aVR is normally the most negative limb lead; a swap hands its place to aVF or aVL.
+  // RA/LL first: it inverts I as well whenever III is upright.
+  if (inverted(q[II], QRS_SIGNIFICANT) && q[AVR] > q[AVF]) {
+    return inverted(p[II], P_SIGNIFICANT)
+      ? result('RA-LL', 'likely', 'negative P and QRS in II, aVR above aVF')
+      : result('RA-LL', 'possible', 'negative QRS in II, aVR above aVF')
+  }
+  if (inverted(q[I], QRS_SIGNIFICANT) && q[AVR] > q[AVL]) {
+    return inverted(p[I], P_SIGNIFICANT)
+      ? result('RA-LA', 'likely', 'negative P and QRS in I, aVR above aVL')
+      : result('RA-LA', 'possible', 'negative QRS in I, aVR above aVL')
+  }
+  if (inverted(p[III], P_SIGNIFICANT) && p[I] > p[II] + P_SIGNIFICANT) {
+    return result('LA-LL', 'possible', 'P larger in I than in II, negative P in III')
+  }
+  return result('none', null, null)
+}
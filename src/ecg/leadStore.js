@@ -0,0 +1,63 @@
+/**
+ * Lead store
+ * Fixed-size ring of Float32Array per lead holding the newest samples for
+ * drawing and analysis. Fed whole worker batches; lost samples are stored
+ * as NaN so traces lift the pen across gaps. `version` changes on every
+ * append, so renderers and snapshot hooks can skip work when nothing is new.
+ */
+export function createLeadStore(channels, capacity) {
+  const store = {
+    channels,
+    capacity,
+    data: [],
+    writeIndex: 0, // next slot to write; also the oldest sample once full
+    size: 0,
+    lastSample: -1, // sample index of the newest entry
+    version: 0,
+
+    // batch: { firstSample, count, lost, leads } from the ECG worker
+    append(batch) {
+      const { capacity } = store
+      const gap = Math.min(batch.lost || 0, capacity)
+      for (let ch = 0; ch < channels; ch++) {
+        const ring = store.data[ch]
+        const values = batch.leads[ch]
+        let w = store.writeIndex
+        for (let k = 0; k < gap; k++) { ring[w] = NaN; w = (w + 1) % capacity }
+        for (let s = 0; s < batch.count; s++) { ring[w] = values[s]; w = (w + 1) % capacity }
+      }
+      store.writeIndex = (store.writeIndex + gap + batch.count) % capacity
+      store.size = Math.min(store.size + gap + batch.count, capacity)
+      store.lastSample = batch.firstSample + batch.count - 1
+      store.version++
+    },
+
+    // The newest n samples of one lead, oldest first (zeros before the store has filled)
+    recent(channel, n, out = new Float32Array(n)) {
+      const ring = store.data[channel]
+      for (let j = 0; j < n; j++) out[j] = ring[(store.writeIndex - n + j + store.capacity * 2) % store.capacity]
+      return out
+    },
+
+    // Copy of the whole ring per lead, oldest first
+    snapshot() {
+      return store.data.map((_, ch) => Array.from(store.recent(ch, store.capacity)))
+    },
+
+    resize(nextCapacity) {
+      store.capacity = nextCapacity
+      store.clear()
+    },
+
+    clear() {
+      store.data = Array.from({ length: channels }, () => new Float32Array(store.capacity))
+      store.writeIndex = 0
+      store.size = 0
+      store.lastSample = -1
+      store.version++
+    }
+  }
+
+  store.clear()
+  return store
+}
@@ -0,0 +1,156 @@
+/**
+ * Device Line Protocol (v1)
+ * Classifies every text line from the device as one of:
+ *   control   - START, CAL_START, CAL_DONE (plus legacy "Calibration complete" style logs)
+ *   meta      - header such as "#META v=1 rate=125 channels=2 units=norm", or the
+ *               calibration result "#META offset1=-2.5 gain1=0.0123 offset2=1.0 gain2=0.0107"
+ *   data      - one frame of comma/space separated channel values, or a JSON lead object
+ *   malformed - anything else, with a reason
+ * Binary frames (binaryFrame.js) may be interleaved with these lines.
+ */
+export const PROTOCOL_VERSION = 1
+
+export const CONTROL = {
+  START: 'START',
+  CAL_START: 'CAL_START',
+  CAL_DONE: 'CAL_DONE'
+}
+
+// Units a device may announce: millivolts, raw ADC counts, or firmware-normalised
+export const UNITS = ['mv', 'adc', 'norm']
+
+const LEGACY_CONTROL = [
+  [/calibration (complete|done)|^calibrated\b/i, CONTROL.CAL_DONE],
+  [/starting.*calibration|^calibrating\b/i, CONTROL.CAL_START]
+]
+
+const META_KEYS = {
+  v: 'version', version: 'version',
+  rate: 'sampleRate', sample_rate: 'sampleRate', fs: 'sampleRate',
+  channels: 'channels', ch: 'channels',
+  units: 'units',
+  device: 'device', id: 'device'
+}
+
+// Per-channel calibration the firmware applied: value = (filtered - offsetN) * gainN
+const CHANNEL_KEYS = { gain: 'gains', offset: 'offsets' }
+
+const JSON_LEADS = ['lead1', 'lead2', 'lead3', 'avr', 'avl', 'avf']
+
+function parseMeta(line) {
+  const meta = {}
+  for (const pair of line.replace(/^#?META\b/i, '').trim().split(/\s+/)) {
+    if (!pair) continue
+    const [rawKey, rawValue] = pair.split('=')
+    const channel = rawKey && /^(gain|offset)(\d+)$/i.exec(rawKey)
+    if (channel && rawValue !== undefined) {
+      const field = CHANNEL_KEYS[channel[1].toLowerCase()]
+      const index = Number(channel[2]) - 1
+      const n = Number(rawValue)
+      if (index < 0 || !Number.isFinite(n) || (field === 'gains' && n <= 0)) return { type: 'malformed', line, reason: `bad ${rawKey} "${rawValue}"` }
+      meta[field] = meta[field] || []
+      meta[field][index] = n
+      continue
+    }
+    const key = META_KEYS[rawKey && rawKey.toLowerCase()]
+    if (!key || rawValue === undefined) return { type: 'malformed', line, reason: `unknown header field "${pair}"` }
+    if (key === 'device') {
+      meta.device = rawValue
+    } else if (key === 'units') {
+      const units = rawValue.toLowerCase()
+      if (!UNITS.includes(units)) return { type: 'malformed', line, reason: `unknown units "${rawValue}"` }
+      meta.units = units
+    } else {
+      const n = Number(rawValue)
+      if (!Number.isFinite(n) || n <= 0) return { type: 'malformed', line, reason: `bad ${key} "${rawValue}"` }
+      meta[key] = n
+    }
+  }
+  if (meta.version && meta.version > PROTOCOL_VERSION) {
+    return { type: 'malformed', line, reason: `protocol v${meta.version} is newer than supported v${PROTOCOL_VERSION}` }
+  }
+  return { type: 'meta', line, meta }
+}
+
+function parseJsonFrame(line) {
+  let obj = null
+  try { obj = JSON.parse(line) } catch (_e) { return { type: 'malformed', line, reason: 'invalid JSON' } }
+  if (!obj || typeof obj !== 'object') return { type: 'malformed', line, reason: 'invalid JSON' }
+  const keys = JSON_LEADS.every(k => k in obj) ? JSON_LEADS : ('lead1' in obj && 'lead2' in obj ? ['lead1', 'lead2'] : null)
+  if (!keys) return { type: 'malformed', line, reason: 'JSON frame without lead1/lead2' }
+  const values = keys.map(k => parseFloat(obj[k]))
+  if (values.some(v => !Number.isFinite(v))) return { type: 'malformed', line, reason: 'non-numeric lead value' }
+  return { type: 'data', line, values }
+}
+
+/**
+ * Classify a single trimmed line.
+ * header: last announced meta ({ channels } is used to validate frame width).
+ */
+export function parseLine(line, header = {}) {
+  if (!line) return { type: 'malformed', line, reason: 'empty line' }
+
+  if (/^#?META\b/i.test(line)) return parseMeta(line)
+  if (line[0] === '{') return parseJsonFrame(line)
+
+  const upper = line.toUpperCase()
+  if (Object.prototype.hasOwnProperty.call(CONTROL, upper)) return { type: 'control', line, command: CONTROL[upper] }
+  for (const [pattern, command] of LEGACY_CONTROL) {
+    if (pattern.test(line)) return { type: 'control', line, command, legacy: true }
+  }
+
+  const tokens = line.split(/[,;\s]+/).filter(Boolean)
+  const values = tokens.map(Number)
+  if (values.some(v => !Number.isFinite(v))) {
+    return { type: 'malformed', line, reason: /^[-+.\d,;\s]/.test(line) ? 'non-numeric value in frame' : 'unrecognised message' }
+  }
+  if (header.channels && values.length !== header.channels) {
+    return { type: 'malformed', line, reason: `expected ${header.channels} values, got ${values.length}` }
+  }
+  if (!header.channels && values.length < 2) {
+    return { type: 'malformed', line, reason: 'frame has fewer than 2 values' }
+  }
+  return { type: 'data', line, values }
+}
+
+/**
+ * Stateful protocol reader.
+ * Tracks the announced header and the device calibration state:
+ *   'unknown' until the first START or data frame,
+ *   'running' between START/CAL_START and CAL_DONE,
+ *   'done'    after CAL_DONE, or when data arrives without a START
+ *             (we joined a device that finished calibrating before we connected).
+ */
+export function createLineProtocol() {
+  let header = {}
+  let calibration = 'unknown'
+
+  return {
+    get header() { return header },
+    get calibration() { return calibration },
+    // Returns the classified record plus the new calibration state when it changed
+    push(line) {
+      return this.pushRecord(parseLine(line, header))
+    },
+    // Already-decoded record (binary frames); data width is checked against the header
+    pushRecord(record) {
+      if (record.type === 'data' && header.channels && record.values.length !== header.channels) {
+        record = { type: 'malformed', line: record.line, reason: `expected ${header.channels} values, got ${record.values.length}` }
+      }
+      let next = calibration
+      if (record.type === 'meta') header = { ...header, ...record.meta }
+      if (record.type === 'control') {
+        next = record.command === CONTROL.CAL_DONE ? 'done' : 'running'
+        // A restarted device calibrates again; its old gains no longer apply
+        if (record.command === CONTROL.START) {
+          const { gains, offsets, ...rest } = header
+          header = rest
+        }
+      }
+      if (record.type === 'data' && calibration === 'unknown') next = 'done'
+      const calibrationChanged = next !== calibration
+      calibration = next
+      return { record, calibration: calibrationChanged ? calibration : null }
+    }
+  }
+}
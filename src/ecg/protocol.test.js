@@ -0,0 +1,77 @@
+import { describe, expect, it } from 'vitest'
+import { CONTROL, PROTOCOL_VERSION, createLineProtocol, parseLine } from './protocol'
+
+describe('parseLine', () => {
+  it('reads comma, semicolon and space separated frames', () => {
+    expect(parseLine('0.125,-0.250')).toEqual({ type: 'data', line: '0.125,-0.250', values: [0.125, -0.25] })
+    expect(parseLine('1;2;3').values).toEqual([1, 2, 3])
+    expect(parseLine('1 2').values).toEqual([1, 2])
+  })
+
+  it('reads JSON lead objects', () => {
+    expect(parseLine('{"lead1":0.1,"lead2":"0.2"}').values).toEqual([0.1, 0.2])
+    expect(parseLine('{"lead1":1,"lead2":2,"lead3":3,"avr":4,"avl":5,"avf":6}').values).toEqual([1, 2, 3, 4, 5, 6])
+  })
+
+  it('recognises control messages, including the legacy log lines', () => {
+    expect(parseLine('START')).toMatchObject({ type: 'control', command: CONTROL.START })
+    expect(parseLine('cal_start')).toMatchObject({ type: 'control', command: CONTROL.CAL_START })
+    expect(parseLine('CAL_DONE')).toMatchObject({ type: 'control', command: CONTROL.CAL_DONE })
+    expect(parseLine('Calibration complete!')).toEqual({ type: 'control', line: 'Calibration complete!', command: CONTROL.CAL_DONE, legacy: true })
+    expect(parseLine('Starting calibration...')).toMatchObject({ command: CONTROL.CAL_START, legacy: true })
+  })
+
+  it('reads the #META header and the calibration result', () => {
+    expect(parseLine('#META v=1 rate=250 channels=2 units=ADC device=nextecg').meta).toEqual({ version: 1, sampleRate: 250, channels: 2, units: 'adc', device: 'nextecg' })
+    expect(parseLine('#META offset1=-2.5 gain1=0.0123 offset2=1.0 gain2=0.0107').meta).toEqual({ offsets: [-2.5, 1], gains: [0.0123, 0.0107] })
+  })
+
+  it('explains what is wrong with a malformed line', () => {
+    const reason = line => parseLine(line, { channels: 2 }).reason
+    expect(parseLine('')).toMatchObject({ type: 'malformed', reason: 'empty line' })
+    expect(reason('0.1,abc')).toBe('non-numeric value in frame')
+    expect(reason('hello device')).toBe('unrecognised message')
+    expect(reason('1,2,3')).toBe('expected 2 values, got 3')
+    expect(parseLine('5').reason).toBe('frame has fewer than 2 values')
+    expect(reason('{"lead1":1')).toBe('invalid JSON')
+    expect(reason('{"lead3":1}')).toBe('JSON frame without lead1/lead2')
+    expect(reason('#META rate=fast')).toBe('bad sampleRate "fast"')
+    expect(reason('#META gain1=0')).toBe('bad gain1 "0"')
+    expect(reason('#META units=volts')).toBe('unknown units "volts"')
+    expect(reason('#META colour=red')).toBe('unknown header field "colour=red"')
+    expect(reason(`#META v=${PROTOCOL_VERSION + 1}`)).toMatch(/newer than supported/)
+  })
+})
+
+describe('createLineProtocol', () => {
+  it('follows the calibration state through START and CAL_DONE', () => {
+    const protocol = createLineProtocol()
+    expect(protocol.calibration).toBe('unknown')
+    expect(protocol.push('START').calibration).toBe('running')
+    expect(protocol.push('0.1,0.2').calibration).toBeNull()
+    expect(protocol.push('CAL_DONE').calibration).toBe('done')
+    expect(protocol.calibration).toBe('done')
+  })
+
+  it('takes data without a START as a device that already calibrated', () => {
+    const protocol = createLineProtocol()
+    expect(protocol.push('0.1,0.2').calibration).toBe('done')
+  })
+
+  it('keeps the header and checks frame width against it', () => {
+    const protocol = createLineProtocol()
+    protocol.push('#META rate=250 channels=3')
+    protocol.push('#META gain1=0.5')
+    expect(protocol.header).toEqual({ sampleRate: 250, channels: 3, gains: [0.5] })
+    expect(protocol.push('1,2').record.type).toBe('malformed')
+    expect(protocol.pushRecord({ type: 'data', line: '<binary frame>', values: [1, 2] }).record.reason).toBe('expected 3 values, got 2')
+    expect(protocol.push('1,2,3').record.type).toBe('data')
+  })
+
+  it('forgets the calibration gains when the device restarts', () => {
+    const protocol = createLineProtocol()
+    protocol.push('#META rate=125 gain1=0.5 offset1=2')
+    protocol.push('START')
+    expect(protocol.header).toEqual({ sampleRate: 125 })
+  })
+})
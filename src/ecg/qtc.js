@@ -0,0 +1,78 @@
+/**
+ * QT correction
+ * The QT interval shortens as the heart rate rises; each formula estimates
+ * the QT at 60 bpm (RR 1 s), from QT and RR in ms:
+ *   Bazett      QT / RR^(1/2)          overcorrects above ~90 bpm
+ *   Fridericia  QT / RR^(1/3)
+ *   Framingham  QT + 154 × (1 - RR)    linear (Sagie et al., 1992)
+ *   Hodges      QT + 1.75 × (HR - 60)
+ * Prolongation limits depend on the patient (Goldenberg et al., 2006):
+ * children under 16 > 440 / 460 ms, adult men > 430 / 450, adult women
+ * > 450 / 470 (borderline / prolonged). Without a sex the men's limits apply.
+ */
+const STORAGE_KEY = 'nextecg.qtc'
+
+export const QTC_FORMULAS = [
+  { value: 'bazett', label: 'Bazett' },
+  { value: 'fridericia', label: 'Fridericia' },
+  { value: 'framingham', label: 'Framingham' },
+  { value: 'hodges', label: 'Hodges' }
+]
+
+export const PATIENT_SEXES = [
+  { value: 'unknown', label: 'Not given' },
+  { value: 'male', label: 'Male' },
+  { value: 'female', label: 'Female' }
+]
+
+// Above this rate Bazett's QTc runs high; the others are more reliable
+export const BAZETT_MAX_BPM = 90
+
+export const QTC_DEFAULTS = { formula: 'bazett', sex: 'unknown', age: null }
+
+// QTc (ms) by every formula, from QT and RR in ms
+export function correctQT(qt, rr) {
+  const seconds = rr / 1000
+  return {
+    bazett: qt / Math.sqrt(seconds),
+    fridericia: qt / Math.cbrt(seconds),
+    framingham: qt + 154 * (1 - seconds),
+    hodges: qt + 1.75 * (60 / seconds - 60)
+  }
+}
+
+/**
+ * QTc limits (ms) for the patient: { borderline, prolonged, group }; a QTc
+ * above borderline is borderline, above prolonged is prolonged.
+ */
+export function qtcLimits({ sex, age } = QTC_DEFAULTS) {
+  if (age !== null && age < 16) return { borderline: 440, prolonged: 460, group: 'child' }
+  if (sex === 'female') return { borderline: 450, prolonged: 470, group: 'adult female' }
+  return { borderline: 430, prolonged: 450, group: sex === 'male' ? 'adult male' : 'adult, sex not given' }
+}
+
+export function describeQtcFormula(formula) {
+  const found = QTC_FORMULAS.find(f => f.value === formula)
+  return found ? found.label : 'Bazett'
+}
+
+// "Fridericia, limits 450 / 470 ms (adult female)"
+export function describeQtcSettings(settings) {
+  const limits = qtcLimits(settings)
+  return `${describeQtcFormula(settings.formula)}, limits ${limits.borderline} / ${limits.prolonged} ms (${limits.group}${settings.age !== null ? `, ${settings.age} y` : ''})`
+}
+
+export function loadQtcSettings() {
+  try {
+    const stored = { ...QTC_DEFAULTS, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) }
+    return {
+      formula: QTC_FORMULAS.some(f => f.value === stored.formula) ? stored.formula : QTC_DEFAULTS.formula,
+      sex: PATIENT_SEXES.some(s => s.value === stored.sex) ? stored.sex : QTC_DEFAULTS.sex,
+      age: Number.isFinite(stored.age) && stored.age >= 0 ? stored.age : null
+    }
+  } catch (_e) { return { ...QTC_DEFAULTS } }
+}
+
+export function saveQtcSettings(settings) {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(settings)) } catch (e) { console.warn('Could not save QTc settings', e) }
+}
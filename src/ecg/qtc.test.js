@@ -0,0 +1,77 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { QTC_DEFAULTS, correctQT, describeQtcSettings, loadQtcSettings, qtcLimits, saveQtcSettings } from './qtc'
+
+describe('correctQT', () => {
+  it('leaves the QT alone at 60 bpm', () => {
+    expect(correctQT(400, 1000)).toEqual({ bazett: 400, fridericia: 400, framingham: 400, hodges: 400 })
+  })
+
+  // [QT, RR] (ms) and the QTc by each formula, worked by hand
+  const CASES = [
+    [360, 640, { bazett: 450, fridericia: 417.73, framingham: 415.44, hodges: 419.06 }], // 93.75 bpm
+    [360, 729, { bazett: 421.64, fridericia: 400, framingham: 401.73, hodges: 399.03 }], // RR^(1/3) = 0.9
+    [440, 1440, { bazett: 366.67, fridericia: 389.64, framingham: 372.24, hodges: 407.92 }] // 41.7 bpm
+  ]
+  for (const [qt, rr, expected] of CASES) {
+    it(`corrects QT ${qt} ms at RR ${rr} ms by every formula`, () => {
+      const qtc = correctQT(qt, rr)
+      for (const [formula, value] of Object.entries(expected)) expect(qtc[formula]).toBeCloseTo(value, 1)
+    })
+  }
+
+  it('has Bazett correct more than Fridericia at fast rates and less at slow ones', () => {
+    const fast = correctQT(300, 500)
+    expect(fast.bazett).toBeGreaterThan(fast.fridericia)
+    const slow = correctQT(460, 1500)
+    expect(slow.bazett).toBeLessThan(slow.fridericia)
+  })
+})
+
+describe('qtcLimits', () => {
+  it('applies the men\'s limits without a sex', () => {
+    expect(qtcLimits()).toEqual({ borderline: 430, prolonged: 450, group: 'adult, sex not given' })
+    expect(qtcLimits({ sex: 'unknown', age: 40 })).toEqual(qtcLimits())
+  })
+
+  it('has limits for men and women', () => {
+    expect(qtcLimits({ sex: 'male', age: null })).toEqual({ borderline: 430, prolonged: 450, group: 'adult male' })
+    expect(qtcLimits({ sex: 'female', age: 30 })).toEqual({ borderline: 450, prolonged: 470, group: 'adult female' })
+  })
+
+  it('has the children\'s limits under 16, whatever the sex', () => {
+    for (const sex of ['unknown', 'male', 'female']) {
+      expect(qtcLimits({ sex, age: 0 })).toEqual({ borderline: 440, prolonged: 460, group: 'child' })
+      expect(qtcLimits({ sex, age: 15 }).group).toBe('child')
+    }
+    expect(qtcLimits({ sex: 'female', age: 16 }).group).toBe('adult female')
+  })
+
+  it('is described with the formula and the patient', () => {
+    expect(describeQtcSettings({ formula: 'fridericia', sex: 'female', age: null })).toBe('Fridericia, limits 450 / 470 ms (adult female)')
+    expect(describeQtcSettings({ formula: 'hodges', sex: 'male', age: 12 })).toBe('Hodges, limits 440 / 460 ms (child, 12 y)')
+  })
+})
+
+describe('QTc settings', () => {
+  afterEach(() => { vi.unstubAllGlobals() })
+
+  function stubStorage(stored = {}) {
+    vi.stubGlobal('localStorage', { getItem: key => stored[key] ?? null, setItem: (key, value) => { stored[key] = value } })
+    return stored
+  }
+
+  it('round-trip through localStorage', () => {
+    stubStorage()
+    saveQtcSettings({ formula: 'framingham', sex: 'female', age: 8 })
+    expect(loadQtcSettings()).toEqual({ formula: 'framingham', sex: 'female', age: 8 })
+  })
+
+  it('fall back field by field on stored values they do not know', () => {
+    stubStorage({ 'nextecg.qtc': JSON.stringify({ formula: 'rautaharju', sex: 'male', age: -3 }) })
+    expect(loadQtcSettings()).toEqual({ ...QTC_DEFAULTS, sex: 'male' })
+  })
+
+  it('default without storage', () => {
+    expect(loadQtcSettings()).toEqual(QTC_DEFAULTS)
+  })
+})
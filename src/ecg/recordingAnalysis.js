@@ -0,0 +1,27 @@
+import { detectBeats } from './beatDetector'
+import { delineateBeats, measureIntervals } from './delineation'
+import { classifyBeats, countBeats } from './beatClassifier'
+import { detectRhythmEvents, RHYTHM_DEFAULTS } from './rhythmEvents'
+
+/**
+ * Recording analysis
+ * What the report measures on a whole take of one lead (Lead II): its beats,
+ * their P, QRS and T waves and the median intervals (delineation.js), their
+ * classes and counts (beatClassifier.js) and the rhythm events
+ * (rhythmEvents.js). Run over the take, not the strip the report prints:
+ * interval medians, template learning and rhythm events need many beats.
+ * All indices are sample indices into `samples`.
+ */
+export function analyseRecording(samples, sampleRate, settings = RHYTHM_DEFAULTS) {
+  const beats = detectBeats(samples, sampleRate)
+  const waves = delineateBeats(samples, beats, sampleRate)
+  const labels = classifyBeats(samples, beats, sampleRate)
+  return {
+    beats,
+    waves,
+    labels,
+    intervals: measureIntervals(waves, sampleRate),
+    ectopy: countBeats(labels),
+    events: detectRhythmEvents(samples, beats, labels, sampleRate, settings)
+  }
+}
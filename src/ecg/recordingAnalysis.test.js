@@ -0,0 +1,45 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { analyseRecording } from './recordingAnalysis'
+import { createSimulator, RHYTHMS } from './simulator'
+import { removeBaseline } from './baseline'
+import { QTC_FORMULAS } from './qtc'
+
+const SAMPLE_RATE = 125
+const TAKE_SECONDS = 15
+
+// Lead II of a simulated take, baseline-corrected as stopRecording does before the report
+function take(rhythm) {
+  const { heartRate, hrv } = RHYTHMS[rhythm]
+  const simulator = createSimulator({ rhythm, heartRate, hrv, sampleRate: SAMPLE_RATE })
+  const samples = Array.from({ length: TAKE_SECONDS * SAMPLE_RATE }, (_, n) => simulator.sample(n)[1])
+  return removeBaseline(samples, SAMPLE_RATE, 'median')
+}
+
+describe('analyseRecording', () => {
+  // The simulator draws its rhythm and noise from Math.random: seed it so every run sees the same take
+  beforeEach(() => {
+    let seed = 2
+    vi.spyOn(Math, 'random').mockImplementation(() => (seed = (seed * 1664525 + 1013904223) % 4294967296) / 4294967296)
+  })
+  afterEach(() => { vi.restoreAllMocks() })
+
+  it('measures PR, QRS, QT and a QTc by every formula on a sinus take', () => {
+    const { beats, waves, intervals } = analyseRecording(take('sinus'), SAMPLE_RATE)
+    expect(waves).toHaveLength(beats.length)
+    expect(intervals.pr).toBeGreaterThan(100)
+    expect(intervals.pr).toBeLessThan(220)
+    expect(intervals.qrs).toBeGreaterThan(50)
+    expect(intervals.qrs).toBeLessThan(130)
+    expect(intervals.qt).toBeGreaterThan(300)
+    expect(intervals.qt).toBeLessThan(460)
+    for (const { value } of QTC_FORMULAS) expect(intervals.qtc[value]).toBeGreaterThan(300)
+  })
+
+  it('measures a slow take, where the printed second holds at most one beat', () => {
+    const { beats, intervals } = analyseRecording(take('bradycardia'), SAMPLE_RATE)
+    expect(beats.length).toBeGreaterThanOrEqual(10)
+    expect(intervals.rr).toBeGreaterThan(1100)
+    expect(intervals.qt).not.toBeNull()
+    expect(intervals.qtc).not.toBeNull()
+  })
+})
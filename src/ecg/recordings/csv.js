@@ -0,0 +1,75 @@
+import { parseLine } from '../protocol'
+import { toMillivolts } from './units'
+
+/**
+ * CSV recordings
+ * Two kinds of text file are accepted:
+ *   device capture - the raw line protocol saved from a serial terminal, replayed line by line
+ *   table          - a header row of lead names, an optional units row and time column
+ *                    (e.g. PhysioNet's "'Elapsed time','MLII','V5'" export)
+ */
+const TIME_COLUMN = /time|^t$|^sec|^ms$|^sample/i
+
+function splitRow(line) {
+  return line.split(/[,;\t]/).map(c => c.trim().replace(/^['"]|['"]$/g, ''))
+}
+
+const isNumber = text => text !== '' && Number.isFinite(Number(text))
+
+// PhysioNet writes elapsed time as h:mm:ss.mmm
+function parseTime(text) {
+  if (!text.includes(':')) return Number(text)
+  return text.split(':').reduce((acc, part) => acc * 60 + Number(part), 0)
+}
+
+function parseCapture(lines, name) {
+  let sampleRate = null
+  for (const line of lines) {
+    const record = parseLine(line.trim())
+    if (record.type === 'meta' && record.meta.sampleRate) { sampleRate = record.meta.sampleRate; break }
+    if (record.type === 'data') break
+  }
+  return { name, format: 'Device capture', sampleRate, lines }
+}
+
+function parseTable(lines, name) {
+  const header = splitRow(lines[0])
+  const timeIndex = header.findIndex(h => TIME_COLUMN.test(h))
+  let units = header.map(() => '')
+  let first = 1
+  // Optional units row: "(mV)" or "mV" under each lead
+  const second = lines.length > 1 ? splitRow(lines[1]) : []
+  if (second.length && second.every((c, i) => i === timeIndex || !isNumber(c))) {
+    units = second.map(c => c.replace(/[()]/g, ''))
+    first = 2
+  }
+
+  const rows = lines.slice(first).map(splitRow)
+  if (rows.length < 2) throw new Error(`${name} has no data rows.`)
+  const channels = header
+    .map((label, i) => ({ index: i, name: label || `Channel ${i + 1}`, units: units[i] || 'mV' }))
+    .filter(c => c.index !== timeIndex)
+    .map(c => {
+      const scale = toMillivolts(c.units)
+      const samples = new Float32Array(rows.length)
+      rows.forEach((row, k) => { samples[k] = isNumber(row[c.index] || '') ? Number(row[c.index]) * scale : NaN })
+      return { name: c.name, units: 'mV', samples }
+    })
+
+  let sampleRate = null
+  if (timeIndex >= 0) {
+    const t0 = parseTime(rows[0][timeIndex])
+    const t1 = parseTime(rows[rows.length - 1][timeIndex])
+    const msScale = /ms/i.test(header[timeIndex]) || /ms/i.test(units[timeIndex]) ? 1000 : 1
+    if (t1 > t0) sampleRate = Math.round((rows.length - 1) / ((t1 - t0) / msScale))
+  }
+  return { name, format: 'CSV table', sampleRate, channels }
+}
+
+export function parseCsv(text, name) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim())
+  if (lines.length === 0) throw new Error(`${name} is empty.`)
+  const header = splitRow(lines[0])
+  const isTable = header.length >= 2 && header.every(c => !isNumber(c)) && parseLine(lines[0].trim()).type === 'malformed'
+  return isTable ? parseTable(lines, name) : parseCapture(lines, name)
+}
@@ -0,0 +1,75 @@
+import { toMillivolts } from './units'
+
+/**
+ * EDF / EDF+ recordings
+ * Fixed-width ASCII header, then data records holding int16 samples per signal.
+ * Annotation channels are skipped; EDF+D (discontinuous) files are read as
+ * if continuous.
+ */
+const ANNOTATIONS = 'EDF Annotations'
+
+function ascii(bytes, start, length) {
+  let text = ''
+  for (let i = start; i < start + length; i++) text += String.fromCharCode(bytes[i])
+  return text.trim()
+}
+
+export function parseEdf(buffer, name) {
+  const bytes = new Uint8Array(buffer)
+  if (bytes.length < 256) throw new Error(`${name} is too short to be an EDF file.`)
+  const headerBytes = parseInt(ascii(bytes, 184, 8))
+  const reserved = ascii(bytes, 192, 44)
+  let recordCount = parseInt(ascii(bytes, 236, 8))
+  const recordSeconds = parseFloat(ascii(bytes, 244, 8))
+  const ns = parseInt(ascii(bytes, 252, 4))
+  if (!(ns > 0) || headerBytes !== 256 * (ns + 1)) throw new Error(`${name} does not have a valid EDF header.`)
+  if (!(recordSeconds > 0)) throw new Error(`${name} has no data record duration.`)
+
+  // Each signal field is stored for all signals before the next field starts
+  let at = 256
+  const field = length => {
+    const values = []
+    for (let i = 0; i < ns; i++) values.push(ascii(bytes, at + i * length, length))
+    at += ns * length
+    return values
+  }
+  const labels = field(16)
+  field(80) // transducer
+  const dims = field(8)
+  const physMin = field(8).map(Number)
+  const physMax = field(8).map(Number)
+  const digMin = field(8).map(Number)
+  const digMax = field(8).map(Number)
+  field(80) // prefiltering
+  const perRecord = field(8).map(n => parseInt(n))
+
+  const recordSamples = perRecord.reduce((a, b) => a + b, 0)
+  const available = Math.floor((bytes.length - headerBytes) / (recordSamples * 2))
+  // -1 means the writer never filled in the count
+  if (!(recordCount > 0) || recordCount > available) recordCount = available
+  if (recordCount === 0) throw new Error(`${name} contains no data records.`)
+
+  const view = new DataView(buffer, headerBytes)
+  const channels = []
+  let signalOffset = 0
+  for (let s = 0; s < ns; s++) {
+    const n = perRecord[s]
+    if (labels[s] !== ANNOTATIONS) {
+      const gain = (physMax[s] - physMin[s]) / (digMax[s] - digMin[s] || 1)
+      const scale = toMillivolts(dims[s])
+      const out = new Float32Array(n * recordCount)
+      for (let r = 0; r < recordCount; r++) {
+        const base = (r * recordSamples + signalOffset) * 2
+        for (let i = 0; i < n; i++) {
+          out[r * n + i] = (physMin[s] + (view.getInt16(base + i * 2, true) - digMin[s]) * gain) * scale
+        }
+      }
+      channels.push({ name: labels[s], units: 'mV', samples: out, sampleRate: n / recordSeconds })
+    }
+    signalOffset += n
+  }
+  if (channels.length === 0) throw new Error(`${name} has only annotation channels.`)
+
+  const format = reserved.startsWith('EDF+') ? 'EDF+' : 'EDF'
+  return { name, format, sampleRate: channels[0].sampleRate, channels }
+}
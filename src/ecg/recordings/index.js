@@ -0,0 +1,99 @@
+import { parseCsv } from './csv'
+import { parseWfdb } from './wfdb'
+import { parseEdf } from './edf'
+
+/**
+ * Recording import
+ * Reads CSV, PhysioNet WFDB (.hea + .dat) and EDF/EDF+ files and maps their
+ * channels onto Lead I and Lead II, the two leads the device streams; the
+ * pages derive III, aVR, aVL and aVF from those as they do for live data.
+ *
+ * Result: { name, format, sampleRate, duration, mapping }
+ *   plus lines (device capture, replayed verbatim) or leads [leadI, leadII] in mV.
+ */
+export const RECORDING_ACCEPT = '.csv,.txt,.log,.hea,.dat,.edf'
+
+const extension = file => (file.name.split('.').pop() || '').toLowerCase()
+
+// "ECG Lead II", "MLII", "EKG I" -> 'I' | 'II' | 'III'
+function limbLead(name) {
+  const n = name.toUpperCase().replace(/^(ECG|EKG)\s*/, '').replace(/^LEAD\s*/, '').replace(/[\s_-]/g, '')
+  const match = /^(?:ML)?(III|II|I)$/.exec(n)
+  return match ? match[1] : null
+}
+
+function subtract(a, b) {
+  const out = new Float32Array(Math.min(a.length, b.length))
+  for (let i = 0; i < out.length; i++) out[i] = a[i] - b[i]
+  return out
+}
+
+function add(a, b) {
+  const out = new Float32Array(Math.min(a.length, b.length))
+  for (let i = 0; i < out.length; i++) out[i] = a[i] + b[i]
+  return out
+}
+
+// Einthoven: II = I + III, so any two limb leads give the other one
+function mapLeads(channels) {
+  const found = {}
+  for (const c of channels) {
+    const lead = limbLead(c.name)
+    if (lead && !found[lead]) found[lead] = c
+  }
+  const { I, II, III } = found
+  if (I && II) return { leads: [I.samples, II.samples], mapping: `Lead I ← ${I.name}, Lead II ← ${II.name}`, used: [I, II] }
+  if (II && III) return { leads: [subtract(II.samples, III.samples), II.samples], mapping: `Lead I = ${II.name} − ${III.name}, Lead II ← ${II.name}`, used: [II, III] }
+  if (I && III) return { leads: [I.samples, add(I.samples, III.samples)], mapping: `Lead I ← ${I.name}, Lead II = ${I.name} + ${III.name}`, used: [I, III] }
+  // One limb lead (e.g. MIT-BIH MLII + V5): show it on both so the trace and detectors still run
+  const only = I || II || III || channels[0]
+  return { leads: [only.samples, only.samples], mapping: `Lead I, Lead II ← ${only.name} (single lead; derived leads are not meaningful)`, used: [only] }
+}
+
+async function readRecording(files) {
+  const header = files.find(f => extension(f) === 'hea')
+  if (header) {
+    const dataFiles = new Map()
+    for (const f of files.filter(f => extension(f) === 'dat')) dataFiles.set(f.name, await f.arrayBuffer())
+    return parseWfdb(await header.text(), dataFiles, header.name)
+  }
+  const file = files[0]
+  switch (extension(file)) {
+    case 'edf': return parseEdf(await file.arrayBuffer(), file.name)
+    case 'dat': throw new Error('WFDB records need their .hea header; select the .hea and .dat files together.')
+    default: return parseCsv(await file.text(), file.name)
+  }
+}
+
+/**
+ * files: File[] from an <input type="file" multiple>
+ * fallbackRate: used when the file does not state its sample rate
+ */
+export async function loadRecording(files, fallbackRate = 125) {
+  if (!files || files.length === 0) throw new Error('Choose a recording to open.')
+  const recording = await readRecording(Array.from(files))
+
+  if (recording.lines) {
+    const sampleRate = recording.sampleRate || fallbackRate
+    const dataLines = recording.lines.filter(l => /^[-+.\d]/.test(l.trim())).length
+    return {
+      ...recording,
+      sampleRate,
+      duration: dataLines / sampleRate,
+      mapping: recording.sampleRate ? 'Device lines replayed as recorded' : `Device lines replayed as recorded (no #META rate; assuming ${sampleRate} Hz)`
+    }
+  }
+
+  const { leads, mapping, used } = mapLeads(recording.channels)
+  const rates = new Set(used.map(c => c.sampleRate || recording.sampleRate))
+  if (rates.size > 1) throw new Error(`${recording.name}: the mapped leads have different sample rates (${[...rates].join(', ')} Hz).`)
+  const sampleRate = [...rates][0] || fallbackRate
+  return {
+    name: recording.name,
+    format: recording.format,
+    sampleRate,
+    duration: leads[0].length / sampleRate,
+    mapping: recording.sampleRate || used[0].sampleRate ? mapping : `${mapping}; no sample rate in file, assuming ${sampleRate} Hz`,
+    leads
+  }
+}
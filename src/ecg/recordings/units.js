@@ -0,0 +1,7 @@
+// Scale factor from a physical unit label to millivolts (unknown labels are taken as mV)
+export function toMillivolts(units) {
+  const u = (units || '').trim().replace('µ', 'u').toLowerCase()
+  if (u === 'uv') return 0.001
+  if (u === 'v') return 1000
+  return 1
+}
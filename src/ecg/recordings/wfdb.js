@@ -0,0 +1,114 @@
+import { toMillivolts } from './units'
+
+/**
+ * PhysioNet WFDB records
+ * A .hea header describing the signals plus the .dat file(s) it names.
+ * Formats 16 (little-endian int16) and 212 (two 12-bit samples in 3 bytes)
+ * are supported; multi-segment records and oversampled signals are not.
+ */
+const DEFAULT_FS = 250
+const DEFAULT_GAIN = 200
+
+// "100 2 360 650000" -> record name, signal count, sampling frequency, samples per signal
+function parseRecordLine(line) {
+  const [record, nsigField, fsField, nsampField] = line.trim().split(/\s+/)
+  if (nsigField.includes('/')) throw new Error(`${record} is a multi-segment record; open one of its segments instead.`)
+  const fs = fsField ? parseFloat(fsField.split('/')[0]) : DEFAULT_FS
+  return { record, nsig: parseInt(nsigField), fs: fs > 0 ? fs : DEFAULT_FS, nsamp: nsampField ? parseInt(nsampField) : null }
+}
+
+// "100.dat 212 200 11 1024 995 -22131 0 MLII"
+function parseSignalLine(line) {
+  const fields = line.trim().split(/\s+/)
+  const [file, formatField, gainField, , zeroField] = fields
+  const format = parseInt(formatField)
+  const offset = /\+(\d+)/.exec(formatField)
+  if (/x/.test(formatField)) throw new Error(`Signal ${fields[8] || file} uses multiple samples per frame, which is not supported.`)
+  let gain = DEFAULT_GAIN
+  let baseline = null
+  let units = 'mV'
+  if (gainField) {
+    const m = /^([-\d.eE+]+)(?:\((-?\d+)\))?(?:\/(\S+))?$/.exec(gainField)
+    if (m) {
+      gain = parseFloat(m[1]) || DEFAULT_GAIN
+      if (m[2] !== undefined) baseline = parseInt(m[2])
+      if (m[3]) units = m[3]
+    }
+  }
+  const zero = zeroField !== undefined ? parseInt(zeroField) : 0
+  return {
+    file,
+    format,
+    byteOffset: offset ? parseInt(offset[1]) : 0,
+    gain,
+    baseline: baseline !== null ? baseline : zero,
+    units,
+    description: fields.slice(8).join(' ')
+  }
+}
+
+// Decode every sample in a .dat file as one interleaved stream (frame-major)
+function decodeSamples(bytes, format) {
+  if (format === 16) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    const out = new Int32Array(Math.floor(bytes.length / 2))
+    for (let i = 0; i < out.length; i++) out[i] = view.getInt16(i * 2, true)
+    return { samples: out, invalid: -32768 }
+  }
+  if (format === 212) {
+    const pairs = Math.floor(bytes.length / 3)
+    const out = new Int32Array(pairs * 2)
+    for (let p = 0; p < pairs; p++) {
+      const b0 = bytes[p * 3]
+      const b1 = bytes[p * 3 + 1]
+      const b2 = bytes[p * 3 + 2]
+      let s0 = ((b1 & 0x0F) << 8) | b0
+      let s1 = ((b1 & 0xF0) << 4) | b2
+      if (s0 > 2047) s0 -= 4096
+      if (s1 > 2047) s1 -= 4096
+      out[p * 2] = s0
+      out[p * 2 + 1] = s1
+    }
+    return { samples: out, invalid: -2048 }
+  }
+  throw new Error(`WFDB format ${format} is not supported (use format 16 or 212).`)
+}
+
+/**
+ * header: text of the .hea file; dataFiles: Map of file name -> ArrayBuffer
+ */
+export function parseWfdb(header, dataFiles, name) {
+  const lines = header.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'))
+  if (lines.length === 0) throw new Error(`${name} is an empty WFDB header.`)
+  const record = parseRecordLine(lines[0])
+  const signals = lines.slice(1, 1 + record.nsig).map(parseSignalLine)
+  if (signals.length === 0) throw new Error(`${record.record} has no signals.`)
+
+  // Signals stored in the same file are interleaved in header order
+  const byFile = new Map()
+  for (const signal of signals) {
+    if (!byFile.has(signal.file)) byFile.set(signal.file, [])
+    byFile.get(signal.file).push(signal)
+  }
+
+  const channels = []
+  for (const [file, group] of byFile) {
+    const buffer = dataFiles.get(file)
+    if (!buffer) throw new Error(`Missing ${file}; select it together with ${name}.`)
+    const { format, byteOffset } = group[0]
+    if (group.some(s => s.format !== format)) throw new Error(`${file} mixes sample formats.`)
+    const { samples, invalid } = decodeSamples(new Uint8Array(buffer, byteOffset), format)
+    const frames = Math.min(record.nsamp || Infinity, Math.floor(samples.length / group.length))
+    group.forEach((signal, k) => {
+      const scale = toMillivolts(signal.units)
+      const out = new Float32Array(frames)
+      for (let i = 0; i < frames; i++) {
+        const adc = samples[i * group.length + k]
+        out[i] = adc === invalid ? NaN : (adc - signal.baseline) / signal.gain * scale
+      }
+      channels.push({ name: signal.description || `Signal ${channels.length + 1}`, units: 'mV', samples: out })
+    })
+  }
+
+  return { name: record.record, format: `WFDB (format ${signals[0].format})`, sampleRate: record.fs, channels }
+}
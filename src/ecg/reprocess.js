@@ -0,0 +1,56 @@
+import { designFilter, createFilter, createPowerlineFilter, zeroPhase } from './dsp'
+import { removeBaseline } from './baseline'
+import { isDiagnosticBaseline, withoutHighPass, describeFilter, describePowerline, describeBaseline } from './filterSettings'
+
+/**
+ * Offline reprocessing of recorded strips
+ * Recordings keep the samples as they arrived (units converted, nothing
+ * filtered), so the report can be rebuilt after capture with any settings.
+ * Unlike the live path every stage runs forward and backward, so QRS timing
+ * and the ST segment are not shifted.
+ *
+ * spec: { filter, powerline, baseline } as used on the page (filterSettings.js)
+ * NaN gaps (lost frames) are kept; each run between them is processed alone.
+ */
+const PAD_SECONDS = 2
+
+function eachRun(samples, process) {
+  const out = Array.from(samples)
+  let i = 0
+  while (i < out.length) {
+    if (!Number.isFinite(out[i])) { i++; continue }
+    let end = i
+    while (end < out.length && Number.isFinite(out[end])) end++
+    const result = process(out.slice(i, end))
+    for (let j = i; j < end; j++) out[j] = result[j - i]
+    i = end
+  }
+  return out
+}
+
+export function reprocessLead(samples, sampleRate, spec = {}) {
+  const diagnostic = isDiagnosticBaseline(spec.baseline)
+  // Diagnostic baseline correction replaces the high-pass, as it does live
+  const sections = designFilter(diagnostic ? withoutHighPass(spec.filter) : spec.filter, sampleRate)
+  const pad = Math.round(PAD_SECONDS * sampleRate)
+  let out = samples
+  if (spec.powerline && createPowerlineFilter(spec.powerline, sampleRate)) {
+    out = eachRun(out, run => zeroPhase(() => createPowerlineFilter(spec.powerline, sampleRate), run, pad))
+  }
+  if (sections.length) out = eachRun(out, run => zeroPhase(() => createFilter(sections), run, pad))
+  if (diagnostic) out = removeBaseline(out, sampleRate, spec.baseline)
+  return out === samples ? Array.from(samples) : out
+}
+
+// leads: { name: samples }; returns the same names, reprocessed
+export function reprocessLeads(leads, sampleRate, spec) {
+  const out = {}
+  for (const name of Object.keys(leads)) out[name] = leads[name] ? reprocessLead(leads[name], sampleRate, spec) : null
+  return out
+}
+
+// Report header label for a reprocessed strip: every stage it went through
+export function describeReprocessing(spec) {
+  const filter = describeFilter(isDiagnosticBaseline(spec.baseline) ? withoutHighPass(spec.filter) : spec.filter)
+  return `Filter ${filter}, zero-phase; Notch: ${describePowerline(spec.powerline)}; Baseline: ${describeBaseline(spec.baseline)}`
+}
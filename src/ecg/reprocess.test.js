@@ -0,0 +1,18 @@
+import { describe, expect, it } from 'vitest'
+import { describeReprocessing } from './reprocess'
+
+const FILTER = { type: 'bandpass', order: 4, low: 0.5, high: 40 }
+
+describe('describeReprocessing', () => {
+  it('names the filter, the powerline notch and the baseline method', () => {
+    expect(describeReprocessing({ filter: FILTER, powerline: { mains: 50, harmonics: true, adaptive: true }, baseline: 'filter' }))
+      .toBe('Filter Butterworth band-pass 0.5–40 Hz, 4th order, zero-phase; Notch: 50 Hz notch + harmonics, adaptive; Baseline: High-pass (live)')
+    expect(describeReprocessing({ filter: FILTER, powerline: { mains: 60, harmonics: false, adaptive: false }, baseline: 'median' }))
+      .toBe('Filter Butterworth low-pass 40 Hz, 4th order, zero-phase; Notch: 60 Hz notch; Baseline: Two-stage median (diagnostic)')
+  })
+
+  it('says when a stage is off', () => {
+    expect(describeReprocessing({ filter: { type: 'off' }, powerline: { mains: 'off' }, baseline: 'spline' }))
+      .toBe('Filter Off, zero-phase; Notch: Off; Baseline: PR-segment spline (diagnostic)')
+  })
+})
@@ -0,0 +1,170 @@
+/**
+ * Rhythm events
+ * Arrhythmia episodes in a recording, from its classified beats
+ * (beatClassifier.js):
+ * - ventricular / supraventricular couplets (2 ectopic beats in a row),
+ *   triplets (3) and runs (RUN_BEATS or more)
+ * - bigeminy / trigeminy: an ectopic beat after every one / two normal beats
+ *   for at least GEMINY_CYCLES cycles
+ * - pauses: an RR longer than the configured pause length
+ * - bradycardia / tachycardia: the rate from the median of RATE_BEATS
+ *   intervals below BRADY_BPM or above TACHY_BPM; a single pause does not
+ *   make one, and windows with ventricular beats are left to the runs
+ * Each event is { type, start, end, severity, detail }: start and end are the
+ * sample indices of its first and last R peak, severity 'info' | 'warning' |
+ * 'danger'. Intervals across lost samples (NaN) are not measured.
+ */
+const STORAGE_KEY = 'nextecg.rhythm'
+
+export const EVENT_TYPES = {
+  vRun: 'Ventricular run',
+  vTriplet: 'Ventricular triplet',
+  vCouplet: 'Ventricular couplet',
+  sRun: 'Supraventricular run',
+  sTriplet: 'Supraventricular triplet',
+  sCouplet: 'Supraventricular couplet',
+  bigeminy: 'Bigeminy',
+  trigeminy: 'Trigeminy',
+  pause: 'Pause',
+  brady: 'Bradycardia',
+  tachy: 'Tachycardia'
+}
+
+export const SEVERITY_COLORS = { info: '#2563eb', warning: '#d97706', danger: '#dc2626' }
+
+// Pause lengths offered (s)
+export const PAUSE_OPTIONS = [1.5, 2, 2.5, 3]
+
+export const RHYTHM_DEFAULTS = { pauseSeconds: 2 }
+
+const RUN_BEATS = 4
+const GEMINY_CYCLES = 3
+const LONG_PAUSE_SECONDS = 3 // pauses this long are severe
+const RATE_BEATS = 4
+const BRADY_BPM = 50
+const TACHY_BPM = 100
+const SEVERE_BRADY_BPM = 40
+const SEVERE_TACHY_BPM = 150
+
+const ECTOPIC = { V: 'ventricular', S: 'supraventricular' }
+
+const median = values => {
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid = sorted.length >> 1
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
+
+// Ectopic beats in a row: couplets, triplets and runs
+function findRuns(beats, labels, sampleRate) {
+  const events = []
+  let first = 0
+  for (let i = 1; i <= labels.length; i++) {
+    if (i < labels.length && labels[i] === labels[first]) continue
+    const count = i - first
+    const label = labels[first]
+    first = i
+    if (!ECTOPIC[label] || count < 2) continue
+    const start = beats[i - count]
+    const end = beats[i - 1]
+    const bpm = Math.round(60 * sampleRate * (count - 1) / (end - start))
+    const size = count >= RUN_BEATS ? 'Run' : count === 3 ? 'Triplet' : 'Couplet'
+    const severity = label === 'V' ? (count >= 3 ? 'danger' : 'warning') : (count >= RUN_BEATS ? 'warning' : 'info')
+    events.push({ type: `${label.toLowerCase()}${size}`, start, end, severity, detail: `${count} beats at ${bpm} bpm` })
+  }
+  return events
+}
+
+// An ectopic beat after every period - 1 normal beats: bigeminy (2), trigeminy (3)
+function findGeminy(beats, labels, period) {
+  const events = []
+  const normalBefore = i => i >= period - 1 && labels.slice(i - period + 1, i).every(label => label === 'N')
+  let i = 0
+  while (i < labels.length) {
+    const label = labels[i]
+    if (!ECTOPIC[label] || !normalBefore(i)) { i++; continue }
+    let cycles = 1
+    while (labels[i + cycles * period] === label && normalBefore(i + cycles * period)) cycles++
+    if (cycles < GEMINY_CYCLES) { i++; continue }
+    const last = i + (cycles - 1) * period
+    events.push({
+      type: period === 2 ? 'bigeminy' : 'trigeminy',
+      start: beats[i - period + 1],
+      end: beats[last],
+      severity: label === 'V' ? 'warning' : 'info',
+      detail: `${ECTOPIC[label]}, ${cycles} cycles`
+    })
+    i = last + 1
+  }
+  return events
+}
+
+/**
+ * Rhythm events of a recording, in order. samples: the lead the beats were
+ * found on; beats: R peak sample indices; labels: their classes;
+ * settings: { pauseSeconds }.
+ */
+export function detectRhythmEvents(samples, beats, labels, sampleRate, settings = RHYTHM_DEFAULTS) {
+  // Lost samples before each index, so an interval across a gap is skipped
+  const lost = new Uint32Array(samples.length + 1)
+  for (let i = 0; i < samples.length; i++) lost[i + 1] = lost[i] + (Number.isFinite(samples[i]) ? 0 : 1)
+  const measured = (from, to) => lost[to] === lost[from]
+
+  const events = [...findRuns(beats, labels, sampleRate), ...findGeminy(beats, labels, 2), ...findGeminy(beats, labels, 3)]
+
+  for (let i = 1; i < beats.length; i++) {
+    const seconds = (beats[i] - beats[i - 1]) / sampleRate
+    if (seconds <= settings.pauseSeconds || !measured(beats[i - 1], beats[i])) continue
+    events.push({ type: 'pause', start: beats[i - 1], end: beats[i], severity: seconds >= LONG_PAUSE_SECONDS ? 'danger' : 'warning', detail: `${seconds.toFixed(1)} s` })
+  }
+
+  // Slow or fast stretches: consecutive windows of RATE_BEATS intervals out of range
+  let episode = null
+  const close = () => {
+    if (!episode) return
+    const brady = episode.type === 'brady'
+    const severe = brady ? episode.extreme < SEVERE_BRADY_BPM : episode.extreme > SEVERE_TACHY_BPM
+    const seconds = (episode.end - episode.start) / sampleRate
+    const detail = `${brady ? 'lowest' : 'highest'} ${Math.round(episode.extreme)} bpm over ${seconds.toFixed(1)} s`
+    events.push({ type: episode.type, start: episode.start, end: episode.end, severity: severe ? 'danger' : 'warning', detail })
+    episode = null
+  }
+  for (let i = RATE_BEATS; i < beats.length; i++) {
+    const from = beats[i - RATE_BEATS]
+    const window = beats.slice(i - RATE_BEATS, i + 1)
+    const valid = measured(from, beats[i]) && !labels.slice(i - RATE_BEATS, i + 1).includes('V')
+    const bpm = valid ? 60 * sampleRate / median(window.slice(1).map((r, k) => r - window[k])) : null
+    const type = bpm === null ? null : bpm < BRADY_BPM ? 'brady' : bpm > TACHY_BPM ? 'tachy' : null
+    if (episode && episode.type === type) {
+      episode.end = beats[i]
+      episode.extreme = type === 'brady' ? Math.min(episode.extreme, bpm) : Math.max(episode.extreme, bpm)
+      continue
+    }
+    close()
+    if (type) episode = { type, start: from, end: beats[i], extreme: bpm }
+  }
+  close()
+
+  return events.sort((a, b) => a.start - b.start || a.end - b.end)
+}
+
+// "0:03.2"
+export function formatEventTime(sample, sampleRate) {
+  const tenths = Math.round(sample / sampleRate * 10)
+  return `${Math.floor(tenths / 600)}:${((tenths % 600) / 10).toFixed(1).padStart(4, '0')}`
+}
+
+// "0:03.2  Ventricular couplet — 2 beats at 150 bpm"
+export function describeRhythmEvent(event, sampleRate) {
+  return `${formatEventTime(event.start, sampleRate)}  ${EVENT_TYPES[event.type]} — ${event.detail}`
+}
+
+export function loadRhythmSettings() {
+  try {
+    const stored = { ...RHYTHM_DEFAULTS, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) }
+    return { pauseSeconds: PAUSE_OPTIONS.includes(stored.pauseSeconds) ? stored.pauseSeconds : RHYTHM_DEFAULTS.pauseSeconds }
+  } catch (_e) { return { ...RHYTHM_DEFAULTS } }
+}
+
+export function saveRhythmSettings(settings) {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(settings)) } catch (e) { console.warn('Could not save rhythm event settings', e) }
+}
@@ -0,0 +1,101 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { describeRhythmEvent, detectRhythmEvents, formatEventTime } from './rhythmEvents'
+import { classifyBeats } from './beatClassifier'
+import { detectBeats } from './beatDetector'
+import { createSimulator, RHYTHMS } from './simulator'
+import { removeBaseline } from './baseline'
+
+const SAMPLE_RATE = 125
+
+// R peaks after the given RRs (samples), and a lead long enough to hold them
+function beatsAfter(rrs) {
+  const beats = [50]
+  for (const rr of rrs) beats.push(beats[beats.length - 1] + rr)
+  return { beats, samples: Array(beats[beats.length - 1] + 50).fill(0) }
+}
+
+function events(rrs, labels, settings) {
+  const { beats, samples } = beatsAfter(rrs)
+  return detectRhythmEvents(samples, beats, labels, SAMPLE_RATE, settings)
+}
+
+const summary = found => found.map(({ type, severity, detail }) => ({ type, severity, detail }))
+
+describe('detectRhythmEvents', () => {
+  it('finds nothing in a steady normal rhythm', () => {
+    expect(events(Array(12).fill(100), Array(13).fill('N'))).toEqual([])
+  })
+
+  it('sizes ectopic beats in a row as couplets, triplets and runs', () => {
+    const labels = [...'NNNVVNNNNSSSNNNVVVVNNN']
+    const rrs = labels.slice(1).map((label, i) => (label !== 'N' && labels[i] !== 'N' ? 50 : 100))
+    const found = events(rrs, labels)
+    expect(summary(found)).toEqual([
+      { type: 'vCouplet', severity: 'warning', detail: '2 beats at 150 bpm' },
+      { type: 'sTriplet', severity: 'info', detail: '3 beats at 150 bpm' },
+      { type: 'vRun', severity: 'danger', detail: '4 beats at 150 bpm' }
+    ])
+    const { beats } = beatsAfter(rrs)
+    expect(found[0]).toMatchObject({ start: beats[3], end: beats[4] })
+  })
+
+  it('finds bigeminy and trigeminy of at least three cycles', () => {
+    const bigeminy = events(Array(10).fill(100), [...'NNSNSNSNNNN'])
+    expect(summary(bigeminy)).toEqual([{ type: 'bigeminy', severity: 'info', detail: 'supraventricular, 3 cycles' }])
+    const trigeminy = events(Array(12).fill(100), [...'NNVNNVNNVNNVN'])
+    expect(summary(trigeminy)).toEqual([{ type: 'trigeminy', severity: 'warning', detail: 'ventricular, 4 cycles' }])
+    expect(events(Array(6).fill(100), [...'NNVNVNN'])).toEqual([])
+  })
+
+  it('reports pauses longer than the setting, and not across lost samples', () => {
+    const rrs = [...Array(6).fill(100), 300, ...Array(6).fill(100), 400, ...Array(6).fill(100)]
+    const labels = Array(rrs.length + 1).fill('N')
+    expect(summary(events(rrs, labels))).toEqual([
+      { type: 'pause', severity: 'warning', detail: '2.4 s' },
+      { type: 'pause', severity: 'danger', detail: '3.2 s' }
+    ])
+    expect(summary(events(rrs, labels, { pauseSeconds: 2.5 }))).toEqual([{ type: 'pause', severity: 'danger', detail: '3.2 s' }])
+    const { beats, samples } = beatsAfter(rrs)
+    samples.fill(NaN, beats[6] + 10, beats[7] - 10)
+    expect(summary(detectRhythmEvents(samples, beats, labels, SAMPLE_RATE))).toEqual([{ type: 'pause', severity: 'danger', detail: '3.2 s' }])
+  })
+
+  it('finds slow and fast stretches by their median rate, but not a single pause', () => {
+    const rrs = [...Array(6).fill(100), ...Array(6).fill(170), 200, ...Array(6).fill(100), ...Array(6).fill(70)]
+    const found = events(rrs, Array(rrs.length + 1).fill('N'))
+    expect(summary(found)).toEqual([
+      { type: 'brady', severity: 'warning', detail: 'lowest 44 bpm over 11.4 s' },
+      { type: 'tachy', severity: 'warning', detail: 'highest 107 bpm over 4.2 s' }
+    ])
+    expect(summary(events([...Array(6).fill(100), 300, ...Array(6).fill(100)], Array(14).fill('N'))).map(event => event.type)).toEqual(['pause'])
+  })
+
+  it('leaves windows with ventricular beats to the runs', () => {
+    const labels = [...'NNNNVVVVVVNNNN']
+    const rrs = labels.slice(1).map(label => (label === 'V' ? 40 : 100))
+    expect(events(rrs, labels).map(event => event.type)).toEqual(['vRun'])
+  })
+
+  describe('on a simulated take', () => {
+    afterEach(() => { vi.restoreAllMocks() })
+
+    it('finds the bradycardia', () => {
+      let seed = 2
+      vi.spyOn(Math, 'random').mockImplementation(() => (seed = (seed * 1664525 + 1013904223) % 4294967296) / 4294967296)
+      const { heartRate, hrv } = RHYTHMS.bradycardia
+      const simulator = createSimulator({ rhythm: 'bradycardia', heartRate, hrv, sampleRate: SAMPLE_RATE })
+      const samples = removeBaseline(Array.from({ length: 30 * SAMPLE_RATE }, (_, n) => simulator.sample(n)[1]), SAMPLE_RATE, 'median')
+      const beats = detectBeats(samples, SAMPLE_RATE)
+      const found = detectRhythmEvents(samples, beats, classifyBeats(samples, beats, SAMPLE_RATE), SAMPLE_RATE)
+      expect(found.map(event => event.type)).toContain('brady')
+    })
+  })
+})
+
+describe('describeRhythmEvent', () => {
+  it('gives the start time, the name and the detail', () => {
+    expect(formatEventTime(400, SAMPLE_RATE)).toBe('0:03.2')
+    expect(formatEventTime(125 * 75.04, SAMPLE_RATE)).toBe('1:15.0')
+    expect(describeRhythmEvent({ type: 'vCouplet', start: 400, detail: '2 beats at 150 bpm' }, SAMPLE_RATE)).toBe('0:03.2  Ventricular couplet — 2 beats at 150 bpm')
+  })
+})
@@ -0,0 +1,109 @@
+/**
+ * Sample Clock
+ * Time base derived from the sample index, not from when the browser got around
+ * to handling a frame. Sample n is at n / sampleRate seconds; lost frames still
+ * advance the index so intervals across a gap stay correct.
+ *
+ * Wall-clock arrival times are only used to judge the link:
+ *   measuredRate   - samples per second of signal over a sliding window
+ *                    (arrivals divided by the replay speed)
+ *   configuredRate - the rate the index is read at (page setting or #META rate)
+ *   drift          - measuredRate / configuredRate - 1
+ *   underruns      - silences long enough that the device or link stalled
+ * Health is reported when drift starts or stops, on an underrun, and every
+ * REPORT_MS while a measurement is available.
+ */
+const WINDOW_MS = 10000
+const HISTORY_STEP_MS = 100
+const MIN_WINDOW_MS = 5000
+export const DRIFT_TOLERANCE = 0.03
+const UNDERRUN_MS = 250
+const REPORT_MS = 1000
+
+// Rates devices are usually clocked at; a measurement this close to one is snapped to it
+const COMMON_RATES = [100, 125, 128, 200, 250, 256, 360, 500, 512, 1000, 1024, 2000]
+
+export function createSampleClock(sampleRate) {
+  let rate = sampleRate
+  let playback = 1 // replay speed; samples are expected this many times faster than rate
+  let index = -1
+  let lastArrival = null
+  let history = [] // [wallMs, index], thinned to one entry per HISTORY_STEP_MS
+  let lastReport = -Infinity
+  const health = { measuredRate: null, configuredRate: rate, drift: 0, drifting: false, underruns: 0 }
+
+  function restartMeasurement() {
+    history = []
+    health.configuredRate = rate
+    health.measuredRate = null
+    health.drift = 0
+    health.drifting = false
+  }
+
+  function measure(wallMs) {
+    const last = history[history.length - 1]
+    if (!last || wallMs - last[0] >= HISTORY_STEP_MS) history.push([wallMs, index])
+    while (history.length > 2 && wallMs - history[1][0] > WINDOW_MS) history.shift()
+    const [oldWall, oldIndex] = history[0]
+    const spanMs = wallMs - oldWall
+    if (spanMs < MIN_WINDOW_MS) return false
+    health.measuredRate = (index - oldIndex) / (spanMs / 1000) / playback
+    health.drift = health.measuredRate / rate - 1
+    const drifting = Math.abs(health.drift) > DRIFT_TOLERANCE
+    const changed = drifting !== health.drifting || wallMs - lastReport >= REPORT_MS
+    health.drifting = drifting
+    if (changed) lastReport = wallMs
+    return changed
+  }
+
+  return {
+    health,
+    get sampleRate() { return rate },
+    get index() { return index },
+    setSampleRate(next) {
+      if (!next || next === rate) return
+      rate = next
+      restartMeasurement()
+    },
+    // Replays run faster than real time; arrival health is judged against that speed (Infinity: not at all)
+    setPlaybackRate(next) {
+      playback = next
+      restartMeasurement()
+    },
+    // Seconds since the first sample for a given sample index
+    timeOf(sampleIndex) { return sampleIndex / rate },
+    // Advance by one received sample plus any lost before it.
+    // Returns the new index and whether link health changed (underrun, drift start/stop).
+    tick(lost = 0, wallMs = performance.now()) {
+      let underrun = false
+      if (lastArrival !== null && wallMs - lastArrival > Math.max(UNDERRUN_MS, 4000 / (rate * playback))) {
+        health.underruns++
+        underrun = true
+        // A stall is not drift: restart the rate window after it
+        history = []
+      }
+      lastArrival = wallMs
+      index += 1 + lost
+      const driftChanged = Number.isFinite(playback) && measure(wallMs)
+      return { sampleIndex: index, underrun, healthChanged: underrun || driftChanged }
+    }
+  }
+}
+
+/**
+ * Sample rate to adopt for a measured one: the nearest common device rate
+ * within DRIFT_TOLERANCE, otherwise the measurement rounded to 1 Hz.
+ */
+export function nominalRate(measuredRate) {
+  const nearest = COMMON_RATES.reduce((a, b) => (Math.abs(b - measuredRate) < Math.abs(a - measuredRate) ? b : a))
+  return Math.abs(nearest / measuredRate - 1) <= DRIFT_TOLERANCE ? nearest : Math.round(measuredRate)
+}
+
+// Short warning for the toolbar, or null while the clock is healthy
+export function describeClockHealth(health) {
+  if (!health) return null
+  const parts = []
+  if (health.drifting) parts.push(`measured ${health.measuredRate.toFixed(1)} Hz vs ${health.configuredRate} Hz set (${health.drift > 0 ? '+' : ''}${(health.drift * 100).toFixed(1)}%)`)
+  if (health.underruns > 0) parts.push(`${health.underruns} underrun${health.underruns === 1 ? '' : 's'}`)
+  return parts.length ? parts.join(', ') : null
+}
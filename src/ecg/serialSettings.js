@@ -0,0 +1,63 @@
+/**
+ * Serial Port Settings
+ * Port options for Web Serial plus per-device persistence in localStorage.
+ * Devices are keyed by USB vendor/product id or Bluetooth service class,
+ * so auto-detect tries the last working baud rate for a known device first.
+ */
+const STORAGE_KEY = 'nextecg.serialSettings'
+
+// The firmware opens the HC-05 at 9600 ('hardware code' BAUD_RATE)
+export const SERIAL_DEFAULTS = {
+  baudRate: 9600,
+  dataBits: 8,
+  stopBits: 1,
+  parity: 'none',
+  flowControl: 'none',
+  autoBaud: false,
+  remember: true
+}
+
+// Tried in order during auto-detect: firmware default first, then the common fast rates
+export const BAUD_RATES = [9600, 115200, 57600, 38400, 19200, 230400]
+
+export function describeSettings(settings) {
+  const parity = { none: 'N', even: 'E', odd: 'O' }[settings.parity] || 'N'
+  const flow = settings.flowControl === 'hardware' ? ' RTS/CTS' : ''
+  return `${settings.baudRate} ${settings.dataBits}${parity}${settings.stopBits}${flow}`
+}
+
+// Options object accepted by SerialPort.open()
+export function toOpenOptions(settings, baudRate = settings.baudRate) {
+  return {
+    baudRate,
+    dataBits: settings.dataBits,
+    stopBits: settings.stopBits,
+    parity: settings.parity,
+    flowControl: settings.flowControl
+  }
+}
+
+export function portKey(port) {
+  const info = port && port.getInfo ? port.getInfo() : {}
+  if (info.usbVendorId !== undefined) return `usb:${info.usbVendorId}:${info.usbProductId}`
+  if (info.bluetoothServiceClassId !== undefined) return `bt:${info.bluetoothServiceClassId}`
+  return 'unknown'
+}
+
+function readStore() {
+  try { return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {} } catch (_e) { return {} }
+}
+
+// Settings for one device, or the last used settings when key is omitted
+export function loadSerialSettings(key = 'last') {
+  const stored = readStore()[key]
+  return stored ? { ...SERIAL_DEFAULTS, ...stored } : null
+}
+
+export function saveSerialSettings(key, settings) {
+  const store = readStore()
+  const { autoBaud, remember, ...portSettings } = settings
+  store[key] = portSettings
+  store.last = { ...portSettings, autoBaud, remember }
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(store)) } catch (e) { console.warn('Could not save serial settings', e) }
+}
@@ -0,0 +1,214 @@
+/**
+ * Signal Quality Index
+ * Scores a window of one lead for the ways a trace stops being measurable:
+ *   missing  - lost frames (NaN)
+ *   flatline - no signal (lead off, amplifier saturated to a constant)
+ *   clipping - plateaus at the window's extremes (ADC rails)
+ *   noise    - high-frequency noise, from the second difference
+ *   wander   - baseline movement relative to the QRS amplitude
+ * For six leads as sent, the limb leads must also satisfy Einthoven
+ * (I + III = II); derived leads always do, so that check is skipped for them.
+ *
+ * Each check gives a severity 0..1; score = product of (1 - severity).
+ * level: 'good' (>= 0.8) | 'fair' (>= 0.5) | 'poor'. Analysis should be
+ * withheld on 'poor' and flagged on 'fair'.
+ */
+export const QUALITY_WINDOW_SECONDS = 4
+
+const MIN_AMPLITUDE = 0.05 // mV; below this the lead is flat (a count or less for raw ADC values)
+const REFERENCE_AMPLITUDE = 1 // mV; low-voltage leads (often aVL) are judged against a normal QRS, not their own
+const BLOCK_SECONDS = 0.5 // baseline estimate from block medians
+const MIN_CLIP_SECONDS = 0.016
+const ISSUE_SEVERITY = 0.2
+const GOOD = 0.8
+const FAIR = 0.5
+
+export const QUALITY_ISSUES = {
+  missing: 'missing samples',
+  flatline: 'flatline',
+  clipping: 'clipping',
+  noise: 'noise',
+  wander: 'baseline wander',
+  einthoven: 'I + III ≠ II'
+}
+
+const clamp01 = v => Math.min(1, Math.max(0, v))
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.round((sorted.length - 1) * p)))]
+}
+
+function median(values) {
+  const sorted = Float64Array.from(values).sort()
+  return sorted.length ? percentile(sorted, 0.5) : 0
+}
+
+function levelOf(score) {
+  return score >= GOOD ? 'good' : score >= FAIR ? 'fair' : 'poor'
+}
+
+function result(severity) {
+  let score = 1
+  const issues = []
+  for (const [name, s] of Object.entries(severity)) {
+    score *= 1 - s
+    if (s >= ISSUE_SEVERITY) issues.push(name)
+  }
+  return { score, level: levelOf(score), issues }
+}
+
+/**
+ * samples: one lead, NaN for lost frames
+ * Returns { score, level, issues, measures: { missing, amplitude, clipped, noise, wander } }
+ */
+export function assessLead(samples, sampleRate) {
+  const finite = []
+  for (const v of samples) if (Number.isFinite(v)) finite.push(v)
+  const missing = samples.length ? 1 - finite.length / samples.length : 1
+  if (finite.length < sampleRate) {
+    return { score: 0, level: 'poor', issues: ['missing'], measures: { missing } }
+  }
+
+  // Baseline from block medians, interpolated, so the amplitude is that of the beats
+  const block = Math.max(2, Math.round(BLOCK_SECONDS * sampleRate))
+  const levels = []
+  for (let i = 0; i < finite.length; i += block) levels.push(median(finite.slice(i, i + block)))
+  const detrended = new Float64Array(finite.length)
+  for (let i = 0; i < finite.length; i++) {
+    const at = i / block - 0.5
+    const k = Math.min(levels.length - 1, Math.max(0, Math.floor(at)))
+    const next = Math.min(levels.length - 1, k + 1)
+    const f = clamp01(at - k)
+    detrended[i] = finite[i] - (levels[k] * (1 - f) + levels[next] * f)
+  }
+  const sorted = Float64Array.from(detrended).sort()
+  const amplitude = percentile(sorted, 0.99) - percentile(sorted, 0.01)
+  const wander = Math.max(...levels) - Math.min(...levels)
+
+  // Noise sigma from the median absolute second difference (1.65 sigma for white noise)
+  const second = []
+  let unchanged = 0
+  for (let i = 2; i < finite.length; i++) second.push(Math.abs(finite[i] - 2 * finite[i - 1] + finite[i - 2]))
+  for (let i = 1; i < finite.length; i++) if (finite[i] === finite[i - 1]) unchanged++
+  const noise = median(second) / 1.65
+
+  // Runs of identical samples at the window's extremes
+  let lo = Infinity
+  let hi = -Infinity
+  for (const v of finite) { if (v < lo) lo = v; if (v > hi) hi = v }
+  const minRun = Math.max(3, Math.round(MIN_CLIP_SECONDS * sampleRate))
+  let clippedSamples = 0
+  let run = 1
+  for (let i = 1; i <= finite.length; i++) {
+    if (i < finite.length && finite[i] === finite[i - 1]) { run++; continue }
+    const v = finite[i - 1]
+    if (run >= minRun && (v === lo || v === hi)) clippedSamples += run
+    run = 1
+  }
+  const clipped = clippedSamples / finite.length
+
+  const flat = amplitude < MIN_AMPLITUDE || unchanged / (finite.length - 1) > 0.95
+  const reference = Math.max(amplitude, REFERENCE_AMPLITUDE)
+  const severity = {
+    missing: clamp01(missing * 2),
+    flatline: flat ? 1 : 0,
+    clipping: flat ? 0 : clamp01(clipped * 20),
+    noise: flat ? 0 : clamp01((noise / reference - 0.02) / 0.08),
+    wander: flat ? 0 : clamp01((wander / reference - 0.5) / 1.5)
+  }
+  return { ...result(severity), measures: { missing, amplitude, clipped, noise, wander } }
+}
+
+// RMS of I + III - II relative to the RMS of II (after removing the means), or null without samples
+export function einthovenResidual(I, II, III) {
+  const n = Math.min(I.length, II.length, III.length)
+  let count = 0
+  let meanR = 0
+  let meanII = 0
+  for (let i = 0; i < n; i++) {
+    if (!Number.isFinite(I[i]) || !Number.isFinite(II[i]) || !Number.isFinite(III[i])) continue
+    meanR += I[i] + III[i] - II[i]
+    meanII += II[i]
+    count++
+  }
+  if (count === 0) return null
+  meanR /= count
+  meanII /= count
+  let r = 0
+  let s = 0
+  for (let i = 0; i < n; i++) {
+    if (!Number.isFinite(I[i]) || !Number.isFinite(II[i]) || !Number.isFinite(III[i])) continue
+    r += (I[i] + III[i] - II[i] - meanR) ** 2
+    s += (II[i] - meanII) ** 2
+  }
+  return s > 0 ? Math.sqrt(r / s) : null
+}
+
+/**
+ * leads: one array per lead (Lead I, II, III first when there are six)
+ * options: { einthoven } true when all six leads were measured rather than derived
+ * Returns { leads: [assessLead...], einthoven: residual | null, overall: { score, level, issues } }
+ * The overall score is the worst lead's, lowered by an Einthoven mismatch.
+ */
+export function assessLeads(leads, sampleRate, options = {}) {
+  const perLead = leads.map(samples => assessLead(samples, sampleRate))
+  const residual = options.einthoven && leads.length >= 3 ? einthovenResidual(leads[0], leads[1], leads[2]) : null
+  const worst = perLead.reduce((a, b) => (b.score < a.score ? b : a), perLead[0])
+  const severity = { einthoven: residual === null ? 0 : clamp01((residual - 0.1) / 0.4) }
+  let score = worst ? worst.score : 0
+  score *= 1 - severity.einthoven
+  const issues = new Set(perLead.flatMap(q => q.issues))
+  if (severity.einthoven >= ISSUE_SEVERITY) issues.add('einthoven')
+  return { leads: perLead, einthoven: residual, overall: { score, level: levelOf(score), issues: [...issues] } }
+}
+
+// "Good (92%)", "Poor (31%): flatline, clipping"
+export function describeQuality(quality) {
+  if (!quality) return 'Unknown'
+  const level = quality.level[0].toUpperCase() + quality.level.slice(1)
+  const issues = quality.issues.map(i => QUALITY_ISSUES[i] || i).join(', ')
+  return `${level} (${Math.round(quality.score * 100)}%)${issues ? `: ${issues}` : ''}`
+}
+
+/**
+ * Rolling window of the last QUALITY_WINDOW_SECONDS per channel, for live scoring.
+ * push(values) one sample per channel, gap(count) lost samples,
+ * samples() the window oldest first (one array per channel), assess({ einthoven })
+ */
+export function createQualityMonitor(channels, sampleRate, seconds = QUALITY_WINDOW_SECONDS) {
+  const capacity = Math.max(2, Math.round(seconds * sampleRate))
+  const data = Array.from({ length: channels }, () => new Float32Array(capacity).fill(NaN))
+  let writeIndex = 0
+  let size = 0
+
+  function write(ch, v) { data[ch][writeIndex] = v }
+  function samples() {
+    const start = (writeIndex - size + capacity) % capacity
+    return data.map(a => {
+      const out = new Float64Array(size)
+      for (let i = 0; i < size; i++) out[i] = a[(start + i) % capacity]
+      return out
+    })
+  }
+  function advance() {
+    writeIndex = (writeIndex + 1) % capacity
+    size = Math.min(capacity, size + 1)
+  }
+
+  return {
+    push(values) {
+      for (let ch = 0; ch < channels; ch++) write(ch, values[ch])
+      advance()
+    },
+    gap(count) {
+      for (let k = 0; k < Math.min(count, capacity); k++) {
+        for (let ch = 0; ch < channels; ch++) write(ch, NaN)
+        advance()
+      }
+    },
+    samples,
+    assess(options) {
+      return assessLeads(samples(), sampleRate, options)
+    }
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * ECG Simulator
+ * Beat-by-beat synthetic ECG for demos and testing without electrodes.
+ * Every wave is a gaussian bump with a direction in the frontal plane, so the
+ * six limb leads (and the VCG loop) are projections of one heart vector.
+ * Rhythm presets change the RR sequence and beat morphology; noise, baseline
+ * wander and powerline hum are added per electrode pair on top.
+ */
+
+// Preset defaults; heartRate and hrv (RR standard deviation, ms) stay adjustable
+export const RHYTHMS = {
+  sinus: { label: 'Normal sinus rhythm', heartRate: 72, hrv: 40 },
+  bradycardia: { label: 'Sinus bradycardia', heartRate: 45, hrv: 40 },
+  tachycardia: { label: 'Sinus tachycardia', heartRate: 125, hrv: 12 },
+  af: { label: 'Atrial fibrillation', heartRate: 95, hrv: 0 },
+  pvc: { label: 'Sinus with PVCs', heartRate: 75, hrv: 30 },
+  stElevation: { label: 'ST elevation (inferior)', heartRate: 80, hrv: 25 },
+  testSignal: { label: 'Calibration test signal (1 mV, 10 Hz)', heartRate: 60, hrv: 0 }
+}
+
+export const SIMULATOR_DEFAULTS = {
+  rhythm: 'sinus',
+  heartRate: 72,
+  hrv: 40,        // ms
+  amplitude: 1.0, // R-wave scale
+  noise: 0.02,    // mV RMS
+  wander: 0.1,    // mV baseline wander
+  hum: 0,         // mV powerline interference
+  mainsHz: 50,
+  channels: 2,    // 2 = Lead I, II (firmware layout); 6 = all limb leads
+  sampleRate: 125
+}
+
+export const SIMULATOR_LEADS = ['Lead I', 'Lead II', 'Lead III', 'aVR', 'aVL', 'aVF']
+
+// [offset from R (s), width (s), amplitude (mV), frontal axis (deg)]
+// T offset grows with the RR interval (QT ~ sqrt(RR), Bazett).
+const SINUS_WAVES = [
+  [-0.16, 0.022, 0.15, 55],  // P
+  [-0.025, 0.009, 0.12, 210], // Q
+  [0, 0.011, 1.10, 55],       // R
+  [0.025, 0.009, 0.25, 250],  // S
+  [0.28, 0.045, 0.32, 45, 'T']
+]
+// Ventricular ectopic: no P, wide QRS on a different axis, discordant T
+const PVC_WAVES = [
+  [0, 0.032, 1.40, -70],
+  [0.07, 0.030, 0.45, 120],
+  [0.32, 0.060, 0.45, 110, 'T']
+]
+// Inferior injury current: raised ST segment in II, III, aVF, reciprocal in aVL
+const ST_ELEVATION = [0.14, 0.06, 0.22, 90]
+const AF_WAVE_AXIS = 60
+// Amplitude calibration input: LA and LL driven with a sine, RA as reference (amplitude.js)
+const TEST_SIGNAL_MV = 1 // peak to peak
+const TEST_SIGNAL_HZ = 10
+
+const DEG = Math.PI / 180
+
+function gaussian() {
+  // Box-Muller
+  const u = 1 - Math.random()
+  const v = Math.random()
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v)
+}
+
+export function createSimulator(options = {}) {
+  const cfg = { ...SIMULATOR_DEFAULTS, ...options }
+  const meanRR = 60 / cfg.heartRate
+  const beats = [] // { r: time of R peak (s), rr, kind: 'sinus' | 'pvc' }
+  const wanderPhase = [Math.random() * 2 * Math.PI, Math.random() * 2 * Math.PI]
+
+  function nextRR(prev) {
+    switch (cfg.rhythm) {
+      case 'af':
+        // Irregularly irregular: no relation between successive intervals
+        return { rr: meanRR * (0.6 + 0.8 * Math.random()), kind: 'sinus' }
+      case 'pvc':
+        // Full compensatory pause after an ectopic beat
+        if (prev && prev.kind === 'pvc') return { rr: 2 * meanRR - prev.rr, kind: 'sinus' }
+        if (prev && Math.random() < 0.12) return { rr: 0.6 * meanRR, kind: 'pvc' }
+        break
+    }
+    // Respiratory sinus arrhythmia plus random beat-to-beat variation
+    const t = prev ? prev.r : 0
+    const sd = cfg.hrv / 1000
+    return { rr: Math.max(0.25, meanRR + sd * (0.8 * Math.sin(2 * Math.PI * 0.25 * t) + 0.8 * gaussian())), kind: 'sinus' }
+  }
+
+  // Keep beats scheduled from one second before t to one second after
+  function scheduleTo(t) {
+    if (beats.length === 0) beats.push({ r: 0.3, rr: meanRR, kind: 'sinus' })
+    while (beats[beats.length - 1].r < t + 1) {
+      const prev = beats[beats.length - 1]
+      const { rr, kind } = nextRR(prev)
+      beats.push({ r: prev.r + rr, rr, kind })
+    }
+    while (beats.length > 2 && beats[1].r < t - 1) beats.shift()
+  }
+
+  // Heart vector (x = Lead I axis, y = aVF axis) at time t
+  function heartVector(t) {
+    let x = 0
+    let y = 0
+    const add = (amp, axis) => { x += amp * Math.cos(axis * DEG); y += amp * Math.sin(axis * DEG) }
+    for (const beat of beats) {
+      const dt = t - beat.r
+      if (dt < -0.4 || dt > 0.8) continue
+      let waves = beat.kind === 'pvc' ? PVC_WAVES : SINUS_WAVES
+      if (cfg.rhythm === 'af') waves = waves.slice(1) // no organised atrial activity
+      if (cfg.rhythm === 'stElevation' && beat.kind === 'sinus') waves = [...waves, ST_ELEVATION]
+      for (const [offset, width, amp, axis, name] of waves) {
+        const center = name === 'T' ? offset * Math.sqrt(beat.rr) : offset
+        const d = dt - center
+        if (Math.abs(d) > width * 5) continue
+        add(cfg.amplitude * amp * Math.exp(-(d * d) / (2 * width * width)), axis)
+      }
+    }
+    if (cfg.rhythm === 'af') {
+      // Fibrillatory baseline, 5-8 Hz and irregular
+      add(0.05 * Math.sin(2 * Math.PI * 6 * t + 1.5 * Math.sin(2 * Math.PI * 0.7 * t)) + 0.025 * Math.sin(2 * Math.PI * 8.3 * t), AF_WAVE_AXIS)
+    }
+    return [x, y]
+  }
+
+  return {
+    config: cfg,
+    leads: SIMULATOR_LEADS.slice(0, cfg.channels === 6 ? 6 : 2),
+    // Lead values in mV for sample n
+    sample(n) {
+      const t = n / cfg.sampleRate
+      scheduleTo(t)
+      const [x, y] = heartVector(t)
+      // Lead I along 0 deg, Lead II along 60 deg, each with its own electrode artefacts
+      const artefact = k => {
+        const wander = cfg.wander * (0.7 * Math.sin(2 * Math.PI * 0.3 * t + wanderPhase[k]) + 0.3 * Math.sin(2 * Math.PI * 0.05 * t + wanderPhase[k]))
+        const hum = cfg.hum * (k ? 1 : 0.8) * Math.sin(2 * Math.PI * cfg.mainsHz * t)
+        return wander + hum + cfg.noise * gaussian()
+      }
+      const test = cfg.rhythm === 'testSignal' ? TEST_SIGNAL_MV / 2 * Math.sin(2 * Math.PI * TEST_SIGNAL_HZ * t) : null
+      const lead1 = (test === null ? x : test) + artefact(0)
+      const lead2 = (test === null ? x * Math.cos(60 * DEG) + y * Math.sin(60 * DEG) : test) + artefact(1)
+      if (cfg.channels !== 6) return [lead1, lead2]
+      // Einthoven / Goldberger
+      return [lead1, lead2, lead2 - lead1, -(lead1 + lead2) / 2, lead1 - lead2 / 2, lead2 - lead1 / 2]
+    }
+  }
+}
@@ -0,0 +1,36 @@
+import { createSerialSource } from './serialSource'
+import { createReplaySource } from './replaySource'
+import { createSimulatorSource } from './simulatorSource'
+import { createWebSocketSource } from './websocketSource'
+import SerialOptionsDialog from '../SerialOptionsDialog'
+import WebSocketOptionsDialog from '../WebSocketOptionsDialog'
+import SimulatorOptionsDialog from '../SimulatorOptionsDialog'
+import RecordingOptionsDialog from '../RecordingOptionsDialog'
+
+/**
+ * Source registry
+ * Pages list these in their device picker; add a transport here and it
+ * shows up on every monitor page.
+ * optionsDialog: component shown before connecting; it calls onConnect(options)
+ * and those options are passed to create(). It is also given `defaults` from
+ * the device profile ({ baudRate }).
+ * device: the source reads a board, so the selected device profile applies
+ * (deviceProfiles.js); simulated and recorded streams are already in lead order.
+ */
+export const SOURCES = [
+  { id: 'serial', label: 'Serial device', device: true, optionsDialog: SerialOptionsDialog, create: createSerialSource },
+  { id: 'websocket', label: 'WebSocket bridge', device: true, optionsDialog: WebSocketOptionsDialog, create: createWebSocketSource },
+  { id: 'replay', label: 'Recording file', optionsDialog: RecordingOptionsDialog, create: createReplaySource },
+  { id: 'simulator', label: 'Simulator', optionsDialog: SimulatorOptionsDialog, create: createSimulatorSource }
+]
+
+// Browsers without Web Serial (Firefox, Safari) start on the bridge
+export const DEFAULT_SOURCE_ID = typeof navigator !== 'undefined' && 'serial' in navigator ? 'serial' : 'websocket'
+
+export function getSource(id) {
+  return SOURCES.find(s => s.id === id) || SOURCES[0]
+}
+
+export function createSource(id, options = {}) {
+  return getSource(id).create(options)
+}
@@ -0,0 +1,42 @@
+/**
+ * Paced byte stream
+ * Emits text lines at a fixed sample rate so file replay and the simulator
+ * sources arrive in the same chunked form as a real serial port.
+ * speed scales the rate (2 = twice real time); Infinity emits one second of
+ * lines per read as fast as the reader takes them.
+ */
+const TICK_MS = 40
+
+export function createPacedStream(sampleRate, nextLine, speed = 1) {
+  const instant = !Number.isFinite(speed)
+  const encoder = new TextEncoder()
+  let startTime = 0
+  let emitted = 0
+  let timer = null
+
+  return new ReadableStream({
+    start() { startTime = performance.now() },
+    pull(controller) {
+      return new Promise(resolve => {
+        timer = setTimeout(() => {
+          timer = null
+          const due = instant ? sampleRate : Math.floor((performance.now() - startTime) * sampleRate * speed / 1000) - emitted
+          let text = ''
+          for (let i = 0; i < due; i++) {
+            const line = nextLine(emitted)
+            if (line === null) {
+              if (text) controller.enqueue(encoder.encode(text))
+              controller.close()
+              return resolve()
+            }
+            text += line + '\n'
+            emitted++
+          }
+          if (text) controller.enqueue(encoder.encode(text))
+          resolve()
+        }, instant ? 0 : TICK_MS)
+      })
+    },
+    cancel() { if (timer) clearTimeout(timer) }
+  })
+}
@@ -0,0 +1,54 @@
+import { createPacedStream } from './pacedStream'
+
+// Three decimals, like the firmware; unreadable samples repeat the last good value
+function formatFrame(leads, k, last) {
+  for (let c = 0; c < leads.length; c++) {
+    const v = leads[c][k]
+    if (Number.isFinite(v)) last[c] = v
+  }
+  return last.map(v => v.toFixed(3)).join(',')
+}
+
+/**
+ * Recording replay source
+ * Plays a recording from recordings/loadRecording() as device lines, so it goes
+ * through the same parser, clock and detectors as a live device.
+ * Device captures are replayed verbatim; signal files are announced with
+ * START / #META / CAL_DONE and streamed as "Lead I,Lead II" in mV.
+ * speed: 1 = real time, 2, 5 ... faster, Infinity = as fast as the page can take it.
+ */
+export function createReplaySource({ recording, speed = 1, loop = false } = {}) {
+  let readable = null
+
+  return {
+    type: 'replay',
+    playbackRate: speed,
+    get readable() { return readable },
+    get description() {
+      if (!recording) return 'Replay'
+      return `Replay ${recording.name} (${Number.isFinite(speed) ? `${speed}×` : 'instant'})`
+    },
+    async open() {
+      if (!recording) throw new Error('Choose a recording to replay.')
+      if (recording.lines) {
+        const lines = recording.lines
+        readable = createPacedStream(recording.sampleRate, n => {
+          if (n >= lines.length && !loop) return null
+          return lines[n % lines.length]
+        }, speed)
+        return
+      }
+      const { leads, sampleRate } = recording
+      const length = leads[0].length
+      const preamble = ['START', `#META v=1 rate=${sampleRate} channels=${leads.length} units=mv`, 'CAL_DONE']
+      const last = leads.map(() => 0)
+      readable = createPacedStream(sampleRate, n => {
+        if (n < preamble.length) return preamble[n]
+        const k = n - preamble.length
+        if (k >= length && !loop) return null
+        return formatFrame(leads, k % length, last)
+      }, speed)
+    },
+    async close() { readable = null }
+  }
+}
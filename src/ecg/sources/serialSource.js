@@ -0,0 +1,140 @@
+import { parseLine } from '../protocol'
+import { SERIAL_DEFAULTS, BAUD_RATES, describeSettings, toOpenOptions, portKey, loadSerialSettings, saveSerialSettings } from '../serialSettings'
+
+const PROBE_MS = 1500
+const MIN_PROBE_LINES = 5
+const RECONNECT_RETRY_MS = 2000
+
+// Read from an open port for a short window and score how much of it the protocol understands
+async function probePort(port) {
+  const reader = port.readable.getReader()
+  const decoder = new TextDecoder()
+  const deadline = performance.now() + PROBE_MS
+  let text = ''
+  try {
+    while (performance.now() < deadline) {
+      let timer = null
+      const timeout = new Promise(resolve => { timer = setTimeout(() => resolve({ value: null, done: true }), deadline - performance.now()) })
+      const { value, done } = await Promise.race([reader.read(), timeout])
+      clearTimeout(timer)
+      if (done) break
+      if (value) text += decoder.decode(value, { stream: true })
+    }
+  } finally {
+    try { await reader.cancel() } catch (_e) { }
+    reader.releaseLock()
+  }
+  // The first line is usually cut mid-way by the port opening
+  const lines = text.split('\n').slice(1, -1).map(l => l.trim()).filter(Boolean)
+  const understood = lines.filter(l => parseLine(l).type !== 'malformed').length
+  return { lines: lines.length, score: lines.length ? understood / lines.length : 0 }
+}
+
+// Try each common baud rate (a remembered rate first) and return the one that yields parseable frames;
+// onProgress(message) is told each rate tried, how the one before scored and the rate chosen
+export async function detectBaudRate(port, settings, onProgress, preferred = null) {
+  const candidates = preferred ? [preferred, ...BAUD_RATES.filter(b => b !== preferred)] : BAUD_RATES
+  let best = null
+  let previous = '' // how the last rate did, shown while the next is tried
+  for (const baudRate of candidates) {
+    if (onProgress) onProgress(`Trying ${baudRate} baud…${previous}`)
+    await port.open(toOpenOptions(settings, baudRate))
+    let result = { lines: 0, score: 0 }
+    try { result = await probePort(port) } finally { await port.close() }
+    previous = ` (${baudRate}: ${Math.round(result.score * 100)}% of ${result.lines} lines understood)`
+    if (result.lines >= MIN_PROBE_LINES && (!best || result.score > best.score)) best = { baudRate, ...result }
+    if (best && best.score >= 0.9) break
+  }
+  if (!best || best.score < 0.5) throw new Error(`No parseable data at any of ${BAUD_RATES.join(', ')} baud. Check the device is powered and streaming.`)
+  if (onProgress) onProgress(`Using ${best.baudRate} baud (${Math.round(best.score * 100)}% of ${best.lines} lines understood)`)
+  return best.baudRate
+}
+
+// Resolves on the next serial 'connect' event, after a retry delay, or when aborted
+function nextReconnectAttempt(signal) {
+  return new Promise(resolve => {
+    const done = () => {
+      clearTimeout(timer)
+      navigator.serial.removeEventListener('connect', done)
+      signal.removeEventListener('abort', done)
+      resolve()
+    }
+    const timer = setTimeout(done, RECONNECT_RETRY_MS)
+    navigator.serial.addEventListener('connect', done)
+    signal.addEventListener('abort', done)
+  })
+}
+
+/**
+ * Web Serial source
+ * Opens a user-selected serial port (USB or Bluetooth SPP) and exposes its bytes.
+ * options: serial settings (see serialSettings.js) plus onProgress(message) for auto-detect
+ * and reconnect attempts; onProgress(null) once reconnected or given up.
+ * Working settings are saved per device when settings.remember is set.
+ * After a link drop, reconnect() reopens the same device from the already
+ * authorised ports (getPorts), so no new picker is needed.
+ */
+export function createSerialSource(options = {}) {
+  const { onProgress, ...requested } = options
+  let settings = { ...SERIAL_DEFAULTS, ...requested }
+  let port = null
+
+  return {
+    type: 'serial',
+    get readable() { return port ? port.readable : null },
+    get description() { return `Serial ${describeSettings(settings)}` },
+    get settings() { return settings },
+    // Identifies the device for per-device profiles (amplitude calibration)
+    get deviceKey() { return port ? `serial:${portKey(port)}` : null },
+    async open() {
+      if (!('serial' in navigator)) throw new Error('Web Serial API not available in this browser. Use Chrome or Edge.')
+      // Helpful diagnostic: list already-authorized ports
+      if (navigator.serial.getPorts) {
+        try { const existing = await navigator.serial.getPorts(); console.debug('Previously authorized serial ports:', existing.length) } catch (e) { console.debug('getPorts failed', e) }
+      }
+      port = await navigator.serial.requestPort()
+      const key = portKey(port)
+      if (settings.autoBaud) {
+        // A rate that worked for this device before is probed first
+        const remembered = key !== 'unknown' ? loadSerialSettings(key) : null
+        const baudRate = await detectBaudRate(port, settings, onProgress, remembered && remembered.baudRate)
+        settings = { ...settings, baudRate }
+      }
+      await port.open(toOpenOptions(settings))
+      if (settings.remember) saveSerialSettings(key, settings)
+    },
+    // Calls back when the browser reports this port gone; returns an unsubscribe function
+    onDisconnect(callback) {
+      const listener = e => { if (e.target === port) callback() }
+      navigator.serial.addEventListener('disconnect', listener)
+      return () => navigator.serial.removeEventListener('disconnect', listener)
+    },
+    // Wait for the device to come back and reopen it with the settings that worked
+    async reconnect(signal) {
+      const previous = port
+      const key = portKey(previous)
+      try { await previous.close() } catch (_e) { }
+      for (let attempt = 1; !signal.aborted; attempt++) {
+        // A re-plugged USB adapter comes back as a new SerialPort object with the same ids
+        const ports = await navigator.serial.getPorts()
+        const candidate = ports.find(p => p === previous) || (key !== 'unknown' ? ports.find(p => portKey(p) === key) : null)
+        if (candidate) {
+          try {
+            await candidate.open(toOpenOptions(settings))
+            port = candidate
+            if (onProgress) onProgress(null)
+            return
+          } catch (e) { if (onProgress) onProgress(`Reconnect attempt ${attempt} failed (${e.message || e}), retrying…`) }
+        } else if (onProgress) onProgress(`Waiting for the device to come back (attempt ${attempt})…`)
+        await nextReconnectAttempt(signal)
+      }
+      if (onProgress) onProgress(null)
+      throw new DOMException('Reconnect cancelled', 'AbortError')
+    },
+    async close() {
+      if (!port) return
+      try { await port.close() } catch (e) { console.warn(e) }
+      port = null
+    }
+  }
+}
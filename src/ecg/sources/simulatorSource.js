@@ -0,0 +1,47 @@
+import { createPacedStream } from './pacedStream'
+import { createSimulator, RHYTHMS, SIMULATOR_DEFAULTS } from '../simulator'
+
+const STORAGE_KEY = 'nextecg.simulator'
+
+export function loadSimulatorSettings() {
+  try { return { ...SIMULATOR_DEFAULTS, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) } } catch (_e) { return { ...SIMULATOR_DEFAULTS } }
+}
+
+export function saveSimulatorSettings(settings) {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(settings)) } catch (e) { console.warn('Could not save simulator settings', e) }
+}
+
+/**
+ * Simulator source
+ * Streams the simulator as device text lines (START, #META, CAL_DONE, CSV frames),
+ * so it goes through the same parser path as the firmware.
+ * options: simulator settings (see simulator.js)
+ */
+export function createSimulatorSource(options = {}) {
+  const { onProgress, ...requested } = options
+  const settings = { ...SIMULATOR_DEFAULTS, ...requested }
+  let readable = null
+
+  return {
+    type: 'simulator',
+    get readable() { return readable },
+    get description() {
+      const rhythm = RHYTHMS[settings.rhythm] ? RHYTHMS[settings.rhythm].label : settings.rhythm
+      return `Simulator: ${rhythm}, ${settings.heartRate} bpm, ${settings.channels} ch @ ${settings.sampleRate} Hz`
+    },
+    async open() {
+      const simulator = createSimulator(settings)
+      const preamble = [
+        'START',
+        `#META v=1 rate=${settings.sampleRate} channels=${simulator.leads.length} units=mv`,
+        'CAL_DONE'
+      ]
+      readable = createPacedStream(settings.sampleRate, n => {
+        if (n < preamble.length) return preamble[n]
+        return simulator.sample(n - preamble.length).map(v => v.toFixed(3)).join(',')
+      })
+      saveSimulatorSettings(settings)
+    },
+    async close() { readable = null }
+  }
+}
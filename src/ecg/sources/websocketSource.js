@@ -0,0 +1,94 @@
+/**
+ * WebSocket bridge source
+ * Reads device bytes relayed by bridge/ecg-bridge.js, for browsers and kiosks
+ * without Web Serial. Binary messages are raw device bytes (text lines and
+ * binary frames, exactly as the serial port would deliver them); text
+ * messages are taken as lines.
+ * options: { url, onProgress(message) } told of reconnect attempts, and
+ * onProgress(null) once reconnected or given up.
+ */
+export const DEFAULT_BRIDGE_URL = 'ws://localhost:8765'
+const STORAGE_KEY = 'nextecg.bridgeUrl'
+const RECONNECT_RETRY_MS = 2000
+
+export function loadBridgeUrl() {
+  try { return localStorage.getItem(STORAGE_KEY) || DEFAULT_BRIDGE_URL } catch (_e) { return DEFAULT_BRIDGE_URL }
+}
+
+export function saveBridgeUrl(url) {
+  try { localStorage.setItem(STORAGE_KEY, url) } catch (e) { console.warn('Could not save bridge URL', e) }
+}
+
+function connectSocket(url) {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(url)
+    socket.binaryType = 'arraybuffer'
+    socket.onopen = () => resolve(socket)
+    socket.onerror = () => reject(new Error(`Could not reach the ECG bridge at ${url}. Is ecg-bridge.js running?`))
+  })
+}
+
+function socketReadable(socket) {
+  const encoder = new TextEncoder()
+  return new ReadableStream({
+    start(controller) {
+      socket.onmessage = e => {
+        if (typeof e.data === 'string') controller.enqueue(encoder.encode(e.data.endsWith('\n') ? e.data : e.data + '\n'))
+        else controller.enqueue(new Uint8Array(e.data))
+      }
+      // error is followed by close; whichever comes first ends the stream
+      socket.onerror = () => { try { controller.error(new Error('ECG bridge connection lost')) } catch (_e) { } }
+      socket.onclose = () => { try { controller.close() } catch (_e) { } }
+    },
+    cancel() { socket.close() }
+  })
+}
+
+function waitForRetry(signal) {
+  return new Promise(resolve => {
+    const done = () => { clearTimeout(timer); signal.removeEventListener('abort', done); resolve() }
+    const timer = setTimeout(done, RECONNECT_RETRY_MS)
+    signal.addEventListener('abort', done)
+  })
+}
+
+export function createWebSocketSource({ url = DEFAULT_BRIDGE_URL, onProgress } = {}) {
+  let socket = null
+  let readable = null
+
+  async function openSocket() {
+    socket = await connectSocket(url)
+    readable = socketReadable(socket)
+  }
+
+  return {
+    type: 'websocket',
+    get readable() { return readable },
+    get description() { return `Bridge ${url.replace(/^wss?:\/\//, '')}` },
+    get deviceKey() { return `bridge:${url}` },
+    async open() {
+      if (!/^wss?:\/\//.test(url)) throw new Error(`Bridge address must start with ws:// or wss:// (got "${url}").`)
+      await openSocket()
+      saveBridgeUrl(url)
+    },
+    // The bridge restarting or the Wi-Fi dropping looks like a closed socket; keep dialling until it answers
+    async reconnect(signal) {
+      if (socket) socket.close()
+      for (let attempt = 1; !signal.aborted; attempt++) {
+        try {
+          await openSocket()
+          if (onProgress) onProgress(null)
+          return
+        } catch (_e) { if (onProgress) onProgress(`Bridge reconnect attempt ${attempt} failed, retrying…`) }
+        await waitForRetry(signal)
+      }
+      if (onProgress) onProgress(null)
+      throw new DOMException('Reconnect cancelled', 'AbortError')
+    },
+    async close() {
+      if (socket) socket.close()
+      socket = null
+      readable = null
+    }
+  }
+}
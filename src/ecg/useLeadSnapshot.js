@@ -0,0 +1,28 @@
+import { useEffect, useRef, useState } from 'react'
+
+/**
+ * Throttled view of a lead store for React components.
+ * Calls select(store) at most `hz` times a second, and only when new samples
+ * arrived, so analysis panels re-render a few times a second instead of once
+ * per sample. storeRef may point at a different store over time.
+ */
+export function useLeadSnapshot(storeRef, hz, select, initial) {
+  const [snapshot, setSnapshot] = useState(initial)
+  const selectRef = useRef(select)
+  selectRef.current = select
+
+  useEffect(() => {
+    let seenStore = null
+    let seenVersion = -1
+    const id = setInterval(() => {
+      const store = storeRef.current
+      if (!store || (store === seenStore && store.version === seenVersion)) return
+      seenStore = store
+      seenVersion = store.version
+      setSnapshot(selectRef.current(store))
+    }, 1000 / hz)
+    return () => clearInterval(id)
+  }, [storeRef, hz])
+
+  return snapshot
+}
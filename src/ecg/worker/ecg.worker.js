@@ -0,0 +1,331 @@
+import { createFramePipeline } from '../framePipeline'
+import { designFilter, createFilter, createPowerlineFilter } from '../dsp'
+import { createBeatDetector } from '../beatDetector'
+import { createBeatClassifier } from '../beatClassifier'
+import { createQualityMonitor, QUALITY_WINDOW_SECONDS } from '../signalQuality'
+import { assessElectrodes, LEAD_OFF_WINDOW_SECONDS } from '../leadOff'
+import { correctLeads, detectReversal } from '../leadReversal'
+import { amplitudeScales, deviceUnitScales, channelScale, measureTestSignal } from '../amplitude'
+import { adcScale, createChannelMap } from '../deviceProfiles'
+
+/**
+ * ECG worker
+ * Runs the frame pipeline, the device profile's channel mapping, unit
+ * conversion (ADC counts through the profile's resolution, reference and
+ * gain, or absolute mV from a calibration profile when asked), display filter, R-peak
+ * detection and beat classification, the signal quality index, lead-off and limb lead reversal
+ * detection off the main thread. Samples are collected into typed arrays and
+ * posted as batches about BATCH_HZ times a second (transferred, not copied),
+ * so the page does a handful of cheap appends per second whatever the
+ * device rate. Message protocol: see ecgWorkerClient.js.
+ */
+const BATCH_HZ = 30
+const BEAT_LEAD = 1 // Lead II in both layouts
+const QUALITY_HZ = 2
+const CALIBRATED_CHANNELS = 2 // the Lead I and II inputs; the test signal leaves III flat
+
+// How a frame's values become the leads a page shows; false drops the frame
+const LAYOUTS = {
+  // Six leads as sent, or Lead I and II with III, aVR, aVL, aVF derived (Einthoven / Goldberger, RA = 0)
+  limb6: {
+    channels: 6,
+    leads(values, out) {
+      if (values.length >= 6) {
+        for (let i = 0; i < 6; i++) out[i] = values[i]
+        return true
+      }
+      if (values.length !== 2) return false
+      const la = values[0]
+      const ll = values[1]
+      out[0] = la
+      out[1] = ll
+      out[2] = ll - la
+      out[3] = -(la + ll) / 2
+      out[4] = la - ll / 2
+      out[5] = ll - la / 2
+      return true
+    }
+  },
+  // The first two values as sent (single-trace page); extra columns may be legacy BPM / irregularity
+  raw2: {
+    channels: 2,
+    leads(values, out) {
+      if (values.length < 2) return false
+      out[0] = values[0]
+      out[1] = values[1]
+      return true
+    }
+  }
+}
+
+let settings = null
+let pipeline = null
+let layout = null
+let calibrating = false
+let filters = []
+let notches = []
+let detector = null
+let classifier = null
+let quality = null
+let leadOff = null // window of the leads before the notch: hum is a lead-off sign
+let unfiltered = null
+let sinceQuality = 0
+let measuredLeads = false // six values per frame: Einthoven can be checked
+let reversalHold = 0 // samples until the quality window holds only the current correction
+let scratch = null
+let swapped = null // spare copy for settings.reversal
+let scales = null // per input channel to mV (settings.amplitude), null to take values as sent
+let scaled = new Float64Array(0)
+let channelMap = null // settings.device column order and lead assignment, null to take columns as sent
+let mapped = null
+let adc = null // settings.device ADC counts to mV
+let amplitude = null // last posted amplitude state
+let capture = null // test signal being recorded for an amplitude calibration
+let leads = [] // batch accumulators, one per channel
+let raw = [] // the same samples before notch and filter (settings.keepRaw)
+let device = [] // legacy BPM / irregularity columns
+let beats = []
+let labels = [] // beatClassifier.js label of each beat
+let count = 0
+let firstSample = 0
+let lostBefore = 0 // samples missing before the next batch
+let nextSample = null // sample index expected after the last stored frame
+let timer = null
+
+// What the stream carries; a normalising device says so in its header
+function inputUnits() {
+  const announced = pipeline.protocol.header.units
+  return announced === 'norm' ? 'norm' : settings.units || announced
+}
+
+// Absolute or normalised amplitudes, from the page's choice and what the device announced
+function updateAmplitude() {
+  const state = amplitudeScales(settings.amplitude, pipeline.protocol.header, inputUnits())
+  scales = state.scales
+  const next = { calibrated: state.calibrated, reason: state.reason }
+  if (!amplitude || amplitude.calibrated !== next.calibrated || amplitude.reason !== next.reason) post('amplitude', next)
+  amplitude = next
+}
+
+function startCapture(seconds, referenceMv) {
+  const unitScales = deviceUnitScales(pipeline.protocol.header, inputUnits())
+  if (!unitScales) {
+    post('amplitudeCalibration', { error: 'The device does not report its gain; update the firmware or send raw ADC counts.' })
+    return
+  }
+  capture = { unitScales, referenceMv, remaining: Math.max(1, Math.round(seconds * pipeline.clock.sampleRate)), channels: [] }
+}
+
+function captureFrame(values) {
+  for (let i = 0; i < Math.min(values.length, CALIBRATED_CHANNELS); i++) {
+    if (!capture.channels[i]) capture.channels[i] = []
+    capture.channels[i].push(values[i] * channelScale(capture.unitScales, i))
+  }
+  if (--capture.remaining > 0) return
+  const { channels, referenceMv } = capture
+  capture = null
+  post('amplitudeCalibration', { ...measureTestSignal(channels, referenceMv), units: inputUnits(), referenceMv })
+}
+
+// Size buffers, filters and detector for the current sample rate
+function rebuild() {
+  const rate = pipeline.clock.sampleRate
+  const capacity = Math.max(64, Math.ceil(rate))
+  leads = Array.from({ length: layout.channels }, () => new Float32Array(capacity))
+  raw = settings.keepRaw ? Array.from({ length: layout.channels }, () => new Float32Array(capacity)) : []
+  device = settings.legacyExtras ? [new Float32Array(capacity), new Float32Array(capacity)] : []
+  buildFilters()
+  detector = createBeatDetector(rate)
+  classifier = createBeatClassifier(rate)
+  quality = createQualityMonitor(layout.channels, rate)
+  leadOff = createQualityMonitor(layout.channels, rate, LEAD_OFF_WINDOW_SECONDS)
+  sinceQuality = 0
+  reversalHold = 0
+}
+
+// One cascade per lead; settings.filter / settings.powerline are dsp.js specs, or null for none
+function buildFilters() {
+  const rate = pipeline.clock.sampleRate
+  const sections = designFilter(settings.filter, rate)
+  filters = sections.length ? Array.from({ length: layout.channels }, () => createFilter(sections)) : []
+  notches = Array.from({ length: layout.channels }, () => createPowerlineFilter(settings.powerline, rate)).filter(Boolean)
+}
+
+function flushBatch() {
+  if (count === 0) return
+  const message = {
+    type: 'batch',
+    firstSample,
+    count,
+    lost: lostBefore,
+    leads: leads.map(a => a.slice(0, count)),
+    beats,
+    labels,
+    sampleRate: pipeline.clock.sampleRate,
+    stats: { ...pipeline.stats }
+  }
+  if (raw.length) message.raw = raw.map(a => a.slice(0, count))
+  if (device.length) message.device = device.map(a => a.slice(0, count))
+  postMessage(message, [...message.leads, ...(message.raw || []), ...(message.device || [])].map(a => a.buffer))
+  count = 0
+  lostBefore = 0
+  beats = []
+  labels = []
+}
+
+// Events are ordered after the samples that preceded them
+function post(name, payload) {
+  flushBatch()
+  postMessage({ type: 'event', name, payload, stats: { ...pipeline.stats } })
+}
+
+// Samples that will not be stored, lost in transit or dropped here: a gap for the page and every running stage
+function skip(lost) {
+  flushBatch()
+  lostBefore += lost
+  detector.gap()
+  classifier.gap()
+  quality.gap(lost)
+  leadOff.gap(lost)
+  for (const notch of notches) if (notch.skip) notch.skip(lost)
+}
+
+function handleFrame(frame) {
+  if (frame.lost > 0) skip(frame.lost)
+  if (calibrating) return
+  let values = frame.values
+  if (capture) captureFrame(values)
+  if (scales) {
+    if (scaled.length !== values.length) scaled = new Float64Array(values.length)
+    for (let i = 0; i < values.length; i++) scaled[i] = values[i] * channelScale(scales, i)
+    values = scaled
+  }
+  if (channelMap) {
+    if (!channelMap.map(values, mapped)) return
+    values = mapped
+  }
+  if (!layout.leads(values, scratch)) return
+  // Frames dropped above (calibrating, unmapped, too few values) still took their sample index
+  if (nextSample !== null && frame.sampleIndex - nextSample > lostBefore) skip(frame.sampleIndex - nextSample - lostBefore)
+  nextSample = frame.sampleIndex + 1
+  if (count > 0 && frame.sampleIndex !== firstSample + count) flushBatch()
+  if (count === 0) firstSample = frame.sampleIndex
+
+  for (let i = 0; i < scratch.length; i++) {
+    let v = scratch[i]
+    if (!Number.isFinite(v)) v = 0
+    if (settings.units === 'adc' && !scales) v *= adc.mvPerCount
+    unfiltered[i] = v // electrodes as plugged in, for lead-off
+    scratch[i] = v
+  }
+  // Swapped electrodes are put back before anything else sees the leads
+  if (settings.layout === 'limb6') correctLeads(scratch, settings.reversal, swapped)
+  for (let i = 0; i < scratch.length; i++) {
+    let v = scratch[i]
+    if (raw.length) raw[i][count] = v
+    if (notches.length) v = notches[i].process(v)
+    scratch[i] = v // scored for quality with hum removed but wander and noise still in
+    if (filters.length) v = filters[i].process(v)
+    leads[i][count] = v
+  }
+  quality.push(scratch)
+  leadOff.push(unfiltered)
+  measuredLeads = settings.layout === 'limb6' && values.length >= 6
+  const beat = detector.push(leads[BEAT_LEAD][count], frame.sampleIndex)
+  if (beat !== null) classifier.beat(beat)
+  // Beats go out once classified, a QRS window after their R peak
+  for (const { r, label } of classifier.push(leads[BEAT_LEAD][count], frame.sampleIndex)) {
+    beats.push(r)
+    labels.push(label)
+  }
+  if (device.length) {
+    // With a #META header the extra columns are leads, not BPM / irregularity
+    const legacy = !pipeline.protocol.header.channels
+    const values = frame.values
+    device[0][count] = legacy && values.length >= 3 ? Math.trunc(values[2]) : NaN
+    device[1][count] = legacy && values.length >= 4 ? values[3] : NaN
+  }
+  if (++count === leads[0].length) flushBatch()
+  if (reversalHold > 0) reversalHold--
+  if (++sinceQuality >= pipeline.clock.sampleRate / QUALITY_HZ) {
+    sinceQuality = 0
+    post('quality', quality.assess({ einthoven: measuredLeads }))
+    const electrodes = assessElectrodes(leadOff.samples(), pipeline.clock.sampleRate, {
+      measuredIII: measuredLeads,
+      mains: settings.powerline && settings.powerline.mains,
+      rails: settings.units === 'adc' && !scales ? adc.rails : null
+    })
+    if (electrodes) post('electrodes', electrodes)
+    const reversal = settings.layout === 'limb6' && reversalHold === 0 ? detectReversal(quality.samples(), pipeline.clock.sampleRate) : null
+    if (reversal) post('reversal', { ...reversal, correction: settings.reversal })
+  }
+}
+
+function init(options) {
+  settings = { layout: 'limb6', units: 'mv', filter: null, powerline: null, dropWhileCalibrating: false, legacyExtras: false, keepRaw: false, reversal: 'none', amplitude: null, device: null, ...options }
+  layout = LAYOUTS[settings.layout]
+  scratch = new Float32Array(layout.channels)
+  unfiltered = new Float32Array(layout.channels)
+  swapped = new Float32Array(layout.channels)
+  channelMap = settings.device ? createChannelMap(settings.device.leads) : null
+  mapped = channelMap ? new Float64Array(channelMap.channels) : null
+  adc = adcScale(settings.device)
+  calibrating = settings.dropWhileCalibrating
+  pipeline = createFramePipeline({
+    onFrame: handleFrame,
+    onControl: record => {
+      post('control', record)
+      if (record.command === 'START') updateAmplitude()
+    },
+    onMeta: header => {
+      post('meta', { ...header })
+      // A page that converts units follows the device's announcement
+      if (settings.units && (header.units === 'mv' || header.units === 'adc')) settings.units = header.units
+      rebuild()
+      updateAmplitude()
+    },
+    onMalformed: record => post('malformed', record),
+    onCalibration: state => {
+      // Samples taken while the device auto-calibrates are unstable; keep them off the trace
+      if (settings.dropWhileCalibrating) calibrating = state === 'running'
+      post('calibration', state)
+    },
+    onClock: health => post('clock', health)
+  }, { sampleRate: settings.sampleRate, playbackRate: settings.playbackRate })
+  rebuild()
+  amplitude = null
+  capture = null
+  nextSample = null
+  updateAmplitude()
+  timer = setInterval(flushBatch, 1000 / BATCH_HZ)
+}
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case 'init': init(data.options); break
+    case 'bytes': pipeline.push(data.bytes); break
+    case 'flush': pipeline.flush(); flushBatch(); break
+    case 'linkRestored': pipeline.linkRestored(); break
+    case 'configure': {
+      flushBatch()
+      settings = { ...settings, ...data.settings }
+      if ('filter' in data.settings || 'powerline' in data.settings) buildFilters()
+      // Leads scored before the change are in the old order
+      if ('amplitude' in data.settings || 'units' in data.settings) updateAmplitude()
+      if ('reversal' in data.settings && pipeline) reversalHold = Math.round(QUALITY_WINDOW_SECONDS * pipeline.clock.sampleRate)
+      break
+    }
+    case 'calibrateAmplitude': startCapture(data.seconds, data.referenceMv); break
+    case 'setSampleRate':
+      flushBatch()
+      pipeline.clock.setSampleRate(data.sampleRate)
+      rebuild()
+      break
+    case 'dispose':
+      flushBatch()
+      clearInterval(timer)
+      postMessage({ type: 'disposed' })
+      self.close()
+      break
+  }
+}
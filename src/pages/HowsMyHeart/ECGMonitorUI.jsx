@@ -1,18 +1,18 @@
 import React, { useRef, useState, useEffect } from 'react'
-
-// Helper to split text stream by newlines
-class LineBreakTransformer {
-    constructor() { this.container = '' }
-    transform(chunk, controller) {
-        this.container += chunk;
-        const lines = this.container.split('\n');
-        this.container = lines.pop();
-        for (const line of lines) controller.enqueue(line);
-    }
-    flush(controller) {
-        if (this.container) controller.enqueue(this.container);
-    }
-}
+import SourcePicker from '../../ecg/SourcePicker'
+import DeviceProfilePicker from '../../ecg/DeviceProfilePicker'
+import PowerlineControls from '../../ecg/PowerlineControls'
+import QualityBadge from '../../ecg/QualityBadge'
+import ElectrodeWizard from '../../ecg/ElectrodeWizard'
+import { createSource, getSource, DEFAULT_SOURCE_ID } from '../../ecg/sources'
+import { createEcgStream } from '../../ecg/ecgStream'
+import { createWorkerPipeline } from '../../ecg/ecgWorkerClient'
+import { createLeadStore } from '../../ecg/leadStore'
+import { describeClockHealth } from '../../ecg/sampleClock'
+import { describePowerline, loadPowerlineSettings, savePowerlineSettings } from '../../ecg/filterSettings'
+import { describeAmplitude } from '../../ecg/amplitude'
+import { getDeviceProfile, loadDeviceProfileId, saveDeviceProfileId } from '../../ecg/deviceProfiles'
+import { BEAT_LABELS, BEAT_COLORS, countBeats, describeEctopy, beatIntervals } from '../../ecg/beatClassifier'
 
 function computeStats(arr) {
     if (!arr || arr.length === 0) return { mean: 0, sd: 0 };
@@ -21,9 +21,24 @@ function computeStats(arr) {
     return { mean, sd };
 }
 
+// Share of the session at each quality level: "90% good, 10% fair"; poor stretches were left out of the metrics
+function describeQualityTally(tally) {
+    const total = tally.good + tally.fair + tally.poor;
+    if (total === 0) return 'not measured';
+    const parts = ['good', 'fair', 'poor'].filter(level => tally[level] > 0).map(level => `${Math.round(tally[level] / total * 100)}% ${level}`);
+    const note = tally.poor > 0 ? ' (poor stretches excluded)' : '';
+    const warning = tally.poor + tally.fair > tally.good ? ' ⚠ metrics may be unreliable' : '';
+    return `${parts.join(', ')}${note}${warning}`;
+}
+
 export default function ECGMonitorUI() {
     const canvasRef = useRef(null);
-    const [port, setPort] = useState(null);
+    const [stream, setStream] = useState(null);
+    const [sourceId, setSourceId] = useState(DEFAULT_SOURCE_ID);
+    const [deviceProfileId, setDeviceProfileId] = useState(loadDeviceProfileId); // board's column leads and rates (deviceProfiles.js)
+    const [showSourceDialog, setShowSourceDialog] = useState(false);
+    const [connectStatus, setConnectStatus] = useState(null);
+    const [sourceDescription, setSourceDescription] = useState(null);
     const [bpm, setBpm] = useState(null);
     const [lastSerialLine, setLastSerialLine] = useState('');
     const [lastParsedBpm, setLastParsedBpm] = useState(null);
@@ -35,35 +50,47 @@ export default function ECGMonitorUI() {
     const [sessionComplete, setSessionComplete] = useState(false);
     const [sessionTime, setSessionTime] = useState(0);
     const [connecting, setConnecting] = useState(false);
+    const [reconnecting, setReconnecting] = useState(false); // link dropped, waiting for the device to return
     const [averageBpm, setAverageBpm] = useState(null);
     const [healthMetrics, setHealthMetrics] = useState(null); // Store all calculated HRV metrics
-
-    const samplesRef = useRef([]);
-    const samples2Ref = useRef([]);
-    const beatsRef = useRef([]); // Store timestamps of detected R-peaks
+    const [malformedCount, setMalformedCount] = useState(0);
+    const [lostFrames, setLostFrames] = useState(0);
+    const [clockHealth, setClockHealth] = useState(null); // sample clock drift / underruns
+    const [powerline, setPowerline] = useState(loadPowerlineSettings); // mains notch
+    const [traceQuality, setTraceQuality] = useState(null); // signal quality index of the trace lead
+    const [electrodes, setElectrodes] = useState(null); // lead-off check: { leads, suspects, ok }
+    const [electrodeOverride, setElectrodeOverride] = useState(false); // user chose to monitor without a passing check
+    const [amplitude, setAmplitude] = useState(null); // { calibrated, reason }: the firmware normalises unless it sends mV
+
+    const streamRef = useRef(null);
+    const storeRef = useRef(null); // [Lead I, Lead II] rings in the device profile's assignment, filled by worker batches
+    const sessionStartSampleRef = useRef(null); // Sample index where the monitoring window began
+    const beatsRef = useRef([]); // { time: R peak in ms on the sample clock, label: beatClassifier.js class }
+    const markersRef = useRef([]); // { r: sample index, label } of the beats on the trace
+    const sessionBeatsRef = useRef([]); // { time, label, gap } of every beat in the monitoring window; gap: first after a poor stretch
     const bpmReadingsRef = useRef([]);
-    const lastPeakTimeRef = useRef(0); // For peak detection refractory period
     const monitoringActiveRef = useRef(false);
     const sessionCompleteRef = useRef(false);
-    const MAX_SAMPLES = 1500;
+    const powerlineRef = useRef(powerline); // notch in use, stored with the session result
+    const traceQualityRef = useRef(null);
+    const qualityTallyRef = useRef({ good: 0, fair: 0, poor: 0 }); // quality updates per level during the session
+    const BUFFER_SECONDS = 12;
     const ARDUINO_SAMPLE_RATE = 125;
-    const SAMPLE_PERIOD_MS = 1000 / ARDUINO_SAMPLE_RATE;
-
-    // Session timer
-    useEffect(() => {
-        let timer;
-        if (monitoringActive && !sessionComplete) {
-            timer = setInterval(() => {
-                setSessionTime(prev => prev + 1);
-            }, 1000);
-        }
-        return () => clearInterval(timer);
-    }, [monitoringActive, sessionComplete]);
+    const TRACE_CHANNEL = 1; // Lead II, wherever the device profile says it is sent
+    const SESSION_SECONDS = 15;
+    const RHYTHM_LABELS = ['N', 'S', 'Q']; // beats whose intervals count towards irregularity
 
     // Update refs for use in intervals
     useEffect(() => { monitoringActiveRef.current = monitoringActive; }, [monitoringActive]);
     useEffect(() => { sessionCompleteRef.current = sessionComplete; }, [sessionComplete]);
 
+    // The notch runs in the ECG worker and can be changed mid-session
+    useEffect(() => {
+        savePowerlineSettings(powerline);
+        powerlineRef.current = powerline;
+        if (streamRef.current) streamRef.current.pipeline.configure({ powerline });
+    }, [powerline]);
+
     // Canvas rendering loop
     useEffect(() => {
         let anim = true;
@@ -76,70 +103,6 @@ export default function ECGMonitorUI() {
         return () => { anim = false };
     }, []);
 
-    // R-peak detection
-    useEffect(() => {
-        const MIN_BEAT_INTERVAL = 300;
-        let lastPeakTime = 0;
-        let lastProcessedIndex = 0;
-
-        const detectionInterval = setInterval(() => {
-            const samples = samplesRef.current;
-            const n = samples.length;
-            if (n < 50) return;
-
-            const recent = samples.slice(Math.max(0, n - 200));
-            const mean = recent.reduce((a, b) => a + b, 0) / recent.length;
-            const variance = recent.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / recent.length;
-            const sd = Math.sqrt(variance);
-            const thresh = mean + Math.max(0.25, sd * 0.8);
-
-            for (let i = Math.max(1, lastProcessedIndex); i < n - 1; i++) {
-                const v = samples[i];
-                if (v > samples[i - 1] && v > samples[i + 1] && v > thresh) {
-                    const now = Date.now();
-                    if (now - lastPeakTime > MIN_BEAT_INTERVAL) {
-                        lastPeakTime = now;
-                        beatsRef.current.push(now);
-                        if (beatsRef.current.length > 50) beatsRef.current.splice(0, beatsRef.current.length - 50);
-
-                        if (beatsRef.current.length >= 2) {
-                            const ibi = now - beatsRef.current[beatsRef.current.length - 2];
-                            const measuredBpm = Math.round(60000 / ibi);
-                            setBpm(measuredBpm);
-
-                            // Capture readings if recording
-                            if (monitoringActiveRef.current && !sessionCompleteRef.current) {
-                                if (measuredBpm > 30 && measuredBpm < 220) {
-                                    bpmReadingsRef.current.push(measuredBpm);
-                                }
-                            }
-                        }
-
-                        if (beatsRef.current.length >= 3) {
-                            const ibis = [];
-                            for (let j = 1; j < beatsRef.current.length; j++) ibis.push(beatsRef.current[j] - beatsRef.current[j - 1]);
-                            const lastIbis = ibis.slice(-8);
-                            const meanI = lastIbis.reduce((a, b) => a + b, 0) / lastIbis.length;
-                            let varI = 0;
-                            for (const x of lastIbis) varI += Math.pow(x - meanI, 2);
-                            varI /= lastIbis.length;
-                            const sdI = Math.sqrt(varI);
-                            const cv = meanI > 0 ? sdI / meanI : 0;
-                            const irrNorm = Math.min(1, cv * 3.0);
-                            if (!window.arduinoIrregularity) window.arduinoIrregularity = [];
-                            window.arduinoIrregularity.push(irrNorm);
-                            if (window.arduinoIrregularity.length > 10) window.arduinoIrregularity.shift();
-                        }
-                    }
-                }
-            }
-
-            lastProcessedIndex = Math.max(0, n - 2);
-        }, Math.max(20, Math.round(SAMPLE_PERIOD_MS * 4)));
-
-        return () => clearInterval(detectionInterval);
-    }, []);
-
     // Health metrics calculation
     useEffect(() => {
         const compute = () => {
@@ -161,8 +124,8 @@ export default function ECGMonitorUI() {
                 const recent = window.arduinoIrregularity.slice(-5);
                 irregularity = recent.reduce((a, b) => a + b, 0) / recent.length;
             } else {
-                const ibis = [];
-                for (let i = 1; i < beats.length; i++) ibis.push(beats[i] - beats[i - 1]);
+                // Ventricular beats and their pauses are not rhythm irregularity
+                const ibis = beatIntervals(beats.map(b => b.time), beats.map(b => b.label), RHYTHM_LABELS);
                 const last = ibis.slice(-8);
                 const { mean, sd } = computeStats(last);
                 const cv = mean > 0 ? sd / mean : 0;
@@ -241,8 +204,8 @@ export default function ECGMonitorUI() {
             ctx.stroke();
         }
 
-        const samples = samplesRef.current;
-        if (samples.length < 2) {
+        const store = storeRef.current;
+        if (!store || store.size < 2) {
             ctx.fillStyle = '#6c757d';
             ctx.font = '600 16px system-ui, -apple-system, sans-serif';
             ctx.textAlign = 'center';
@@ -251,7 +214,7 @@ export default function ECGMonitorUI() {
                 ctx.fillStyle = '#adb5bd';
                 ctx.font = '400 13px system-ui, -apple-system, sans-serif';
                 ctx.fillText('Collecting baseline data...', w / 2, h / 2 + 15);
-            } else if (!port) {
+            } else if (!stream) {
                 ctx.fillText('NO ECG SIGNAL', w / 2, h / 2 - 10);
                 ctx.fillStyle = '#adb5bd';
                 ctx.font = '400 13px system-ui, -apple-system, sans-serif';
@@ -262,8 +225,9 @@ export default function ECGMonitorUI() {
 
         // Draw ECG waveform
         const DISPLAY_SECONDS = 6;
-        const SAMPLES_TO_DISPLAY = ARDUINO_SAMPLE_RATE * DISPLAY_SECONDS;
-        const view = samples.slice(-SAMPLES_TO_DISPLAY);
+        // The device (or simulator) announces its rate; the stream clock follows it
+        const sampleRate = streamRef.current ? streamRef.current.clock.sampleRate : ARDUINO_SAMPLE_RATE;
+        const view = store.recent(TRACE_CHANNEL, Math.min(store.size, sampleRate * DISPLAY_SECONDS));
 
         ctx.strokeStyle = '#10b981'; // Green ECG trace
         ctx.lineWidth = 2;
@@ -272,18 +236,61 @@ export default function ECGMonitorUI() {
         const minV = -2.0;
         const maxV = 2.0;
 
+        const gapXs = [];
+        let penUp = true;
         for (let i = 0; i < view.length; i++) {
-            const x = (i / ARDUINO_SAMPLE_RATE) * (25 * gridSize / 5);
+            const x = (i / sampleRate) * (25 * gridSize / 5);
             const v = view[i];
+            // Lost frames are NaN: lift the pen instead of joining across the gap
+            if (Number.isNaN(v)) {
+                penUp = true;
+                gapXs.push(x);
+                continue;
+            }
             const y = h / 2 - (v / (maxV - minV)) * h * 0.8;
-            if (i === 0) ctx.moveTo(x, y);
+            if (penUp) ctx.moveTo(x, y);
             else ctx.lineTo(x, y);
+            penUp = false;
         }
         ctx.stroke();
+
+        if (gapXs.length) {
+            ctx.fillStyle = 'rgba(107, 114, 128, 0.25)';
+            const gapW = Math.max(1, (25 * gridSize / 5) / sampleRate);
+            for (const gx of gapXs) ctx.fillRect(gx, 0, gapW, h);
+        }
+
+        // Beat class above each R peak
+        const firstShown = store.lastSample - view.length + 1;
+        ctx.font = '600 12px system-ui, -apple-system, sans-serif';
+        ctx.textAlign = 'center';
+        for (const { r, label } of markersRef.current) {
+            if (r < firstShown) continue;
+            ctx.fillStyle = BEAT_COLORS[label];
+            ctx.fillText(label === 'Q' ? '?' : label, ((r - firstShown) / sampleRate) * (25 * gridSize / 5), 14);
+        }
+        ctx.textAlign = 'start';
+    }
+
+    function handleDeviceProfile(id) {
+        setDeviceProfileId(id);
+        saveDeviceProfileId(id);
+    }
+
+    // Sources with an options dialog (serial port settings) ask for them first
+    function requestConnect() {
+        if (getSource(sourceId).optionsDialog) setShowSourceDialog(true);
+        else connectSource();
     }
 
-    async function connectSerial() {
-        if (!('serial' in navigator)) {
+    // Replay a reference recording through the same pipeline as a device
+    function openRecording() {
+        setSourceId('replay');
+        setShowSourceDialog(true);
+    }
+
+    async function connectSource(options = {}) {
+        if (sourceId === 'serial' && !('serial' in navigator)) {
             alert('Web Serial API not supported. Please use Chrome or Edge browser.');
             return;
         }
@@ -293,277 +300,333 @@ export default function ECGMonitorUI() {
         // Give React time to render the loading state before the native picker opens
         await new Promise(resolve => setTimeout(resolve, 50));
 
+        let pipeline = null;
         try {
-            const requestedPort = await navigator.serial.requestPort();
-            await requestedPort.open({ baudRate: 115200 });
-            setPort(requestedPort);
+            // A board's profile maps its columns onto Lead I / II and sets the rate until the device announces one
+            const device = getSource(sourceId).device ? getDeviceProfile(deviceProfileId) : null;
+            const sampleRate = device ? device.sampleRate : ARDUINO_SAMPLE_RATE;
+            const source = createSource(sourceId, { sampleRate, onProgress: setConnectStatus, ...options });
+            // Parsing and R-peak detection run in a worker; the trace shows values as sent
+            pipeline = createWorkerPipeline({
+                onBatch: handleBatch,
+                onCalibration: handleCalibration,
+                onControl: handleControl,
+                onMalformed: handleMalformed,
+                onClock: setClockHealth,
+                onQuality: handleQuality,
+                onElectrodes: setElectrodes,
+                onAmplitude: setAmplitude
+            }, {
+                sampleRate,
+                playbackRate: source.playbackRate,
+                layout: 'raw2',
+                units: null,
+                powerline,
+                legacyExtras: true,
+                device
+            });
+            const ecgStream = createEcgStream(source, {
+                onConnection: state => setReconnecting(state === 'lost'),
+                onError: err => console.error('Stream read error', err),
+                onEnd: () => disconnectSource()
+            }, { pipeline });
+            // Calibrating until the device reports START / CAL_DONE (or streams already-calibrated data)
             setCalibrating(true);
             setMonitoringActive(false);
-            setConnecting(false);
             setSessionTime(0);
             setAverageBpm(null);
             setHealthMetrics(null);
+            setMalformedCount(0);
+            setLostFrames(0);
+            setClockHealth(null);
+            setReconnecting(false);
+            setTraceQuality(null);
+            traceQualityRef.current = null;
+            setElectrodes(null);
+            setElectrodeOverride(false);
             bpmReadingsRef.current = [];
-
-            // 1. Calibration (4s)
-            setTimeout(() => {
-                setCalibrating(false);
-                setMonitoringActive(true);
-
-                // 2. Recording (15s)
-                setTimeout(() => {
-                    setSessionComplete(true);
-                    setMonitoringActive(false);
-
-                    // --- CALCULATION PHASE ---
-                    const readings = bpmReadingsRef.current;
-                    const beats = beatsRef.current;
-
-                    let avgBpmVal = 0;
-                    if (readings.length > 0) {
-                        const sum = readings.reduce((a, b) => a + b, 0);
-                        avgBpmVal = Math.round(sum / readings.length);
-                        setAverageBpm(avgBpmVal);
-                    } else if (beats.length >= 2) {
-                        // Fallback calculation using beats time difference
-                        const durationMinutes = (beats[beats.length - 1] - beats[0]) / 60000;
-                        if (durationMinutes > 0) {
-                            avgBpmVal = Math.round((beats.length - 1) / durationMinutes);
-                            setAverageBpm(avgBpmVal);
-                        }
-                    }
-
-                    let rrIntervals = [];
-                    for (let i = 1; i < beats.length; i++) {
-                        rrIntervals.push(beats[i] - beats[i - 1]);
-                    }
-
-                    if (rrIntervals.length < 2 && readings.length > 0) {
-                        rrIntervals = readings.map(b => 60000 / b);
-                    }
-
-                    if (rrIntervals.length >= 2) {
-                        const meanRR = rrIntervals.reduce((a, b) => a + b, 0) / rrIntervals.length;
-                        const variance = rrIntervals.reduce((a, b) => a + Math.pow(b - meanRR, 2), 0) / rrIntervals.length;
-                        const sdnn = Math.sqrt(variance);
-
-                        let sumSquaredDiffs = 0;
-                        let countDiffs50 = 0;
-                        for (let i = 0; i < rrIntervals.length - 1; i++) {
-                            const diff = rrIntervals[i] - rrIntervals[i + 1];
-                            sumSquaredDiffs += diff * diff;
-                            if (Math.abs(diff) > 50) countDiffs50++;
-                        }
-                        const rmssd = Math.sqrt(sumSquaredDiffs / (rrIntervals.length - 1));
-                        const pnn50 = (countDiffs50 / (rrIntervals.length - 1)) * 100;
-                        const irr = sdnn / meanRR;
-                        const sd1 = rmssd / Math.sqrt(2);
-                        const isAfibRisk = (irr > 0.12 && pnn50 < 10 && sd1 < 20);
-
-                        let score = 70;
-                        if (avgBpmVal >= 60 && avgBpmVal <= 100) score += 10; else score -= 10;
-                        if (sdnn > 50) score += 10;
-                        if (rmssd > 30) score += 10;
-                        if (irr < 0.05) score += 10; else if (irr > 0.12) score -= 20;
-                        if (isAfibRisk) score -= 30;
-                        score = Math.max(0, Math.min(100, score));
-
-                        setHealthMetrics({ sdnn, rmssd, pnn50, irr, sd1, isAfibRisk, score, meanRR });
-                    }
-                }, 15000);
-            }, 4000);
-
-            const textDecoder = new TextDecoderStream();
-            const readableStreamClosed = requestedPort.readable.pipeTo(textDecoder.writable);
-            const reader = textDecoder.readable
-                .pipeThrough(new TransformStream(new LineBreakTransformer()))
-                .getReader();
-
-            while (true) {
-                const { value, done } = await reader.read();
-                if (done) break;
-                if (!value) continue;
-
-                const line = value.trim();
-                setLastSerialLine(line);
-
-                if (line.includes('Calibration') || line.includes('Starting') || line.includes('Baseline') || line.includes('Gain')) {
-                    console.log('Arduino:', line);
-                    if (line.includes('Complete')) {
-                        setCalibrating(false);
-                    }
-                    continue;
-                }
-
-                const parts = line.split(',');
-                if (parts.length >= 2) {
-                    const val1 = parseFloat(parts[0]);
-                    const val2 = parseFloat(parts[1]);
-                    const arduinoBPM = parts.length >= 3 ? parseInt(parts[2]) : null;
-                    const arduinoIrregularity = parts.length >= 4 ? parseFloat(parts[3]) : null;
-
-                    if (!isNaN(val1) && !isNaN(val2)) {
-                        samplesRef.current.push(val2);
-                        samples2Ref.current.push(val1);
-
-                        if (samplesRef.current.length > MAX_SAMPLES) {
-                            samplesRef.current.splice(0, samplesRef.current.length - MAX_SAMPLES);
-                            samples2Ref.current.splice(0, samples2Ref.current.length - MAX_SAMPLES);
-                        }
-
-                        if (arduinoBPM && arduinoBPM > 0) {
-                            const now = Date.now();
-                            beatsRef.current.push(now);
-                            if (beatsRef.current.length > 50) {
-                                beatsRef.current.splice(0, beatsRef.current.length - 50);
-                            }
-
-                            if (arduinoIrregularity !== null && arduinoIrregularity >= 0) {
-                                if (!window.arduinoIrregularity) window.arduinoIrregularity = [];
-                                window.arduinoIrregularity.push(arduinoIrregularity);
-                                if (window.arduinoIrregularity.length > 10) {
-                                    window.arduinoIrregularity.shift();
-                                }
-                                setLastParsedIrr(arduinoIrregularity);
-                            }
-
-                            if (monitoringActive && !sessionComplete) {
-                                setBpm(arduinoBPM);
-                                setLastParsedBpm(arduinoBPM);
-                                if (arduinoBPM > 30 && arduinoBPM < 220) {
-                                    bpmReadingsRef.current.push(arduinoBPM);
-                                }
-
-                                // Simple Peak Detection for HRV
-                                const now = Date.now();
-                                const val = parseFloat(parts[0]);
-                                const signalThreshold = 600; // Adjusted threshold
-
-                                // Refractory period 250ms (limit max bpm ~240)
-                                if (val > signalThreshold && (now - lastPeakTimeRef.current > 250)) {
-                                    beatsRef.current.push(now);
-                                    lastPeakTimeRef.current = now;
-                                }
-                            }
-                        }
-                    }
-                }
-            }
+            storeRef.current = createLeadStore(2, BUFFER_SECONDS * sampleRate);
+            streamRef.current = ecgStream;
+            await ecgStream.start();
+            setStream(ecgStream);
+            setSourceDescription(ecgStream.source.description || null);
+            setConnecting(false);
+            setConnectStatus(null);
         } catch (err) {
             console.error('Serial connect error', err);
+            if (pipeline) pipeline.dispose();
+            streamRef.current = null;
             setCalibrating(false);
             setConnecting(false);
+            setConnectStatus(null);
+            if (err && err.name !== 'NotFoundError') alert('Connection failed: ' + (err.message || err));
+        }
+    }
+
+    // Device finished calibrating: run the 15s monitoring window.
+    // The window is counted in samples by handleBatch, so it ends after 15s of signal.
+    function startMonitoringSession() {
+        sessionStartSampleRef.current = null;
+        qualityTallyRef.current = { good: 0, fair: 0, poor: 0 };
+        sessionBeatsRef.current = [];
+        monitoringActiveRef.current = true;
+        setSessionTime(0);
+        setMonitoringActive(true);
+    }
+
+    function finishSession() {
+        sessionStartSampleRef.current = null;
+        monitoringActiveRef.current = false;
+        sessionCompleteRef.current = true;
+        setSessionComplete(true);
+        setMonitoringActive(false);
+
+        // --- CALCULATION PHASE ---
+        const readings = bpmReadingsRef.current;
+        const beats = sessionBeatsRef.current;
+
+        let avgBpmVal = 0;
+        if (readings.length > 0) {
+            const sum = readings.reduce((a, b) => a + b, 0);
+            avgBpmVal = Math.round(sum / readings.length);
+            setAverageBpm(avgBpmVal);
+        } else if (beats.length >= 2) {
+            // Fallback calculation using beats time difference
+            const durationMinutes = (beats[beats.length - 1].time - beats[0].time) / 60000;
+            if (durationMinutes > 0) {
+                avgBpmVal = Math.round((beats.length - 1) / durationMinutes);
+                setAverageBpm(avgBpmVal);
+            }
+        }
+
+        // Variability from the session's normal-to-normal intervals; irregularity leaves out only ventricular beats
+        // No interval spans a poor stretch, where beatsRef was cleared
+        const runs = [];
+        beats.forEach((b, i) => (i === 0 || b.gap ? runs.push([b]) : runs[runs.length - 1].push(b)));
+        const runIntervals = keep => runs.flatMap(run => beatIntervals(run.map(b => b.time), run.map(b => b.label), keep));
+        const labels = beats.map(b => b.label);
+        let rrIntervals = runIntervals();
+        let rhythmIntervals = runIntervals(RHYTHM_LABELS);
+        const ectopy = countBeats(labels);
+
+        if (rrIntervals.length < 2 && readings.length > 0) {
+            rrIntervals = readings.map(b => 60000 / b);
+            rhythmIntervals = rrIntervals;
+        }
+
+        if (rrIntervals.length >= 2) {
+            const meanRR = rrIntervals.reduce((a, b) => a + b, 0) / rrIntervals.length;
+            const variance = rrIntervals.reduce((a, b) => a + Math.pow(b - meanRR, 2), 0) / rrIntervals.length;
+            const sdnn = Math.sqrt(variance);
+
+            let sumSquaredDiffs = 0;
+            let countDiffs50 = 0;
+            for (let i = 0; i < rrIntervals.length - 1; i++) {
+                const diff = rrIntervals[i] - rrIntervals[i + 1];
+                sumSquaredDiffs += diff * diff;
+                if (Math.abs(diff) > 50) countDiffs50++;
+            }
+            const rmssd = Math.sqrt(sumSquaredDiffs / (rrIntervals.length - 1));
+            const pnn50 = (countDiffs50 / (rrIntervals.length - 1)) * 100;
+            const rhythm = computeStats(rhythmIntervals.length >= 2 ? rhythmIntervals : rrIntervals);
+            const irr = rhythm.mean > 0 ? rhythm.sd / rhythm.mean : 0;
+            const sd1 = rmssd / Math.sqrt(2);
+            const isAfibRisk = (irr > 0.12 && pnn50 < 10 && sd1 < 20);
+
+            let score = 70;
+            if (avgBpmVal >= 60 && avgBpmVal <= 100) score += 10; else score -= 10;
+            if (sdnn > 50) score += 10;
+            if (rmssd > 30) score += 10;
+            if (irr < 0.05) score += 10; else if (irr > 0.12) score -= 20;
+            if (isAfibRisk) score -= 30;
+            score = Math.max(0, Math.min(100, score));
+
+            setHealthMetrics({ sdnn, rmssd, pnn50, irr, sd1, isAfibRisk, score, meanRR, ectopy, powerline: { ...powerlineRef.current }, quality: { ...qualityTallyRef.current } });
+        }
+    }
+
+    // Calibration state is driven by the device's START / CAL_DONE messages
+    function handleCalibration(state) {
+        if (state === 'running') {
+            sessionStartSampleRef.current = null;
+            monitoringActiveRef.current = false;
+            setCalibrating(true);
+            setMonitoringActive(false);
+            setSessionTime(0);
+            bpmReadingsRef.current = [];
+            return;
+        }
+        // Monitoring starts from the electrode check below
+        setCalibrating(false);
+    }
+
+    // Start monitoring once calibrated and every electrode looks attached (or the user skipped the check)
+    const electrodesReady = electrodeOverride || Boolean(electrodes && electrodes.ok);
+    useEffect(() => {
+        if (!stream || calibrating || monitoringActive || sessionComplete || !electrodesReady) return;
+        const timer = setTimeout(() => {
+            if (!sessionCompleteRef.current) startMonitoringSession();
+        }, 500);
+        return () => clearTimeout(timer);
+    }, [stream, calibrating, monitoringActive, sessionComplete, electrodesReady]);
+
+    function handleControl(record) {
+        setLastSerialLine(record.line);
+        console.log('Arduino:', record.line);
+    }
+
+    function handleMalformed() {
+        setMalformedCount(prev => prev + 1);
+    }
+
+    // R peak from the worker's QRS detector (beatDetector.js), the only source of beats, with its class
+    // (beatClassifier.js); times are on the sample clock
+    function handleBeat(now, label, recording) {
+        const beats = beatsRef.current;
+        beats.push({ time: now, label });
+        if (beats.length > 50) beats.splice(0, beats.length - 50);
+        if (recording) sessionBeatsRef.current.push({ time: now, label, gap: beats.length === 1 });
+
+        if (beats.length >= 2) {
+            const ibi = now - beats[beats.length - 2].time;
+            const measuredBpm = Math.round(60000 / ibi);
+            setBpm(measuredBpm);
+
+            // Capture readings if recording
+            if (recording && measuredBpm > 30 && measuredBpm < 220) {
+                bpmReadingsRef.current.push(measuredBpm);
+            }
+        }
+
+        if (beats.length >= 3) {
+            const ibis = beatIntervals(beats.map(b => b.time), beats.map(b => b.label), RHYTHM_LABELS);
+            if (ibis.length === 0) return;
+            const lastIbis = ibis.slice(-8);
+            const meanI = lastIbis.reduce((a, b) => a + b, 0) / lastIbis.length;
+            let varI = 0;
+            for (const x of lastIbis) varI += Math.pow(x - meanI, 2);
+            varI /= lastIbis.length;
+            const sdI = Math.sqrt(varI);
+            const cv = meanI > 0 ? sdI / meanI : 0;
+            const irrNorm = Math.min(1, cv * 3.0);
+            if (!window.arduinoIrregularity) window.arduinoIrregularity = [];
+            window.arduinoIrregularity.push(irrNorm);
+            if (window.arduinoIrregularity.length > 10) window.arduinoIrregularity.shift();
+        }
+    }
+
+    // Legacy firmware appends its own BPM and irregularity to every line (the worker passes them as
+    // device columns). They are shown as the device's figures; beats and metrics come from the worker's detector.
+    function handleDeviceColumns(batch) {
+        const [bpmColumn, irrColumn] = batch.device;
+        for (let s = 0; s < batch.count; s++) {
+            if (!(bpmColumn[s] > 0)) continue;
+            setLastParsedBpm(bpmColumn[s]);
+            if (irrColumn[s] >= 0) setLastParsedIrr(irrColumn[s]);
+        }
+    }
+
+    // Quality index from the worker, about twice a second
+    function handleQuality(quality) {
+        const lead = quality.leads[TRACE_CHANNEL];
+        if (lead.level === 'poor' && (!traceQualityRef.current || traceQualityRef.current.level !== 'poor')) {
+            // RR intervals must not span the unusable stretch
+            beatsRef.current = [];
+            setBpm(null);
+        }
+        traceQualityRef.current = lead;
+        setTraceQuality(lead);
+        if (monitoringActiveRef.current && !sessionCompleteRef.current) qualityTallyRef.current[lead.level]++;
+    }
+
+    // One batch of samples from the ECG worker (about 30 per second)
+    function handleBatch(batch) {
+        const store = storeRef.current;
+        if (!store) return;
+        const sampleRate = batch.sampleRate;
+        // The device (or simulator) announces its rate; keep BUFFER_SECONDS of it
+        if (store.capacity !== BUFFER_SECONDS * sampleRate) store.resize(BUFFER_SECONDS * sampleRate);
+        const recording = monitoringActiveRef.current && !sessionCompleteRef.current;
+
+        // Lost frames (binary sequence gap) become NaN samples so the trace shows a gap
+        if (batch.lost > 0) setLostFrames(prev => prev + batch.lost);
+        store.append(batch);
+        const markers = markersRef.current;
+        batch.beats.forEach((r, k) => markers.push({ r, label: batch.labels[k] }));
+        while (markers.length && markers[0].r < store.lastSample - store.capacity) markers.shift();
+
+        // Beats found on a flat, clipped or noisy trace are left out of the session
+        if (!traceQualityRef.current || traceQualityRef.current.level !== 'poor') {
+            batch.beats.forEach((beat, k) => handleBeat(beat / sampleRate * 1000, batch.labels[k], recording));
+            if (batch.device) handleDeviceColumns(batch);
+        }
+
+        // Monitoring window length from the sample clock (gaps count as elapsed time)
+        if (recording) {
+            if (sessionStartSampleRef.current === null) sessionStartSampleRef.current = batch.firstSample - batch.lost;
+            const elapsed = (batch.firstSample + batch.count - sessionStartSampleRef.current) / sampleRate;
+            setSessionTime(Math.min(SESSION_SECONDS, Math.floor(elapsed)));
+            if (elapsed >= SESSION_SECONDS) finishSession();
         }
     }
 
-    async function disconnectSerial() {
-        if (!port) return;
+    async function disconnectSource() {
+        const current = streamRef.current;
+        if (!current) return;
+        streamRef.current = null;
+        sessionStartSampleRef.current = null;
+        monitoringActiveRef.current = false;
+        sessionCompleteRef.current = false;
         try {
-            await port.close();
+            await current.stop();
         } catch (e) { }
-        setPort(null);
+        setStream(null);
+        setReconnecting(false);
         setCalibrating(false);
         setMonitoringActive(false);
         setSessionComplete(false);
         setBpm(null);
         setSessionTime(0);
-        samplesRef.current = [];
-        samples2Ref.current = [];
+        setTraceQuality(null);
+        traceQualityRef.current = null;
+        setElectrodes(null);
+        if (storeRef.current) storeRef.current.clear();
         beatsRef.current = [];
+        markersRef.current = [];
         if (window.arduinoIrregularity) window.arduinoIrregularity = [];
     }
 
     function resetSession() {
+        sessionCompleteRef.current = false;
         setSessionComplete(false);
-        setCalibrating(true);
         setMonitoringActive(false);
         setBpm(null);
         setAverageBpm(null);
         setHealthMetrics(null);
         setSessionTime(0);
-        samplesRef.current = [];
-        samples2Ref.current = [];
+        if (storeRef.current) storeRef.current.clear();
         beatsRef.current = [];
+        markersRef.current = [];
         bpmReadingsRef.current = [];
         if (window.arduinoIrregularity) window.arduinoIrregularity = [];
 
-        setTimeout(() => {
-            setCalibrating(false);
-            setMonitoringActive(true);
-
-            setTimeout(() => {
-                setSessionComplete(true);
-                setMonitoringActive(false);
-
-                // --- CALCULATION PHASE ---
-                const readings = bpmReadingsRef.current;
-                const beats = beatsRef.current;
-
-                let avgBpmVal = 0;
-                if (readings.length > 0) {
-                    const sum = readings.reduce((a, b) => a + b, 0);
-                    avgBpmVal = Math.round(sum / readings.length);
-                    setAverageBpm(avgBpmVal);
-                } else if (beats.length >= 2) {
-                    const durationMinutes = (beats[beats.length - 1] - beats[0]) / 60000;
-                    if (durationMinutes > 0) {
-                        avgBpmVal = Math.round((beats.length - 1) / durationMinutes);
-                        setAverageBpm(avgBpmVal);
-                    }
-                }
-
-                let rrIntervals = [];
-                for (let i = 1; i < beats.length; i++) {
-                    rrIntervals.push(beats[i] - beats[i - 1]);
-                }
-
-                if (rrIntervals.length < 2 && readings.length > 0) {
-                    rrIntervals = readings.map(b => 60000 / b);
-                }
-
-                if (rrIntervals.length >= 2) {
-                    const meanRR = rrIntervals.reduce((a, b) => a + b, 0) / rrIntervals.length;
-                    const variance = rrIntervals.reduce((a, b) => a + Math.pow(b - meanRR, 2), 0) / rrIntervals.length;
-                    const sdnn = Math.sqrt(variance);
-
-                    let sumSquaredDiffs = 0;
-                    let countDiffs50 = 0;
-                    for (let i = 0; i < rrIntervals.length - 1; i++) {
-                        const diff = rrIntervals[i] - rrIntervals[i + 1];
-                        sumSquaredDiffs += diff * diff;
-                        if (Math.abs(diff) > 50) countDiffs50++;
-                    }
-                    const rmssd = Math.sqrt(sumSquaredDiffs / (rrIntervals.length - 1));
-                    const pnn50 = (countDiffs50 / (rrIntervals.length - 1)) * 100;
-                    const irr = sdnn / meanRR;
-                    const sd1 = rmssd / Math.sqrt(2);
-                    const isAfibRisk = (irr > 0.12 && pnn50 < 10 && sd1 < 20);
-
-                    let score = 70;
-                    if (avgBpmVal >= 60 && avgBpmVal <= 100) score += 10; else score -= 10;
-                    if (sdnn > 50) score += 10;
-                    if (rmssd > 30) score += 10;
-                    if (irr < 0.05) score += 10; else if (irr > 0.12) score -= 20;
-                    if (isAfibRisk) score -= 30;
-                    score = Math.max(0, Math.min(100, score));
-
-                    setHealthMetrics({ sdnn, rmssd, pnn50, irr, sd1, isAfibRisk, score, meanRR });
-                }
-            }, 15000);
-        }, 4000);
+        // The device is already calibrated; start a fresh monitoring window
+        startMonitoringSession();
     }
 
     // Get connection status
     const getConnectionStatus = () => {
         if (connecting) return 'Connecting';
+        if (reconnecting) return 'Reconnecting';
         if (calibrating) return 'Calibrating';
         if (monitoringActive) return 'Recording';
         if (sessionComplete) return 'Complete';
-        if (port) return 'Connected';
+        if (stream) return 'Connected';
         return 'Disconnected';
     };
 
     const connectionStatus = getConnectionStatus();
+    const SourceOptionsDialog = showSourceDialog ? getSource(sourceId).optionsDialog : null;
 
     const getHeartRateStatus = (val) => {
         if (!val) return null;
@@ -602,15 +665,19 @@ export default function ECGMonitorUI() {
                     100% { transform: rotate(-360deg); }
                 }
             `}</style>
+            {SourceOptionsDialog && (
+                <SourceOptionsDialog defaults={{ baudRate: getDeviceProfile(deviceProfileId).baudRate }} onCancel={() => setShowSourceDialog(false)} onConnect={options => { setShowSourceDialog(false); connectSource(options); }} />
+            )}
             {/* Header */}
             <header style={styles.header}>
                 <div style={styles.headerLeft}>
                     <h1 style={styles.title}>How's My Heart</h1>
                 </div>
                 <div style={styles.headerRight}>
-                    {port ? (
+                    <PowerlineControls value={powerline} onChange={setPowerline} style={styles.powerlineControls} selectStyle={styles.sourceSelect} />
+                    {stream ? (
                         <div style={styles.buttonGroup}>
-                            <button onClick={disconnectSerial} style={styles.disconnectBtn}>
+                            <button onClick={disconnectSource} style={styles.disconnectBtn}>
                                 Disconnect
                             </button>
                             {sessionComplete && (
@@ -620,21 +687,41 @@ export default function ECGMonitorUI() {
                             )}
                         </div>
                     ) : (
-                        <button
-                            onClick={connectSerial}
-                            style={{
-                                ...styles.connectBtn,
-                                opacity: connecting ? 0.8 : 1
-                            }}
-                            disabled={connecting}
-                        >
-                            {connecting && (
-                                <svg style={styles.spinnerIcon} viewBox="0 0 24 24" fill="none">
-                                    <circle cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="3" strokeLinecap="round" strokeDasharray="31.4 31.4" />
-                                </svg>
+                        <div style={styles.buttonGroup}>
+                            <SourcePicker
+                                sourceId={sourceId}
+                                onSourceChange={setSourceId}
+                                disabled={connecting}
+                                selectStyle={styles.sourceSelect}
+                            />
+                            {getSource(sourceId).device && (
+                                <DeviceProfilePicker
+                                    profileId={deviceProfileId}
+                                    onProfileChange={handleDeviceProfile}
+                                    disabled={connecting}
+                                    selectStyle={styles.sourceSelect}
+                                    buttonStyle={styles.sourceSelect}
+                                />
                             )}
-                            {connecting ? 'Connecting...' : 'Connect'}
-                        </button>
+                            <button
+                                onClick={requestConnect}
+                                style={{
+                                    ...styles.connectBtn,
+                                    opacity: connecting ? 0.8 : 1
+                                }}
+                                disabled={connecting}
+                            >
+                                {connecting && (
+                                    <svg style={styles.spinnerIcon} viewBox="0 0 24 24" fill="none">
+                                        <circle cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="3" strokeLinecap="round" strokeDasharray="31.4 31.4" />
+                                    </svg>
+                                )}
+                                {connecting ? (connectStatus || 'Connecting...') : 'Connect'}
+                            </button>
+                            <button onClick={openRecording} style={styles.disconnectBtn} disabled={connecting}>
+                                Open recording
+                            </button>
+                        </div>
                     )}
                 </div>
             </header>
@@ -644,6 +731,9 @@ export default function ECGMonitorUI() {
                 <div style={styles.contentRow}>
                     {/* Left Column - ECG Graph */}
                     <div style={styles.leftColumn}>
+                        {stream && !calibrating && !monitoringActive && !sessionComplete && !electrodesReady && (
+                            <ElectrodeWizard electrodes={electrodes} onSkip={() => setElectrodeOverride(true)} style={{ maxWidth: 'none', margin: 0 }} />
+                        )}
                         <div style={styles.ecgCard}>
                             {/* ECG Card Header */}
                             <div style={styles.ecgCardHeader}>
@@ -652,14 +742,15 @@ export default function ECGMonitorUI() {
                                         <path d="M1 8h3l2-6 3 12 2-6h8" stroke="#10b981" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
                                     </svg>
                                     <span>Lead II</span>
+                                    {stream && <QualityBadge quality={traceQuality} />}
                                 </div>
                                 <div style={styles.ecgStatus}>
                                     <span style={{
                                         ...styles.statusDot,
-                                        backgroundColor: calibrating ? '#f59e0b' : (monitoringActive ? '#10b981' : (port ? '#6b7280' : '#9ca3af'))
+                                        backgroundColor: reconnecting ? '#ef4444' : calibrating ? '#f59e0b' : (monitoringActive ? '#10b981' : (stream ? '#6b7280' : '#9ca3af'))
                                     }}></span>
-                                    <span style={styles.statusText}>
-                                        {calibrating ? 'Calibrating' : (monitoringActive ? 'Recording' : (port ? 'Ready' : 'Standby'))}
+                                    <span style={styles.statusText} title={reconnecting && connectStatus ? connectStatus : undefined}>
+                                        {reconnecting ? 'Reconnecting…' : calibrating ? 'Calibrating' : (monitoringActive ? 'Recording' : (stream ? 'Ready' : 'Standby'))}
                                     </span>
                                 </div>
                             </div>
@@ -671,8 +762,12 @@ export default function ECGMonitorUI() {
 
                             {/* ECG Card Footer */}
                             <div style={styles.ecgCardFooter}>
-                                <span style={styles.ecgFooterText}>25mm/s • 10mm/mV</span>
-                                <span style={styles.ecgFooterText}>Paper Speed: Standard</span>
+                                <span style={styles.ecgFooterText} title={describeAmplitude(amplitude)}>25mm/s • {amplitude && amplitude.calibrated ? '10mm/mV' : '10mm/unit (normalised)'}{powerline.mains > 0 ? ` • ${describePowerline(powerline)}` : ''}{stream && sourceDescription ? ` • ${sourceDescription}` : ''}</span>
+                                <span style={styles.ecgFooterText}>
+                                    {lostFrames > 0 || malformedCount > 0 || describeClockHealth(clockHealth)
+                                        ? `⚠ ${lostFrames} lost frame${lostFrames === 1 ? '' : 's'} • ${malformedCount} malformed line${malformedCount === 1 ? '' : 's'}${describeClockHealth(clockHealth) ? ` • clock: ${describeClockHealth(clockHealth)}` : ''}`
+                                        : 'Paper Speed: Standard'}
+                                </span>
                             </div>
                         </div>
 
@@ -818,6 +913,17 @@ export default function ECGMonitorUI() {
                                         </div>
                                     </div>
                                 </div>
+                                <div style={styles.metricUnit}>Mains notch: {describePowerline(healthMetrics.powerline)}</div>
+                                {healthMetrics.ectopy && (
+                                    <div style={{ ...styles.metricUnit, color: healthMetrics.ectopy.V + healthMetrics.ectopy.S > 0 ? '#b45309' : undefined }} title={Object.entries(BEAT_LABELS).map(([label, name]) => `${label}: ${name}`).join(', ')}>
+                                        Beats: {describeEctopy(healthMetrics.ectopy)}
+                                    </div>
+                                )}
+                                {healthMetrics.quality && (
+                                    <div style={{ ...styles.metricUnit, color: healthMetrics.quality.poor + healthMetrics.quality.fair > healthMetrics.quality.good ? '#b45309' : undefined }}>
+                                        Signal quality: {describeQualityTally(healthMetrics.quality)}
+                                    </div>
+                                )}
                             </div>
                         )}
                     </div>
@@ -881,8 +987,8 @@ export default function ECGMonitorUI() {
                                         backgroundColor: calibrating ? '#f59e0b' : (monitoringActive ? '#22c55e' : (sessionComplete ? '#3b82f6' : '#9ca3af'))
                                     }}></span>
                                     <span>
-                                        {calibrating ? 'Calibrating (4s)' :
-                                            (monitoringActive ? `Recording (${15 - sessionTime}s)` :
+                                        {calibrating ? 'Calibrating' :
+                                            (monitoringActive ? `Recording (${SESSION_SECONDS - sessionTime}s)` :
                                                 (sessionComplete ? 'Session Complete' : 'Ready'))}
                                     </span>
                                 </div>
@@ -909,7 +1015,7 @@ export default function ECGMonitorUI() {
                                         <path d="M13 2L3 14h9l-1 8 10-12h-9l1-8z" stroke="#f59e0b" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
                                     </svg>
                                 </div>
-                                <div style={styles.statValue}>{samplesRef.current.length || '--'}</div>
+                                <div style={styles.statValue}>{(storeRef.current && storeRef.current.size) || '--'}</div>
                             </div>
 
                             {/* Session Time Card */}
@@ -999,6 +1105,19 @@ const styles = {
         transition: 'all 0.2s ease',
         boxShadow: '0 2px 8px rgba(16, 185, 129, 0.3)',
     },
+    powerlineControls: {
+        fontSize: '13px',
+        color: '#4b5563',
+    },
+    sourceSelect: {
+        padding: '10px 14px',
+        fontSize: '14px',
+        color: '#1f2937',
+        backgroundColor: '#ffffff',
+        border: '1px solid #e5e7eb',
+        borderRadius: '50px',
+        cursor: 'pointer',
+    },
     disconnectBtn: {
         padding: '12px 28px',
         fontSize: '14px',
@@ -1,6 +1,42 @@
-import React, { useEffect, useRef, useState } from 'react'
+import React, { useEffect, useMemo, useRef, useState } from 'react'
 import VectorCardiogram from './VectorCardiogram'
 import RiskAnalysis from './RiskAnalysis'
+import SourcePicker from '../../ecg/SourcePicker'
+import DeviceProfilePicker from '../../ecg/DeviceProfilePicker'
+import PowerlineControls from '../../ecg/PowerlineControls'
+import QualityBadge from '../../ecg/QualityBadge'
+import ElectrodeWizard from '../../ecg/ElectrodeWizard'
+import AmplitudeCalibrationDialog from '../../ecg/AmplitudeCalibrationDialog'
+import { createSource, getSource, DEFAULT_SOURCE_ID } from '../../ecg/sources'
+import { createEcgStream } from '../../ecg/ecgStream'
+import { createWorkerPipeline } from '../../ecg/ecgWorkerClient'
+import { createLeadStore } from '../../ecg/leadStore'
+import { useLeadSnapshot } from '../../ecg/useLeadSnapshot'
+import { describeClockHealth, nominalRate } from '../../ecg/sampleClock'
+import { FILTER_TYPES, FILTER_ORDERS, FIRMWARE_FILTER, describeFilter, loadFilterSettings, saveFilterSettings, describePowerline, loadPowerlineSettings, savePowerlineSettings, BASELINE_METHODS, describeBaseline, isDiagnosticBaseline, withoutHighPass, loadBaselineMethod, saveBaselineMethod } from '../../ecg/filterSettings'
+import { removeBaseline } from '../../ecg/baseline'
+import { analyseRecording } from '../../ecg/recordingAnalysis'
+import { BEAT_COLORS, describeEctopy } from '../../ecg/beatClassifier'
+import { EVENT_TYPES, SEVERITY_COLORS, PAUSE_OPTIONS, describeRhythmEvent, loadRhythmSettings, saveRhythmSettings } from '../../ecg/rhythmEvents'
+import { QTC_FORMULAS, PATIENT_SEXES, describeQtcSettings, loadQtcSettings, saveQtcSettings } from '../../ecg/qtc'
+import { reprocessLeads, describeReprocessing } from '../../ecg/reprocess'
+import { assessLeads, describeQuality } from '../../ecg/signalQuality'
+import { REVERSALS, describeReversal, correctLeadMap } from '../../ecg/leadReversal'
+import { getDeviceProfile, loadDeviceProfileId, saveDeviceProfileId } from '../../ecg/deviceProfiles'
+import { AMPLITUDE_MODES, CALIBRATION_SECONDS, describeAmplitude, loadAmplitudeMode, saveAmplitudeMode, loadAmplitudeProfile, saveAmplitudeProfile } from '../../ecg/amplitude'
+
+const EMPTY_LEAD_DATA = { leadI: [], leadII: [], leadIII: [], aVR: [], aVL: [], aVF: [] }
+const VCG_HZ = 15 // VCG loop refresh rate
+const ANALYSIS_HZ = 4 // RiskAnalysis refresh rate
+const RECENT_BEATS = 120 // classified beats kept for the live markers and RiskAnalysis
+const RHYTHM_SECONDS = 30 // Lead II and classified beats RiskAnalysis measures over
+
+// Last ~2 seconds of every lead for the VCG and RiskAnalysis panels
+function selectRecentLeads(store, sampleRate) {
+  const n = Math.min(store.capacity, Math.floor(sampleRate * 2))
+  const lead = ch => Array.from(store.recent(ch, n), v => v || 0)
+  return { leadI: lead(0), leadII: lead(1), leadIII: lead(2), aVR: lead(3), aVL: lead(4), aVF: lead(5) }
+}
 
 export default function ECGVisualizer() {
   // Defaults and constants
@@ -11,8 +47,8 @@ export default function ECGVisualizer() {
   const DEFAULT_SECONDS = 5
   const CAPTURE_SECONDS = 15 // automatic report duration (seconds)
   const WAIT_SECONDS = 10 // wait time after capture before report ready
-  const ADC_MAX = 1023
-  const VREF = 5.0
+  const RHYTHM_STRIP_SECONDS = 10 // Lead II at full speed under the report's six leads
+  const REPORT_EVENT_LINES = 14 // rhythm events listed on the report page
 
   const [connected, setConnected] = useState(false)
   const [gain, setGain] = useState(1.0)
@@ -21,7 +57,14 @@ export default function ECGVisualizer() {
   const [pixelsPerMm, setPixelsPerMm] = useState(DEFAULT_PIXELS_PER_MM)
   const [secondsWindow, setSecondsWindow] = useState(DEFAULT_SECONDS)
   const [inputUnits, setInputUnits] = useState('mv') // 'mv' | 'adc'
-  const [filterOn, setFilterOn] = useState(true) // DSP bandpass (0.5–40 Hz)
+  const [deviceProfileId, setDeviceProfileId] = useState(loadDeviceProfileId) // board the page connects to (deviceProfiles.js)
+  const [filterOn, setFilterOn] = useState(true) // Butterworth filter per lead (see filterSettings.js)
+  const [filterSpec, setFilterSpec] = useState(loadFilterSettings)
+  const [powerline, setPowerline] = useState(loadPowerlineSettings) // mains notch
+  const [baselineMethod, setBaselineMethod] = useState(loadBaselineMethod) // 'filter' or a diagnostic correction
+  const [reportView, setReportView] = useState('live') // 'live' | 'zerophase' | 'raw'
+  const [overlayRaw, setOverlayRaw] = useState(false)
+  const [reprocessSpec, setReprocessSpec] = useState(null) // { filter, powerline, baseline } for the zero-phase view
   const [advancedReport, setAdvancedReport] = useState(true)
 
   // Final Report Recording (15 seconds + 10s wait)
@@ -32,7 +75,28 @@ export default function ECGVisualizer() {
   const [showReport, setShowReport] = useState(false)
   const [recordedData, setRecordedData] = useState(null)
   const [connectError, setConnectError] = useState(null)
-  const [liveLeadData, setLiveLeadData] = useState({ leadI: [], leadII: [], leadIII: [], aVR: [], aVL: [], aVF: [] })
+  const [malformed, setMalformed] = useState({ count: 0, last: null })
+  const [lostFrames, setLostFrames] = useState(0)
+  const [signalQuality, setSignalQuality] = useState(null) // per-lead quality index from the worker
+  const [electrodes, setElectrodes] = useState(null) // lead-off check: { leads, suspects, ok }
+  const [electrodeOverride, setElectrodeOverride] = useState(false) // user chose to record without a passing check
+  const [reversal, setReversal] = useState(null) // latest limb lead reversal check from the worker
+  const [leadCorrection, setLeadCorrection] = useState('none') // electrode swap undone live, in the worker
+  const [reportCorrection, setReportCorrection] = useState('none') // electrode swap undone on the recorded take
+  const [amplitudeMode, setAmplitudeMode] = useState(loadAmplitudeMode) // 'normalised' | 'absolute' (amplitude.js)
+  const [amplitude, setAmplitude] = useState(null) // { calibrated, reason } from the worker
+  const [amplitudeCalibration, setAmplitudeCalibration] = useState(null) // test signal run: null | 'running' | result
+  const [showAmplitudeDialog, setShowAmplitudeDialog] = useState(false)
+  const [clockHealth, setClockHealth] = useState(null) // sample clock drift / underruns, measured vs configured rate
+  const [autoRate, setAutoRate] = useState(false) // adopt the measured sample rate when it differs from the setting
+  const [qtcSettings, setQtcSettings] = useState(loadQtcSettings) // QTc formula and the patient's sex and age (qtc.js)
+  const [rhythmSettings, setRhythmSettings] = useState(loadRhythmSettings) // pause length for the report's rhythm events (rhythmEvents.js)
+  const [selectedEvent, setSelectedEvent] = useState(null) // rhythm event shown on the report's rhythm strip
+  const [sourceId, setSourceId] = useState(DEFAULT_SOURCE_ID)
+  const [showSourceDialog, setShowSourceDialog] = useState(false)
+  const [connectStatus, setConnectStatus] = useState(null) // progress text while opening (e.g. baud detection) or reconnecting
+  const [reconnecting, setReconnecting] = useState(false) // link dropped, waiting for the device to return
+  const [sourceDescription, setSourceDescription] = useState(null)
   const reportCanvasRef = useRef(null)
 
   const leads = ['Lead I', 'Lead II', 'Lead III', 'aVR', 'aVL', 'aVF']
@@ -44,17 +108,10 @@ export default function ECGVisualizer() {
   ]
 
   // Refs
-  const portRef = useRef(null)
-  const readerRef = useRef(null)
-  const bufferRef = useRef([]) // Float32Array per lead
-  const writeIndexRef = useRef(0)
-  const runningRef = useRef(false)
+  const streamRef = useRef(null)
+  const calibratingRef = useRef(false)
+  const storeRef = useRef(null) // ring of Float32Array per lead, filled by worker batches
   const pairCanvasRefs = useRef([]) // 3 canvases for 3 rows of paired leads
-  // DSP filter state per lead (one-pole HP + one-pole LP)
-  const hpStateRef = useRef(leads.map(() => ({ x1: 0, y1: 0 })))
-  const lpStateRef = useRef(leads.map(() => ({ y1: 0 })))
-  const hpAlphaRef = useRef(0)
-  const lpAlphaRef = useRef(0)
   // Recording via refs to avoid stale closures
   const recordRef = useRef({ active: false, data: null, count: 0 })
   const autoStopTriggeredRef = useRef(false)
@@ -62,17 +119,42 @@ export default function ECGVisualizer() {
   const sampleRateRef = useRef(sampleRate)
   const freezeDisplayRef = useRef(false)
   const frozenBufferRef = useRef(null)
+  const frozenStartRef = useRef(0) // sample index of the frozen snapshot's first sample
+  const beatsRef = useRef([]) // last RECENT_BEATS { r: sample index, label } from the worker (beatClassifier.js)
+  const gapEndRef = useRef(0) // sample index after the latest lost samples; no RR interval spans them
+  const rhythmStoreRef = useRef(null) // the last RHYTHM_SECONDS of every lead, which RiskAnalysis measures
+  const filterLabelRef = useRef(null) // filter in use, for the report header
+  const filterRef = useRef(null) // display filter spec ('off' when disabled), the starting point for reprocessing
+  const measuredLeadsRef = useRef(false) // six leads sent by the device, so Einthoven applies to recordings
+  const powerlineRef = useRef(powerline) // notch in use, stored with the recording
+  const baselineRef = useRef(baselineMethod) // baseline correction applied when a recording stops
+  const leadCorrectionRef = useRef(leadCorrection) // electrode swap corrected live, stored with the recording
+  const amplitudeRef = useRef(null) // calibrated or normalised, stored with the recording
+  const deviceKeyRef = useRef(null) // which calibration profile applies
+  const deviceProfileRef = useRef(null) // device profile in use, stored with the recording
+  const clockHealthRef = useRef(null) // measured rate, stored with the recording
+
+  // Throttled views for the analysis panels; parsing, filtering and beats run in the ECG worker
+  const vcgLeadData = useLeadSnapshot(storeRef, VCG_HZ, store => selectRecentLeads(store, sampleRateRef.current), EMPTY_LEAD_DATA)
+  // RiskAnalysis: Lead II since the latest gap, up to RHYTHM_SECONDS, with the worker's beats on it; start: its first sample index
+  const analysisLeadData = useLeadSnapshot(rhythmStoreRef, ANALYSIS_HZ, store => {
+    const start = Math.max(gapEndRef.current, store.lastSample - store.size + 1)
+    return { leadII: Array.from(store.recent(1, store.lastSample - start + 1)), start, beats: beatsRef.current.filter(b => b.r >= start) }
+  }, EMPTY_LEAD_DATA)
 
   // (re)initialize buffers when secondsWindow changes
   useEffect(() => {
     const samples = Math.max(1, Math.floor(sampleRate * secondsWindow))
-    bufferRef.current = leads.map(() => new Float32Array(samples))
-    writeIndexRef.current = 0
+    storeRef.current = createLeadStore(leads.length, samples)
   }, [secondsWindow, sampleRate])
 
+  useEffect(() => {
+    rhythmStoreRef.current = createLeadStore(leads.length, Math.round(sampleRate * RHYTHM_SECONDS))
+  }, [sampleRate])
+
   // Size helper to keep canvas attributes in sync with settings
   function sizeAllCanvases() {
-    const samples = bufferRef.current[0]?.length || Math.max(1, Math.floor(sampleRate * secondsWindow))
+    const samples = storeRef.current ? storeRef.current.capacity : Math.max(1, Math.floor(sampleRate * secondsWindow))
     const mmPerSample = DEFAULT_PAPER_SPEED / sampleRate
     const width = Math.max(800, Math.floor(samples * pixelsPerMm * mmPerSample))
     for (let i = 0; i < leadPairs.length; i++) {
@@ -87,35 +169,101 @@ export default function ECGVisualizer() {
   useEffect(() => { sizeAllCanvases() }, [pixelsPerMm, secondsWindow])
 
   // keep sampleRate in a ref for use inside serial loop
-  useEffect(() => { sampleRateRef.current = sampleRate }, [sampleRate])
+  useEffect(() => {
+    sampleRateRef.current = sampleRate
+    if (streamRef.current) streamRef.current.clock.setSampleRate(sampleRate)
+  }, [sampleRate])
+
+  // A stream at another rate than the setting mis-times the trace, the filters and every interval
+  useEffect(() => {
+    if (autoRate && clockHealth && clockHealth.drifting) setSampleRate(nominalRate(clockHealth.measuredRate))
+  }, [autoRate, clockHealth])
 
-  // Recompute filter coefficients when sampleRate changes
+  // Units and the display filter are applied in the worker. Diagnostic baseline
+  // correction replaces the IIR high-pass, whose phase shift distorts the ST segment.
+  const diagnosticBaseline = isDiagnosticBaseline(baselineMethod)
+  const activeFilter = !filterOn ? null : diagnosticBaseline ? withoutHighPass(filterSpec) : filterSpec
   useEffect(() => {
-    const dt = 1 / Math.max(1, sampleRateRef.current)
-    // High-pass ~0.5 Hz
-    const hpFc = 0.5
-    const hpRc = 1 / (2 * Math.PI * hpFc)
-    hpAlphaRef.current = hpRc / (hpRc + dt)
-    // Low-pass ~40 Hz
-    const lpFc = 40
-    const lpRc = 1 / (2 * Math.PI * lpFc)
-    lpAlphaRef.current = dt / (lpRc + dt)
-    // reset states when rate changes
-    hpStateRef.current = leads.map(() => ({ x1: 0, y1: 0 }))
-    lpStateRef.current = leads.map(() => ({ y1: 0 }))
+    if (streamRef.current) streamRef.current.pipeline.configure({ units: inputUnits })
+  }, [inputUnits])
+
+  useEffect(() => {
+    saveFilterSettings(filterSpec)
+    saveBaselineMethod(baselineMethod)
+    filterLabelRef.current = describeFilter(activeFilter)
+    filterRef.current = filterOn ? filterSpec : { ...filterSpec, type: 'off' }
+    baselineRef.current = baselineMethod
+    if (streamRef.current) streamRef.current.pipeline.configure({ filter: activeFilter })
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [sampleRate])
+  }, [filterOn, filterSpec, baselineMethod])
 
-  // Convert incoming value to mV (heuristic)
-  function valueToMv(v) {
-    if (typeof v !== 'number' || isNaN(v)) return 0
-    if (inputUnits === 'adc') {
-      // Treat v as raw ADC counts (0..1023) and convert to mV using VREF
-      const volts = (v * VREF) / ADC_MAX
-      return volts * 1000
-    }
-    // inputUnits === 'mv': already in millivolts
-    return v
+  useEffect(() => {
+    saveQtcSettings(qtcSettings)
+  }, [qtcSettings])
+
+  useEffect(() => {
+    saveRhythmSettings(rhythmSettings)
+  }, [rhythmSettings])
+
+  useEffect(() => {
+    savePowerlineSettings(powerline)
+    powerlineRef.current = powerline
+    if (streamRef.current) streamRef.current.pipeline.configure({ powerline })
+  }, [powerline])
+
+  // The worker re-checks once its window holds only corrected samples
+  useEffect(() => {
+    leadCorrectionRef.current = leadCorrection
+    setReversal(null)
+    if (streamRef.current) streamRef.current.pipeline.configure({ reversal: leadCorrection })
+  }, [leadCorrection])
+
+  // Absolute amplitudes need this device's calibration profile
+  function amplitudeSettings(mode = amplitudeMode) {
+    return { mode, profile: deviceKeyRef.current ? loadAmplitudeProfile(deviceKeyRef.current) : null }
+  }
+
+  useEffect(() => {
+    saveAmplitudeMode(amplitudeMode)
+    if (streamRef.current) streamRef.current.pipeline.configure({ amplitude: amplitudeSettings() })
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [amplitudeMode])
+
+  function handleAmplitude(state) {
+    amplitudeRef.current = state
+    setAmplitude(state)
+  }
+
+  function startAmplitudeCalibration(referenceMv) {
+    if (!streamRef.current) return
+    setAmplitudeCalibration('running')
+    streamRef.current.pipeline.calibrateAmplitude(CALIBRATION_SECONDS, referenceMv)
+  }
+
+  // A saved profile switches the page to absolute millivolts
+  function saveAmplitudeCalibration(profile) {
+    saveAmplitudeProfile(deviceKeyRef.current, profile)
+    setShowAmplitudeDialog(false)
+    setAmplitudeCalibration(null)
+    if (amplitudeMode !== 'absolute') setAmplitudeMode('absolute')
+    else if (streamRef.current) streamRef.current.pipeline.configure({ amplitude: amplitudeSettings() })
+  }
+
+  // Corner frequencies must stay positive; the design clamps them below Nyquist
+  function updateFilter(change) {
+    setFilterSpec(prev => {
+      const next = { ...prev, ...change }
+      if (!(next.low > 0) || !(next.high > 0)) return prev
+      return next
+    })
+  }
+
+  function updateReprocessFilter(change) {
+    setReprocessSpec(prev => {
+      const filter = { ...prev.filter, ...change }
+      if (!(filter.low > 0) || !(filter.high > 0)) return prev
+      return { ...prev, filter }
+    })
   }
 
   function drawGrid(ctx, width, height, pixelsPerMm) {
@@ -136,7 +284,9 @@ export default function ECGVisualizer() {
   }
 
   function drawAll() {
-    const samples = bufferRef.current[0]?.length || 1
+    const store = storeRef.current
+    if (!store) return
+    const samples = store.capacity
     const mmPerSample = DEFAULT_PAPER_SPEED / sampleRate
     const xStep = pixelsPerMm * mmPerSample
 
@@ -158,18 +308,33 @@ export default function ECGVisualizer() {
         const frozen = frozenBufferRef.current
         drawLeadTrace(ctx, leftLeadIdx, 0, halfW, h, samples, xStep, leads[leftLeadIdx], frozen[leftLeadIdx])
         drawLeadTrace(ctx, rightLeadIdx, halfW, halfW, h, samples, xStep, leads[rightLeadIdx], frozen[rightLeadIdx])
+        if (leftLeadIdx === 1) drawBeatMarkers(ctx, 0, halfW, xStep, frozenStartRef.current)
       } else {
         // Draw left lead (e.g., Lead I)
-        drawLeadTrace(ctx, leftLeadIdx, 0, halfW, h, samples, xStep, leads[leftLeadIdx])
+        drawLeadTrace(ctx, leftLeadIdx, 0, halfW, h, samples, xStep, leads[leftLeadIdx], null, store)
 
         // Draw right lead (e.g., aVL)
-        drawLeadTrace(ctx, rightLeadIdx, halfW, halfW, h, samples, xStep, leads[rightLeadIdx])
+        drawLeadTrace(ctx, rightLeadIdx, halfW, halfW, h, samples, xStep, leads[rightLeadIdx], null, store)
+        if (leftLeadIdx === 1) drawBeatMarkers(ctx, 0, halfW, xStep, store.lastSample - samples + 1)
       }
     }
   }
 
+  // Class of each beat (beatClassifier.js) above Lead II; firstSample: sample index at xOffset
+  function drawBeatMarkers(ctx, xOffset, width, xStep, firstSample) {
+    ctx.font = 'bold 11px Inter, system-ui, Arial'
+    ctx.textAlign = 'center'
+    for (const { r, label } of beatsRef.current) {
+      const x = xOffset + (r - firstSample) * xStep
+      if (x < xOffset || x > xOffset + width) continue
+      ctx.fillStyle = BEAT_COLORS[label]
+      ctx.fillText(label === 'Q' ? '?' : label, x, 26)
+    }
+    ctx.textAlign = 'start'
+  }
+
   // samplesArr is an optional plain array used when drawing a frozen snapshot.
-  function drawLeadTrace(ctx, leadIdx, xOffset, width, height, samples, xStep, leadName, samplesArr) {
+  function drawLeadTrace(ctx, leadIdx, xOffset, width, height, samples, xStep, leadName, samplesArr, store) {
     const baselineY = Math.floor(height / 2)
 
     // midline - subtle gray dashed
@@ -209,60 +374,81 @@ export default function ECGVisualizer() {
     ctx.lineJoin = 'round'
     ctx.beginPath()
     let x = xOffset
-    if (samplesArr && Array.isArray(samplesArr)) {
-      // draw from frozen array sequentially
-      for (let s = 0; s < samplesArr.length; s++) {
-        const mv = samplesArr[s] || 0
-        const mm = mv * DEFAULT_MM_PER_MV * gain
-        const y = baselineY - mm * pixelsPerMm
-        if (s === 0) ctx.moveTo(x, y)
-        else ctx.lineTo(x, y)
+    let penUp = true
+    const gapXs = []
+    const yOf = mv => baselineY - mv * DEFAULT_MM_PER_MV * gain * pixelsPerMm
+    // Lost frames are stored as NaN: lift the pen and mark the gap instead of joining across it
+    const plot = (v) => {
+      if (Number.isNaN(v)) { penUp = true; gapXs.push(x); return }
+      const y = yOf(v || 0)
+      if (penUp) ctx.moveTo(x, y)
+      else ctx.lineTo(x, y)
+      penUp = false
+    }
+    const valueAt = samplesArr && Array.isArray(samplesArr)
+      ? s => samplesArr[s] // frozen snapshot, oldest first
+      : s => store.data[leadIdx][(store.writeIndex + s) % samples] // live ring, oldest first
+    const count = samplesArr && Array.isArray(samplesArr) ? samplesArr.length : samples
+    const maxX = xOffset + width + 2
+    if (xStep >= 1) {
+      for (let s = 0; s < count && x <= maxX; s++) {
+        plot(valueAt(s))
         x += xStep
-        if (x > xOffset + width + 2) break
       }
     } else {
-      // live ring buffer draw
-      for (let s = 0; s < samples; s++) {
-        const idx = (writeIndexRef.current + s) % samples
-        const mv = bufferRef.current[leadIdx][idx] || 0
-        const mm = mv * DEFAULT_MM_PER_MV * gain
-        const y = baselineY - mm * pixelsPerMm
-        if (s === 0) ctx.moveTo(x, y)
-        else ctx.lineTo(x, y)
-        x += xStep
-        if (x > xOffset + width + 2) break
+      // More samples than pixels (high rates): draw each pixel column as its min–max span
+      const perColumn = 1 / xStep
+      for (let col = 0; x <= maxX; col++, x += 1) {
+        const from = Math.floor(col * perColumn)
+        if (from >= count) break
+        const to = Math.min(count, Math.floor((col + 1) * perColumn))
+        let lo = Infinity
+        let hi = -Infinity
+        let gap = false
+        for (let s = from; s < to; s++) {
+          const v = valueAt(s)
+          if (Number.isNaN(v)) { gap = true; continue }
+          if (v < lo) lo = v
+          if (v > hi) hi = v
+        }
+        if (gap) plot(NaN)
+        if (lo > hi) continue
+        plot(lo)
+        if (hi !== lo) ctx.lineTo(x, yOf(hi))
       }
     }
     ctx.stroke()
-  }
-
-  // One-pole high-pass followed by one-pole low-pass per-lead
-  function filterSample(leadIdx, x) {
-    // high-pass: y[n] = a*(y[n-1] + x[n] - x[n-1])
-    const aHP = hpAlphaRef.current
-    const stHP = hpStateRef.current[leadIdx]
-    const yHP = aHP * (stHP.y1 + x - stHP.x1)
-    stHP.x1 = x
-    stHP.y1 = yHP
-    // low-pass: y[n] = y[n-1] + a*(x - y[n-1]) with x=yHP
-    const aLP = lpAlphaRef.current
-    const stLP = lpStateRef.current[leadIdx]
-    const y = stLP.y1 + aLP * (yHP - stLP.y1)
-    stLP.y1 = y
-    return y
+    if (gapXs.length) {
+      ctx.fillStyle = 'rgba(107, 114, 128, 0.25)'
+      for (const gx of gapXs) ctx.fillRect(gx, 0, Math.max(1, xStep), height)
+    }
   }
 
   // animation - always run so live ECG continues while report modal is open
+  // Frames where no batch arrived (batches come ~30 times a second) skip the redraw
   useEffect(() => {
     let raf = null
-    function tick() { drawAll(); raf = requestAnimationFrame(tick) }
+    let drawnStore = null
+    let drawnVersion = -1
+    let drawnFrozen = null
+    function tick() {
+      const store = storeRef.current
+      if (store !== drawnStore || (store && store.version !== drawnVersion) || freezeDisplayRef.current !== drawnFrozen) {
+        drawAll()
+        drawnStore = store
+        drawnVersion = store ? store.version : -1
+        drawnFrozen = freezeDisplayRef.current
+      }
+      raf = requestAnimationFrame(tick)
+    }
     raf = requestAnimationFrame(tick)
     return () => { if (raf) cancelAnimationFrame(raf) }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [pixelsPerMm, secondsWindow, gain])
+  }, [pixelsPerMm, secondsWindow, gain, sampleRate])
 
   // Draw report to a given canvas (shared by modal and export)
-  function drawReportPage(canvas, data) {
+  // rhythm: Lead II of the whole take analysed (reportRhythm); focus: the event the rhythm strip shows
+  function drawReportPage(canvas, data, rhythm = null, focus = null) {
     const ctx = canvas.getContext('2d')
     const ppm = 6 // pixels per mm - realistic ECG paper resolution
     const paperWidth = 280 // mm - standard ECG strip width
@@ -311,12 +497,27 @@ export default function ECGVisualizer() {
 
     ctx.font = '12px Arial, Helvetica, sans-serif'
     const dateStr = new Date().toLocaleString()
-    ctx.fillText(`Date: ${dateStr}`, margin, margin + 30)
+    const qualityLabel = meta && meta.quality ? `  |  Signal quality: ${describeQuality(meta.quality)}` : ''
+    const corrections = meta ? [[meta.reversal, 'live'], [meta.reportReversal, 'in report']].filter(([r]) => r && r !== 'none') : []
+    const reversalLabel = corrections.length ? `  |  Electrodes: ${corrections.map(([r, when]) => `${describeReversal(r)}, corrected ${when}`).join('; ')}` : ''
+    ctx.fillText(`Date: ${dateStr}${qualityLabel}${reversalLabel}`, margin, margin + 30)
 
     // Technical parameters
-    ctx.fillText(`Time Domain: 25 mm/s  |  Amplitude: 10 mm/mV  |  Sample Rate: ${sampleRate} Hz`, margin, margin + 44)
+    // Normalised amplitudes are device units, not millivolts
+    const calibrated = meta && meta.amplitude ? meta.amplitude.calibrated : inputUnits === 'mv'
+    const amplitudeLabel = calibrated ? '10 mm/mV (calibrated)' : '10 mm/unit (normalised by the device, not mV)'
+    const deviceLabel = meta && meta.device ? `  |  Device: ${meta.device}` : ''
+    const measuredLabel = meta && meta.measuredRate ? ` (measured ${meta.measuredRate.toFixed(1)} Hz)` : ''
+    ctx.fillText(`Time Domain: 25 mm/s  |  Amplitude: ${amplitudeLabel}  |  Sample Rate: ${sampleRate} Hz${measuredLabel}${deviceLabel}`, margin, margin + 44)
     const recordingLabelSeconds = meta && meta.excerptSeconds ? `${meta.excerptSeconds}` : recordedSeconds
-    ctx.fillText(`Frequency Domain: Filter 0.5–40 Hz (Bandpass)  |  Recording: ${recordingLabelSeconds} seconds`, margin, margin + 58)
+    const lostLabel = meta && meta.lostFrames ? `  |  Lost frames: ${meta.lostFrames} (gaps marked)` : ''
+    const filterLabel = meta && meta.filter ? meta.filter : describeFilter(activeFilter)
+    const notchLabel = describePowerline(meta && meta.powerline ? meta.powerline : powerline)
+    const baselineLabel = describeBaseline(meta && meta.baseline ? meta.baseline : baselineMethod)
+    const overlayLabel = data.__overlay ? '  |  Raw samples in blue' : ''
+    // A reprocessed strip names all its stages (describeReprocessing)
+    const processingLabel = meta && meta.processing ? meta.processing : `Filter ${filterLabel}  |  Notch: ${notchLabel}  |  Baseline: ${baselineLabel}`
+    ctx.fillText(`Frequency Domain: ${processingLabel}  |  Recording: ${recordingLabelSeconds} seconds${lostLabel}${overlayLabel}`, margin, margin + 58)
 
     // Calibration pulse 1mV
     const calX = margin
@@ -331,7 +532,7 @@ export default function ECGVisualizer() {
     ctx.lineTo(calX + 5 * ppm, calY + 10 * ppm)
     ctx.lineTo(calX + 5 * ppm, calY)
     ctx.stroke()
-    ctx.fillText('1mV', calX + 6 * ppm, calY + 6 * ppm)
+    ctx.fillText(calibrated ? '1mV' : '1 unit', calX + 6 * ppm, calY + 6 * ppm)
 
     // Seconds markers across header
     const sampleLead = data['I'] || data['II'] || data['III'] || data['aVR'] || data['aVL'] || data['aVF']
@@ -383,6 +584,8 @@ export default function ECGVisualizer() {
     const gapMm = 6
     const gapPx = gapMm * ppm
     const colWidth = Math.floor((innerWidth - gapPx) / 2)
+    let intervals = null
+    let ectopy = null
     for (let row = 0; row < pairList.length; row++) {
       const [leftIdx, rightIdx] = pairList[row]
       const leftShort = shortKeys[leftIdx]
@@ -392,56 +595,210 @@ export default function ECGVisualizer() {
       const yBase = startY + row * leadHeight + (leadHeight / 2)
       const leftX = margin
       const rightX = margin + colWidth + gapPx
+      if (leftShort === 'II' && norm['II'] && focus) drawReportEvent(ctx, focus, reportTimeAxis(norm['II'].length, leftX, colWidth, ppm, rhythm.offset), yBase, ppm, true)
+      if (data.__overlay) {
+        drawReportLeadStrip(ctx, data.__overlay[leftShort] || null, leftLabel, leftX, yBase, colWidth, ppm, true)
+        drawReportLeadStrip(ctx, data.__overlay[rightShort] || null, rightLabel, rightX, yBase, colWidth, ppm, true)
+      }
       drawReportLeadStrip(ctx, norm[leftShort] || null, leftLabel, leftX, yBase, colWidth, ppm)
       drawReportLeadStrip(ctx, norm[rightShort] || null, rightLabel, rightX, yBase, colWidth, ppm)
+      // Markers from the whole take's analysis, where the printed strip starts in it
+      if (leftShort === 'II' && norm['II'] && rhythm) {
+        drawReportFiducials(ctx, rhythm.waves, rhythm.labels, norm['II'].length, leftX, yBase, colWidth, ppm, rhythm.offset)
+        intervals = rhythm.intervals
+        ectopy = rhythm.ectopy
+      }
+    }
+
+    // Lead II of the whole take at 25 mm/s around the selected rhythm event (from the start without one), then the events
+    if (rhythm) {
+      const ii = rhythm.take
+      const span = Math.min(ii.length, Math.round(RHYTHM_STRIP_SECONDS * sampleRate))
+      const centre = focus ? (focus.start + focus.end) / 2 : 0
+      const from = Math.max(0, Math.min(ii.length - span, Math.round(centre / sampleRate - RHYTHM_STRIP_SECONDS / 2) * sampleRate))
+      const yBase = startY + pairList.length * leadHeight + (leadHeight / 2)
+      const axis = reportTimeAxis(span, margin, innerWidth, ppm, from)
+      for (const event of rhythm.events) drawReportEvent(ctx, event, axis, yBase, ppm, event === focus)
+      drawReportLeadStrip(ctx, ii.slice(from, from + span), `Lead II  ${(from / sampleRate).toFixed(0)}–${((from + span) / sampleRate).toFixed(0)} s`, margin, yBase, innerWidth, ppm)
+      drawReportFiducials(ctx, rhythm.waves, rhythm.labels, span, margin, yBase, innerWidth, ppm, from)
+
+      let y = yBase + (leadHeight / 2) + 6 * ppm
+      ctx.fillStyle = '#000'
+      ctx.font = 'bold 12px Arial, Helvetica, sans-serif'
+      ctx.fillText(`Rhythm events (Lead II, pauses over ${rhythmSettings.pauseSeconds} s): ${rhythm.events.length || 'none'}`, margin, y)
+      ctx.font = '12px Arial, Helvetica, sans-serif'
+      for (const event of rhythm.events.slice(0, REPORT_EVENT_LINES)) {
+        y += 16
+        ctx.fillStyle = SEVERITY_COLORS[event.severity]
+        ctx.fillText(`${event === focus ? '▶ ' : ''}${describeRhythmEvent(event, sampleRate)}`, margin, y)
+      }
+      if (rhythm.events.length > REPORT_EVENT_LINES) {
+        ctx.fillStyle = '#000'
+        ctx.fillText(`… and ${rhythm.events.length - REPORT_EVENT_LINES} more`, margin, y + 16)
+      }
+    }
+
+    // Measured intervals and beat counts under the header (Lead II of the whole take, medians over its beats)
+    if (intervals) {
+      const ms = value => (value === null ? '--' : `${Math.round(value)} ms`)
+      const st = intervals.st === null ? '--' : calibrated ? `${(intervals.st * 10).toFixed(1)} mm` : `${intervals.st.toFixed(2)} units`
+      ctx.fillStyle = '#000'
+      ctx.font = '12px Arial, Helvetica, sans-serif'
+      const qtc = intervals.qtc ? intervals.qtc[qtcSettings.formula] : null
+      ctx.fillText(`Lead II, ${(rhythm.take.length / sampleRate).toFixed(1)} s: ${describeEctopy(ectopy)}  |  PR ${ms(intervals.pr)}  |  QRS ${ms(intervals.qrs)}  |  QT ${ms(intervals.qt)}  |  QTc ${ms(qtc)}  |  ST ${st}  |  Markers: P, QRS onset / J, T peak / end, beat class N / S / V`, margin, margin + 72)
+      // The formula used, its limits for the patient and the others alongside
+      const others = intervals.qtc ? QTC_FORMULAS.filter(f => f.value !== qtcSettings.formula).map(f => `${f.label} ${ms(intervals.qtc[f.value])}`).join('  |  ') : ''
+      ctx.fillText(`QTc: ${describeQtcSettings(qtcSettings)}${others ? `  |  ${others}` : ''}`, margin, margin + 86)
+    }
+  }
+
+  // x of a sample index on a report strip of `length` samples from sample `offset` (drawReportLeadStrip's time scale)
+  function reportTimeAxis(length, xStart, width, ppm, offset = 0) {
+    const timeScale = Math.min(1.0, ((width / ppm) - 5) / (length / sampleRate * 25))
+    return {
+      x: index => xStart + ((index - offset) / sampleRate) * 25 * timeScale * ppm,
+      shows: index => index >= offset && index < offset + length,
+      first: offset,
+      last: offset + length - 1
     }
   }
 
+  // Shaded span of a rhythm event (rhythmEvents.js) behind a report strip, cut to the strip; focus: stronger and named below it
+  function drawReportEvent(ctx, event, axis, yBase, ppm, focus) {
+    if (event.end < axis.first || event.start > axis.last) return
+    const x0 = Math.max(axis.x(event.start) - 2 * ppm, axis.x(axis.first))
+    const x1 = Math.min(axis.x(event.end) + 2 * ppm, axis.x(axis.last))
+    ctx.globalAlpha = focus ? 0.25 : 0.12
+    ctx.fillStyle = SEVERITY_COLORS[event.severity]
+    ctx.fillRect(x0, yBase - 12 * ppm, x1 - x0, 24 * ppm)
+    ctx.globalAlpha = 1
+    if (!focus) return
+    ctx.font = 'bold 11px Arial, Helvetica, sans-serif'
+    ctx.fillText(EVENT_TYPES[event.type], x0 + 2, yBase + 11 * ppm)
+  }
+
+  // Delineation markers (delineation.js) and beat classes (beatClassifier.js) over a report strip, on its time scale;
+  // offset: sample index of the strip's first sample
+  function drawReportFiducials(ctx, waves, labels, length, xStart, yBase, width, ppm, offset = 0) {
+    const axis = reportTimeAxis(length, xStart, width, ppm, offset)
+    const marks = [
+      ['#059669', [['pOnset', ''], ['pPeak', 'P'], ['pOffset', '']]],
+      ['#2563eb', [['qrsOnset', 'Q'], ['j', 'J']]],
+      ['#7c3aed', [['tPeak', 'T'], ['tEnd', '']]]
+    ]
+    ctx.lineWidth = 1.2
+    ctx.font = 'bold 10px Arial, Helvetica, sans-serif'
+    ctx.textAlign = 'center'
+    waves.forEach((wave, k) => {
+      if (!axis.shows(wave.r)) return
+      ctx.fillStyle = BEAT_COLORS[labels[k]]
+      ctx.fillText(labels[k] === 'Q' ? '?' : labels[k], axis.x(wave.r), yBase - 12 * ppm)
+      for (const [color, points] of marks) {
+        ctx.strokeStyle = color
+        ctx.fillStyle = color
+        for (const [key, label] of points) {
+          if (wave[key] === null || !axis.shows(wave[key])) continue
+          const x = axis.x(wave[key])
+          if (label === 'P' || label === 'T') {
+            ctx.fillText(label, x, yBase - 9 * ppm)
+            continue
+          }
+          ctx.beginPath(); ctx.moveTo(x, yBase - 8 * ppm); ctx.lineTo(x, yBase + 4 * ppm); ctx.stroke()
+          if (label) ctx.fillText(label, x, yBase + 6 * ppm)
+        }
+      }
+    })
+    ctx.textAlign = 'start'
+  }
+
+  // The strips the report shows: as recorded (live filters), the raw samples,
+  // or the raw samples reprocessed offline with zero-phase filters.
+  // An electrode swap noticed after the fact is undone on every version.
+  const reportData = useMemo(() => {
+    if (!recordedData) return recordedData
+    const recording = reportCorrection === 'none' ? recordedData : {
+      ...normalizeReportLeads(correctLeadMap(recordedData, leads, reportCorrection)),
+      __meta: { ...recordedData.__meta, reportReversal: reportCorrection },
+      __raw: recordedData.__raw && correctLeadMap(recordedData.__raw, leads, reportCorrection),
+      __take: recordedData.__take && correctLeadMap(recordedData.__take, leads, reportCorrection)
+    }
+    if (!recording.__raw || (reportView === 'live' && !overlayRaw)) return recording
+    const meta = recording.__meta
+    const cut = take => {
+      const snap = {}
+      leads.forEach(ln => { snap[ln] = take[ln].slice(meta.range[0], meta.range[1]) })
+      return normalizeReportLeads(snap)
+    }
+    const raw = cut(recording.__raw)
+    let data = recording
+    if (reportView === 'raw') {
+      data = { ...raw, __meta: { ...meta, filter: 'None (raw samples)', powerline: { mains: 'off' }, baseline: 'none' }, __take: recording.__raw }
+    } else if (reportView === 'zerophase' && reprocessSpec) {
+      const reprocessed = reprocessLeads(recording.__raw, meta.sampleRate, reprocessSpec)
+      data = { ...cut(reprocessed), __meta: { ...meta, processing: describeReprocessing(reprocessSpec), powerline: reprocessSpec.powerline, baseline: reprocessSpec.baseline }, __take: reprocessed }
+    }
+    return overlayRaw && reportView !== 'raw' ? { ...data, __overlay: raw } : data
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [recordedData, reportView, overlayRaw, reprocessSpec, reportCorrection, advancedReport])
+
+  // Lead II of the whole take in the report's version: beats, waves, classes, intervals and rhythm events,
+  // with where the printed excerpt starts in it
+  const reportRhythm = useMemo(() => {
+    const take = reportData && reportData.__take && reportData.__take['Lead II']
+    if (!take) return null
+    return { ...analyseRecording(take, sampleRate, rhythmSettings), take, offset: reportData.__meta.range[0] }
+  }, [reportData, sampleRate, rhythmSettings])
+
+  useEffect(() => { setSelectedEvent(null) }, [reportRhythm])
+
   // When report is shown, render into the visible canvas
   useEffect(() => {
-    if (!showReport || !recordedData || !reportCanvasRef.current) return
-    drawReportPage(reportCanvasRef.current, recordedData)
-  }, [showReport, recordedData, sampleRate, gain])
+    if (!showReport || !reportData || !reportCanvasRef.current) return
+    drawReportPage(reportCanvasRef.current, reportData, reportRhythm, selectedEvent)
+  }, [showReport, reportData, sampleRate, gain, qtcSettings, reportRhythm, selectedEvent])
 
-  function drawReportLeadStrip(ctx, samples, leadName, xStart, yBase, width, ppm) {
+  // overlay: thin blue trace under the main one (raw samples for comparison), without label or ticks
+  function drawReportLeadStrip(ctx, samples, leadName, xStart, yBase, width, ppm, overlay = false) {
     if (!samples || samples.length === 0) return
 
-    // Lead label - BOLD BLACK, proper names
-    ctx.fillStyle = '#000000'
-    ctx.font = 'bold 16px Arial, Helvetica, sans-serif'
-    ctx.fillText(leadName, xStart + 2, yBase - 12)
-
-    // Baseline reference
-    ctx.strokeStyle = 'rgba(0,0,0,0.15)'
-    ctx.lineWidth = 0.8
-    ctx.setLineDash([4, 4])
-    ctx.beginPath()
-    ctx.moveTo(xStart, yBase)
-    ctx.lineTo(xStart + width, yBase)
-    ctx.stroke()
-    ctx.setLineDash([])
-
-    // Per-lead second ticks at baseline (25mm intervals)
-    const mmPerSec = 25
-    const totalSeconds = samples.length / sampleRate
-    const totalWidthMm = totalSeconds * mmPerSec
-    const availWidthMm = (width / ppm) - 5
-    const timeScale = Math.min(1.0, availWidthMm / totalWidthMm)
-    ctx.strokeStyle = 'rgba(0,0,0,0.5)'
-    ctx.lineWidth = 1
-    for (let s = 0; s <= Math.ceil(totalSeconds); s++) {
-      const xMm = s * mmPerSec * timeScale
-      const x = xStart + (xMm * ppm)
-      ctx.beginPath(); ctx.moveTo(x, yBase - 6); ctx.lineTo(x, yBase + 6); ctx.stroke()
+    if (!overlay) {
+      // Lead label - BOLD BLACK, proper names
+      ctx.fillStyle = '#000000'
+      ctx.font = 'bold 16px Arial, Helvetica, sans-serif'
+      ctx.fillText(leadName, xStart + 2, yBase - 12)
+
+      // Baseline reference
+      ctx.strokeStyle = 'rgba(0,0,0,0.15)'
+      ctx.lineWidth = 0.8
+      ctx.setLineDash([4, 4])
+      ctx.beginPath()
+      ctx.moveTo(xStart, yBase)
+      ctx.lineTo(xStart + width, yBase)
+      ctx.stroke()
+      ctx.setLineDash([])
+
+      // Per-lead second ticks at baseline (25mm intervals)
+      const mmPerSec = 25
+      const totalSeconds = samples.length / sampleRate
+      const totalWidthMm = totalSeconds * mmPerSec
+      const availWidthMm = (width / ppm) - 5
+      const timeScale = Math.min(1.0, availWidthMm / totalWidthMm)
+      ctx.strokeStyle = 'rgba(0,0,0,0.5)'
+      ctx.lineWidth = 1
+      for (let s = 0; s <= Math.ceil(totalSeconds); s++) {
+        const xMm = s * mmPerSec * timeScale
+        const x = xStart + (xMm * ppm)
+        ctx.beginPath(); ctx.moveTo(x, yBase - 6); ctx.lineTo(x, yBase + 6); ctx.stroke()
+      }
     }
 
     // ECG WAVEFORM - THICK BLACK with ANTI-ALIASING
-    ctx.strokeStyle = '#000000'
-    ctx.lineWidth = 2.5
+    ctx.strokeStyle = overlay ? 'rgba(37, 99, 235, 0.6)' : '#000000'
+    ctx.lineWidth = overlay ? 1.2 : 2.5
     ctx.lineCap = 'round'
     ctx.lineJoin = 'round'
-    ctx.shadowColor = 'rgba(0,0,0,0.2)'
-    ctx.shadowBlur = 1
+    ctx.shadowColor = overlay ? 'transparent' : 'rgba(0,0,0,0.2)'
+    ctx.shadowBlur = overlay ? 0 : 1
 
     ctx.beginPath()
 
@@ -453,232 +810,260 @@ export default function ECGVisualizer() {
     // If recording is longer than available width, compress time scale proportionally
     const timeScale2 = Math.min(1.0, availWidthMm2 / totalWidthMm2)
 
+    let penUp = true
+    const gapXs = []
     for (let i = 0; i < samples.length; i++) {
       const timeSec = i / sampleRate
       const xMm = timeSec * mmPerSec2 * timeScale2
       const xPos = xStart + (xMm * ppm)
 
       const mv = samples[i]
+      // Gap marker: lost frames are NaN, never joined across
+      if (Number.isNaN(mv)) { penUp = true; gapXs.push(xPos); continue }
       const yMm = mv * DEFAULT_MM_PER_MV * gain // 10mm per mV standard
       const yPos = yBase - (yMm * ppm)
 
-      if (i === 0) {
+      if (penUp) {
         ctx.moveTo(xPos, yPos)
       } else {
         ctx.lineTo(xPos, yPos)
       }
+      penUp = false
     }
     ctx.stroke()
+    if (gapXs.length && !overlay) {
+      ctx.fillStyle = 'rgba(107, 114, 128, 0.3)'
+      const gapW = Math.max(1, (mmPerSec2 * timeScale2 * ppm) / sampleRate)
+      for (const gx of gapXs) ctx.fillRect(gx, yBase - 10 * ppm, gapW, 20 * ppm)
+    }
     ctx.shadowColor = 'transparent'
     ctx.shadowBlur = 0
   }
 
-  // connect via Web Serial
-  async function connect() {
-    setConnectError(null)
-    if (!('serial' in navigator)) { setConnectError('Web Serial API not available in this browser. Use Chrome or Edge.'); alert('Use Chrome or Edge with Web Serial enabled'); return }
-    try {
-      // Helpful diagnostic: list already-authorized ports
-      if (navigator.serial.getPorts) {
-        try { const existing = await navigator.serial.getPorts(); console.debug('Previously authorized serial ports:', existing.length) } catch (e) { console.debug('getPorts failed', e) }
+  // Calibration state is driven by the device's START / CAL_DONE messages
+  function handleCalibration(state) {
+    calibratingRef.current = state === 'running'
+    setIsCalibrating(state === 'running')
+  }
+
+  // Device announced its stream format (#META line)
+  function handleMeta(header) {
+    if (header.sampleRate) setSampleRate(header.sampleRate)
+    if (header.units === 'mv' || header.units === 'adc') setInputUnits(header.units)
+    // A device that names itself keeps its profile across ports and bridges
+    if (header.device && deviceKeyRef.current !== `device:${header.device}`) {
+      deviceKeyRef.current = `device:${header.device}`
+      if (streamRef.current) streamRef.current.pipeline.configure({ amplitude: amplitudeSettings() })
+    }
+  }
+
+  function handleClock(health) {
+    clockHealthRef.current = health
+    setClockHealth(health)
+  }
+
+  function handleMalformed(record) {
+    setMalformed(prev => ({ count: prev.count + 1, last: `${record.reason}: ${record.line.slice(0, 40)}` }))
+  }
+
+  // Handle one batch of processed samples from the ECG worker
+  // (calibration samples are already dropped, units converted and the filter applied)
+  function handleBatch(batch) {
+    const record = recordRef.current
+    // Recording time is counted in samples from here, gaps included
+    if (record.active && record.startSample === null) record.startSample = batch.firstSample - batch.lost
+
+    // Lost frames (binary sequence gap) are stored as NaN so the trace and report show a gap
+    if (batch.lost > 0) {
+      insertGap(batch.lost)
+      gapEndRef.current = batch.firstSample
+    }
+
+    // Recording for final report (continuous until user stops)
+    if (record.active && record.data) {
+      leads.forEach((ln, idx) => {
+        const out = record.data[ln]
+        const values = batch.leads[idx]
+        for (let s = 0; s < batch.count; s++) out.push(values[s])
+        // Unfiltered copy for offline reprocessing in the report
+        const rawOut = record.raw[ln]
+        const rawValues = batch.raw ? batch.raw[idx] : values
+        for (let s = 0; s < batch.count; s++) rawOut.push(rawValues[s])
+      })
+      record.count += batch.count
+      // Duration from the sample clock, so event-loop stalls don't shorten the capture
+      const duration = (batch.firstSample + batch.count - record.startSample) / sampleRateRef.current
+      setRecordingProgress(duration)
+      // Auto-stop when we reach CAPTURE_SECONDS seconds (guard to call once)
+      if (duration >= CAPTURE_SECONDS && !autoStopTriggeredRef.current) {
+        autoStopTriggeredRef.current = true
+        try { stopRecording({ auto: true, captureSecond: CAPTURE_SECONDS }) } catch (e) { console.warn('auto-stop failed', e) }
       }
-      const port = await navigator.serial.requestPort()
-      await port.open({ baudRate: 115200 })
-      portRef.current = port
-      setConnected(true)
-      const decoder = new TextDecoderStream()
-      port.readable.pipeTo(decoder.writable)
-      const reader = decoder.readable.getReader()
-      readerRef.current = reader
-      runningRef.current = true
-      // enter calibration mode on connect; Arduino typically calibrates for ~5s
-      setIsCalibrating(true)
-      // fallback: turn off calibration after 5s unless device announces completion
-      const calibTimeout = setTimeout(() => { setIsCalibrating(false) }, 5000)
-      let textBuffer = ''
-
-      while (runningRef.current) {
-        const { value, done } = await reader.read()
-        if (done) break
-        textBuffer += value
-        const lines = textBuffer.split('\n')
-        textBuffer = lines.pop() || ''
-        for (let line of lines) {
-          line = line.trim(); if (!line) continue
-          // Detect calibration logs from Arduino (case-insensitive)
-          const lower = line.toLowerCase()
-          if (lower.includes('calibration complete') || lower.includes('calibrated') || lower.includes('calibration done')) {
-            setIsCalibrating(false)
-            clearTimeout(calibTimeout)
-            continue
-          }
-          if (lower.includes('starting') && lower.includes('calibration')) {
-            setIsCalibrating(true)
-            continue
-          }
-          // Robust parse: accept JSON, 6-value CSV, or 2-value CSV (Lead I, Lead II)
-          let arr = null
-          let parsedJson = null
-          try { parsedJson = JSON.parse(line) } catch (_e) { parsedJson = null }
-          if (parsedJson && typeof parsedJson === 'object') {
-            const keys = ['lead1', 'lead2', 'lead3', 'avr', 'avl', 'avf']
-            if (keys.every(k => k in parsedJson)) {
-              arr = keys.map(k => parseFloat(parsedJson[k]))
-            }
-          }
-          if (!arr) {
-            const nums = (line.match(/-?\d+(?:\.\d+)?/g) || []).map(v => parseFloat(v))
-            if (nums.length >= 6) {
-              arr = nums.slice(0, 6)
-            } else if (nums.length === 2) {
-              // Build derived leads from Lead I (LA-RA) and Lead II (LL-RA)
-              const lead1 = nums[0]
-              const lead2 = nums[1]
-              const lead3 = lead2 - lead1
-              const ra = 0.0, la = lead1, ll = lead2
-              const avr = ra - (la + ll) / 2
-              const avl = la - (ra + ll) / 2
-              const avf = ll - (ra + la) / 2
-              arr = [lead1, lead2, lead3, avr, avl, avf]
-            }
-          }
-          if (!arr) continue
+    }
 
-          // If we are calibrating, don't write incoming signal samples to the visible buffer.
-          // This prevents the frontend from showing unstable signals during the Arduino's auto-cal phase.
-          if (isCalibrating) {
-            continue
-          }
+    if (storeRef.current) storeRef.current.append(batch)
+    if (rhythmStoreRef.current) rhythmStoreRef.current.append(batch)
 
-          // Convert and optionally filter
-          const mvs = arr.map(v => valueToMv(v))
-          for (let i = 0; i < mvs.length; i++) {
-            if (filterOn) mvs[i] = filterSample(i, mvs[i])
-          }
+    // Classified beats (Lead II) for the live markers
+    if (batch.beats.length) {
+      const beats = batch.beats.map((r, k) => ({ r, label: batch.labels[k] }))
+      beatsRef.current = [...beatsRef.current, ...beats].slice(-RECENT_BEATS)
+    }
+  }
 
-          // Recording for final report (continuous until user stops)
-          if (recordRef.current.active && recordRef.current.data) {
-            leads.forEach((ln, idx) => {
-              recordRef.current.data[ln].push(mvs[idx])
-            })
-            recordRef.current.count += 1
-            // Use timestamp-based duration for robustness
-            const nowSec = Date.now() / 1000
-            const start = recordRef.current.startTime || nowSec
-            const duration = nowSec - start
-            setRecordingProgress(duration)
-            // Auto-stop when we reach CAPTURE_SECONDS seconds (guard to call once)
-            if (duration >= CAPTURE_SECONDS && !autoStopTriggeredRef.current) {
-              autoStopTriggeredRef.current = true
-              try { stopRecording({ auto: true, captureSecond: CAPTURE_SECONDS }) } catch (e) { console.warn('auto-stop failed', e) }
-            }
-          }
+  function insertGap(count) {
+    if (recordRef.current.active && recordRef.current.data) {
+      const recorded = Math.min(count, Math.floor(sampleRateRef.current * CAPTURE_SECONDS))
+      leads.forEach(ln => {
+        for (let k = 0; k < recorded; k++) { recordRef.current.data[ln].push(NaN); recordRef.current.raw[ln].push(NaN) }
+      })
+      recordRef.current.lostFrames = (recordRef.current.lostFrames || 0) + count
+    }
+    setLostFrames(prev => prev + count)
+  }
 
-          const samples = bufferRef.current[0]?.length || Math.max(1, Math.floor(sampleRate * secondsWindow))
-          for (let i = 0; i < mvs.length; i++) {
-            const mv = mvs[i]
-            if (!bufferRef.current[i]) bufferRef.current[i] = new Float32Array(samples)
-            bufferRef.current[i][writeIndexRef.current] = mv
-          }
-          writeIndexRef.current = (writeIndexRef.current + 1) % samples
-
-          // Update live lead data for VCG and Risk Analysis components
-          // Get recent samples (last ~2 seconds for analysis)
-          const analysisWindow = Math.min(samples, Math.floor(sampleRate * 2))
-          const currentIdx = writeIndexRef.current
-          const extractRecent = (leadIdx) => {
-            const arr = []
-            for (let j = 0; j < analysisWindow; j++) {
-              const idx = (currentIdx - analysisWindow + j + samples) % samples
-              arr.push(bufferRef.current[leadIdx]?.[idx] || 0)
-            }
-            return arr
-          }
+  // Quality index over the last few seconds of every lead
+  function handleQuality(quality) {
+    measuredLeadsRef.current = quality.einthoven !== null
+    setSignalQuality(quality)
+  }
 
-          setLiveLeadData({
-            leadI: extractRecent(0),
-            leadII: extractRecent(1),
-            leadIII: extractRecent(2),
-            aVR: extractRecent(3),
-            aVL: extractRecent(4),
-            aVF: extractRecent(5)
-          })
-        }
+  // Link dropped or came back; a running recording carries on and the outage arrives as a gap
+  function handleConnection(state) {
+    setReconnecting(state === 'lost')
+  }
+
+  function handleStreamError(err) {
+    console.error('Stream read error', err)
+    const msg = err && err.message ? err.message : String(err)
+    setConnectError(msg)
+    alert('Connection failed: ' + msg)
+    setConnected(false)
+  }
+
+  // Source finished (replay reached end of file, device went away)
+  function handleStreamEnd() {
+    setConnected(false)
+    setReconnecting(false)
+    setIsRecording(false)
+    setIsCalibrating(false)
+    const stream = streamRef.current
+    streamRef.current = null
+    if (stream) stream.stop().catch(e => console.warn(e))
+  }
+
+  // Sources with an options dialog (serial port settings) ask for them first
+  function requestConnect() {
+    if (getSource(sourceId).optionsDialog) setShowSourceDialog(true)
+    else connect()
+  }
+
+  // Replay a reference recording through the same pipeline as a device
+  function openRecording() {
+    setSourceId('replay')
+    setShowSourceDialog(true)
+  }
+
+  // A board's profile brings its sample rate; the device's header still overrides it
+  function handleDeviceProfile(id) {
+    setDeviceProfileId(id)
+    saveDeviceProfileId(id)
+    setSampleRate(getDeviceProfile(id).sampleRate)
+  }
+
+  // connect to the selected source (Web Serial, bridge, file replay, simulator)
+  async function connect(options = {}) {
+    setConnectError(null)
+    if (sourceId === 'serial' && !('serial' in navigator)) { setConnectError('Web Serial API not available in this browser. Use Chrome or Edge.'); alert('Use Chrome or Edge with Web Serial enabled'); return }
+    let pipeline = null
+    try {
+      const source = createSource(sourceId, { sampleRate: sampleRateRef.current, onProgress: setConnectStatus, ...options })
+      const device = getSource(sourceId).device ? getDeviceProfile(deviceProfileId) : null
+      deviceProfileRef.current = device && device.name
+      deviceKeyRef.current = sourceId
+      beatsRef.current = []
+      gapEndRef.current = 0
+      if (rhythmStoreRef.current) rhythmStoreRef.current.clear()
+      // Parsing, unit conversion, the display filter and beat detection run in a worker
+      pipeline = createWorkerPipeline({
+        onBatch: handleBatch,
+        onCalibration: handleCalibration,
+        onMeta: handleMeta,
+        onMalformed: handleMalformed,
+        onClock: handleClock,
+        onQuality: handleQuality,
+        onElectrodes: setElectrodes,
+        onReversal: setReversal,
+        onAmplitude: handleAmplitude,
+        onAmplitudeCalibration: setAmplitudeCalibration
+      }, {
+        sampleRate: sampleRateRef.current,
+        playbackRate: source.playbackRate,
+        layout: 'limb6',
+        units: inputUnits,
+        filter: activeFilter,
+        powerline,
+        dropWhileCalibrating: true,
+        keepRaw: true,
+        reversal: leadCorrection,
+        amplitude: amplitudeSettings(),
+        device
+      })
+      const stream = createEcgStream(source, {
+        onConnection: handleConnection,
+        onError: handleStreamError,
+        onEnd: handleStreamEnd
+      }, { pipeline })
+      // hold capture until the device reports its calibration state (START / CAL_DONE or first frame)
+      calibratingRef.current = true
+      setMalformed({ count: 0, last: null })
+      setLostFrames(0)
+      handleClock(null)
+      setSignalQuality(null)
+      setElectrodes(null)
+      setElectrodeOverride(false)
+      setReversal(null)
+      setAmplitudeCalibration(null)
+      handleAmplitude(null)
+      setReconnecting(false)
+      await stream.start()
+      streamRef.current = stream
+      // The serial port is only known once it is open
+      if (source.deviceKey && source.deviceKey !== deviceKeyRef.current) {
+        deviceKeyRef.current = source.deviceKey
+        pipeline.configure({ amplitude: amplitudeSettings() })
       }
+      setConnected(true)
+      setIsCalibrating(calibratingRef.current)
+      setConnectStatus(null)
+      setSourceDescription(source.description || null)
     } catch (err) {
       console.error('Serial connect error', err)
+      if (pipeline) pipeline.dispose()
       const msg = err && err.message ? err.message : String(err)
       setConnectError(msg)
       alert('Connection failed: ' + msg)
       setConnected(false)
+      setIsCalibrating(false)
+      setConnectStatus(null)
     }
   }
 
   async function disconnect() {
-    runningRef.current = false
     setConnected(false)
+    setReconnecting(false)
     setIsRecording(false)
+    setIsCalibrating(false)
+    setSignalQuality(null)
+    setElectrodes(null)
+    setReversal(null)
     try {
-      if (readerRef.current) { await readerRef.current.cancel(); readerRef.current = null }
-      if (portRef.current) { await portRef.current.close(); portRef.current = null }
+      if (streamRef.current) { await streamRef.current.stop(); streamRef.current = null }
     } catch (e) { console.warn(e) }
   }
 
-  function startRecording() {
-    if (!portRef.current || !connected) {
-      alert('Connect to device first!')
-      return
-    }
-    // initialize ref buffers for each lead
-    recordRef.current = { active: true, data: {}, count: 0, startTime: Date.now() / 1000 }
-    autoStopTriggeredRef.current = false
-    manualStopRef.current = false
-    leads.forEach(ln => { recordRef.current.data[ln] = [] })
-    // Clear any frozen display so live view resumes and allow incoming data
-    frozenBufferRef.current = null
-    freezeDisplayRef.current = false
-    setRecordingProgress(0)
-    setIsRecording(true)
-    setShowReport(false)
-  }
-
-  function stopRecording(options = { auto: false, captureSecond: CAPTURE_SECONDS }) {
-    const { auto, captureSecond } = options
-    // If not recording and this isn't a forced auto-stop, ignore
-    if (!isRecording && !auto && !recordRef.current.active) return
-
-    // deactivate recording immediately
-    recordRef.current.active = false
-    setIsRecording(false)
-
-    // Prepare snapshot object
-    const snap = {}
-
-    if (auto) {
-      // For auto-stop we want the 1-second excerpt that ends at captureSecond (e.g., 14s..15s)
-      const oneSecondSamples = Math.floor(1 * sampleRateRef.current)
-      const sampleIndexEnd = Math.floor((captureSecond) * sampleRateRef.current)
-      leads.forEach(ln => {
-        const arr = recordRef.current.data[ln] || []
-        // preferred: slice from (end - oneSecondSamples) .. end, but guard against short arrays
-        let startIdx = sampleIndexEnd - oneSecondSamples
-        if (startIdx < 0) startIdx = 0
-        // If we don't yet have samples up to sampleIndexEnd (e.g., timing jitter), fall back to last oneSecondSamples
-        if (arr.length >= sampleIndexEnd) {
-          snap[ln] = arr.slice(Math.max(0, startIdx), Math.min(sampleIndexEnd, arr.length))
-        } else {
-          snap[ln] = arr.length > oneSecondSamples ? arr.slice(-oneSecondSamples) : arr.slice()
-        }
-      })
-      // embed metadata so report can label the excerpt correctly
-      snap.__meta = { excerptSeconds: 1, captureAt: captureSecond, sampleIndexEnd }
-    } else {
-      // user-initiated stop: keep entire captured buffer
-      leads.forEach(ln => { snap[ln] = (recordRef.current.data[ln] || []).slice() })
-      snap.__meta = { excerptSeconds: (snap[leads[0]]?.length || 0) / sampleRateRef.current, captureAt: null }
-    }
-
-    // Normalize snap into short keys and long keys and derive missing leads so report is consistent
+  // Normalize a snapshot into short keys and long keys and derive missing leads so the report is consistent
+  function normalizeReportLeads(snap) {
     const normalized = {}
     // helper to set both short and long labels
     function setLead(short, long, arr) { if (!arr) arr = null; normalized[short] = arr; normalized[long] = arr }
@@ -714,25 +1099,85 @@ export default function ECGVisualizer() {
       }
     }
 
+    return normalized
+  }
+
+  function startRecording() {
+    if (!streamRef.current || !connected) {
+      alert('Connect to device first!')
+      return
+    }
+    // initialize ref buffers for each lead
+    recordRef.current = { active: true, data: {}, raw: {}, count: 0, startSample: null }
+    autoStopTriggeredRef.current = false
+    manualStopRef.current = false
+    leads.forEach(ln => { recordRef.current.data[ln] = []; recordRef.current.raw[ln] = [] })
+    // Clear any frozen display so live view resumes and allow incoming data
+    frozenBufferRef.current = null
+    freezeDisplayRef.current = false
+    setRecordingProgress(0)
+    setIsRecording(true)
+    setShowReport(false)
+  }
+
+  function stopRecording(options = { auto: false, captureSecond: CAPTURE_SECONDS }) {
+    const { auto, captureSecond } = options
+    // If not recording and this isn't a forced auto-stop, ignore
+    if (!isRecording && !auto && !recordRef.current.active) return
+
+    // deactivate recording immediately
+    recordRef.current.active = false
+    setIsRecording(false)
+
+    // Prepare snapshot object; the filters travel with it so the report states what was applied
+    const snap = {}
+    const processing = { lostFrames: recordRef.current.lostFrames || 0, filter: filterLabelRef.current, powerline: { ...powerlineRef.current }, baseline: baselineRef.current, reversal: leadCorrectionRef.current, amplitude: amplitudeRef.current, device: deviceProfileRef.current, sampleRate: sampleRateRef.current, measuredRate: clockHealthRef.current && clockHealthRef.current.measuredRate }
+
+    // Diagnostic baseline correction runs over the whole take, before any excerpt is cut
+    const recorded = {}
+    leads.forEach(ln => { recorded[ln] = removeBaseline(recordRef.current.data[ln] || [], sampleRateRef.current, baselineRef.current) })
+    const takeLength = recorded[leads[0]].length
+
+    if (auto) {
+      // For auto-stop we want the 1-second excerpt that ends at captureSecond (e.g., 14s..15s)
+      const oneSecondSamples = Math.floor(1 * sampleRateRef.current)
+      const sampleIndexEnd = Math.floor((captureSecond) * sampleRateRef.current)
+      // If we don't yet have samples up to sampleIndexEnd (e.g., timing jitter), fall back to the last oneSecondSamples
+      const range = takeLength >= sampleIndexEnd
+        ? [Math.max(0, sampleIndexEnd - oneSecondSamples), sampleIndexEnd]
+        : [Math.max(0, takeLength - oneSecondSamples), takeLength]
+      leads.forEach(ln => { snap[ln] = recorded[ln].slice(range[0], range[1]) })
+      // embed metadata so report can label the excerpt correctly
+      snap.__meta = { excerptSeconds: 1, captureAt: captureSecond, sampleIndexEnd, range, ...processing }
+    } else {
+      // user-initiated stop: keep entire captured buffer
+      leads.forEach(ln => { snap[ln] = recorded[ln].slice() })
+      snap.__meta = { excerptSeconds: takeLength / sampleRateRef.current, captureAt: null, range: [0, takeLength], ...processing }
+    }
+
+    const normalized = normalizeReportLeads(snap)
+    normalized.__meta = snap.__meta
+    // The whole take as corrected, which the report analyses (Lead II beats, intervals, rhythm)
+    normalized.__take = recorded
+    // The whole take as it arrived (units converted, nothing filtered), for reprocessing in the report
+    normalized.__raw = {}
+    leads.forEach(ln => { normalized.__raw[ln] = recordRef.current.raw[ln] || [] })
+    // Quality of the whole take, scored like the live index (mains removed, nothing else)
+    const scored = reprocessLeads(normalized.__raw, sampleRateRef.current, { powerline: powerlineRef.current })
+    normalized.__meta.quality = assessLeads(leads.map(ln => scored[ln]), sampleRateRef.current, { einthoven: measuredLeadsRef.current }).overall
     setRecordedData(normalized)
+    setReportCorrection('none')
+    setReprocessSpec({ filter: { ...filterRef.current }, powerline: { ...powerlineRef.current }, baseline: baselineRef.current })
 
     // If this was a manual stop (not auto), snapshot the current live ring buffer
     // and freeze the on-screen display so the user sees the exact frozen waveform.
     if (!auto) {
       try {
-        const samples = bufferRef.current[0]?.length || 1
-        const end = writeIndexRef.current
-        const snapBuf = bufferRef.current.map(arr => {
-          const out = new Array(samples)
-          for (let s = 0; s < samples; s++) {
-            const idx = (end + s) % samples
-            out[s] = arr[idx]
-          }
-          return out
-        })
-        frozenBufferRef.current = snapBuf
+        const store = storeRef.current
+        frozenBufferRef.current = store.snapshot()
+        frozenStartRef.current = store.lastSample - store.capacity + 1
         freezeDisplayRef.current = true
-        console.debug('stopRecording: froze display snapshot (manual stop)', { samples, end })
+        console.debug('stopRecording: froze display snapshot (manual stop)', { samples: store.capacity, end: store.writeIndex })
       } catch (e) {
         console.warn('stopRecording: failed to create frozen snapshot', e)
         frozenBufferRef.current = null
@@ -771,16 +1216,17 @@ export default function ECGVisualizer() {
     return () => clearInterval(interval)
   }, [isWaiting])
 
-  // Auto-start capture after calibration completes
+  // Auto-start capture after calibration completes and every electrode looks attached
+  const electrodesReady = electrodeOverride || Boolean(electrodes && electrodes.ok)
   useEffect(() => {
-    if (connected && !isCalibrating && !isRecording && !showReport && !isWaiting && !manualStopRef.current) {
+    if (connected && !isCalibrating && !isRecording && !showReport && !isWaiting && !manualStopRef.current && electrodesReady) {
       const timer = setTimeout(() => {
         startRecording()
       }, 500) // Small delay to ensure calibration state is stable
       return () => clearTimeout(timer)
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [connected, isCalibrating, isRecording, showReport, isWaiting])
+  }, [connected, isCalibrating, isRecording, showReport, isWaiting, electrodesReady])
 
   function downloadReport() {
     if (reportCanvasRef.current) {
@@ -806,6 +1252,8 @@ export default function ECGVisualizer() {
     const a = document.createElement('a'); a.href = url; a.download = 'ecg_export.png'; a.click()
   }
 
+  const SourceOptionsDialog = showSourceDialog ? getSource(sourceId).optionsDialog : null
+
   return (
     <div>
       {/* Final Report Modal */}
@@ -820,11 +1268,83 @@ export default function ECGVisualizer() {
             <h2 style={{ color: '#dc2626', marginBottom: '20px', fontSize: '24px', fontWeight: 'bold' }}>
               📄 ECG Report — 6-Lead Analysis
             </h2>
+            {recordedData && recordedData.__raw && reprocessSpec && (
+              <div style={{ marginBottom: 12, display: 'flex', gap: 10, alignItems: 'center', justifyContent: 'center', flexWrap: 'wrap', color: '#e5e7eb', fontSize: 13 }}>
+                <label>View:
+                  <select value={reportView} onChange={e => setReportView(e.target.value)}>
+                    <option value="live">As recorded (live filters)</option>
+                    <option value="zerophase">Reprocessed (zero-phase)</option>
+                    <option value="raw">Raw samples</option>
+                  </select>
+                </label>
+                <label title="Undo an electrode swap on this recording">Electrodes swapped:
+                  <select value={reportCorrection} onChange={e => setReportCorrection(e.target.value)}>
+                    {REVERSALS.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+                  </select>
+                </label>
+                {reportView !== 'raw' && (
+                  <label style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+                    <input type="checkbox" checked={overlayRaw} onChange={e => setOverlayRaw(e.target.checked)} />
+                    <span>Overlay raw</span>
+                  </label>
+                )}
+                {reportView === 'zerophase' && (
+                  <>
+                    <label title={describeReprocessing(reprocessSpec)}>Filter:
+                      <select value={reprocessSpec.filter.type} onChange={e => updateReprocessFilter({ type: e.target.value })}>
+                        <option value="off">Off</option>
+                        {FILTER_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+                      </select>
+                    </label>
+                    {(reprocessSpec.filter.type === 'bandpass' || reprocessSpec.filter.type === 'highpass') && (
+                      <label>HP (Hz): <input type="number" min="0.05" max="10" step="0.05" style={{ width: 60 }} value={reprocessSpec.filter.low} onChange={e => updateReprocessFilter({ low: parseFloat(e.target.value) })} /></label>
+                    )}
+                    {(reprocessSpec.filter.type === 'bandpass' || reprocessSpec.filter.type === 'lowpass') && (
+                      <label>LP (Hz): <input type="number" min="5" max="250" step="0.5" style={{ width: 60 }} value={reprocessSpec.filter.high} onChange={e => updateReprocessFilter({ high: parseFloat(e.target.value) })} /></label>
+                    )}
+                    {reprocessSpec.filter.type !== 'off' && (
+                      <label>Order:
+                        <select value={reprocessSpec.filter.order} onChange={e => updateReprocessFilter({ order: parseInt(e.target.value) })}>
+                          {FILTER_ORDERS.map(n => <option key={n} value={n}>{n}</option>)}
+                        </select>
+                      </label>
+                    )}
+                    <PowerlineControls value={reprocessSpec.powerline} onChange={powerline => setReprocessSpec(prev => ({ ...prev, powerline }))} />
+                    <label>Baseline:
+                      <select value={reprocessSpec.baseline} onChange={e => setReprocessSpec(prev => ({ ...prev, baseline: e.target.value }))}>
+                        {BASELINE_METHODS.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+                      </select>
+                    </label>
+                  </>
+                )}
+              </div>
+            )}
             <canvas ref={reportCanvasRef} style={{
               maxWidth: '100%', height: 'auto',
               border: '2px solid #dc2626', borderRadius: '4px',
               boxShadow: '0 0 20px rgba(220,38,38,0.3)'
             }} />
+            {reportRhythm && (
+              <div style={{ margin: '12px auto 0', maxWidth: 900, textAlign: 'left', color: '#e5e7eb', fontSize: 13 }}>
+                <div style={{ display: 'flex', gap: 10, alignItems: 'center', marginBottom: 6 }}>
+                  <strong>Rhythm events (Lead II): {reportRhythm.events.length || 'none'}</strong>
+                  <label>Pauses over
+                    <select value={rhythmSettings.pauseSeconds} onChange={e => setRhythmSettings(prev => ({ ...prev, pauseSeconds: parseFloat(e.target.value) }))}>
+                      {PAUSE_OPTIONS.map(seconds => <option key={seconds} value={seconds}>{seconds} s</option>)}
+                    </select>
+                  </label>
+                </div>
+                {reportRhythm.events.map((event, k) => (
+                  <button key={k} onClick={() => { setSelectedEvent(event); reportCanvasRef.current.scrollIntoView({ behavior: 'smooth', block: 'center' }) }} title="Show on the Lead II rhythm strip" style={{
+                    display: 'block', width: '100%', textAlign: 'left', padding: '4px 8px', marginBottom: 2,
+                    border: 'none', borderLeft: `4px solid ${SEVERITY_COLORS[event.severity]}`, borderRadius: 4,
+                    background: event === selectedEvent ? '#374151' : '#1f2937', color: '#e5e7eb', cursor: 'pointer'
+                  }}>
+                    {describeRhythmEvent(event, sampleRate)}
+                  </button>
+                ))}
+              </div>
+            )}
             <div style={{ marginTop: '20px', display: 'flex', gap: '15px', justifyContent: 'center' }}>
               <button onClick={downloadReport} className="btn" style={{
                 background: '#dc2626', color: '#ffffff', fontWeight: 'bold', padding: '12px 24px'
@@ -844,10 +1364,29 @@ export default function ECGVisualizer() {
         </div>
       )}
 
+      {showAmplitudeDialog && (
+        <AmplitudeCalibrationDialog
+          result={amplitudeCalibration}
+          deviceLabel={sourceDescription || 'this device'}
+          onStart={startAmplitudeCalibration}
+          onSave={saveAmplitudeCalibration}
+          onCancel={() => { setShowAmplitudeDialog(false); setAmplitudeCalibration(null) }}
+        />
+      )}
+
+      {SourceOptionsDialog && (
+        <SourceOptionsDialog defaults={{ baudRate: getDeviceProfile(deviceProfileId).baudRate }} onCancel={() => setShowSourceDialog(false)} onConnect={options => { setShowSourceDialog(false); connect(options) }} />
+      )}
+
       <div className="controls grid-card">
         <div style={{ display: 'flex', gap: 10, alignItems: 'center', flexWrap: 'wrap' }}>
+          <SourcePicker sourceId={sourceId} onSourceChange={setSourceId} disabled={connected} />
+          {getSource(sourceId).device && <DeviceProfilePicker profileId={deviceProfileId} onProfileChange={handleDeviceProfile} disabled={connected} buttonClassName="btn" />}
           {!connected ? (
-            <button className="btn" onClick={connect}>🔌 Connect Device</button>
+            <>
+              <button className="btn" onClick={requestConnect}>🔌 Connect Device</button>
+              <button className="btn" onClick={openRecording}>📂 Open recording</button>
+            </>
           ) : (
             <>
               <button className="btn" onClick={disconnect}>⛔ Disconnect</button>
@@ -861,7 +1400,7 @@ export default function ECGVisualizer() {
               <div style={{ fontWeight: 700 }}>Serial error</div>
               <div style={{ fontSize: 12, opacity: 0.9, whiteSpace: 'pre-wrap' }}>{connectError}</div>
               <div style={{ marginTop: 8 }}>
-                <button className="btn" onClick={connect} style={{ marginRight: 8 }}>Retry</button>
+                <button className="btn" onClick={requestConnect} style={{ marginRight: 8 }}>Retry</button>
                 <button className="btn" onClick={async () => {
                   try { const ports = await navigator.serial.getPorts(); alert('Known ports: ' + ports.length) } catch (e) { alert('getPorts failed: ' + e) }
                 }}>List Ports</button>
@@ -879,15 +1418,68 @@ export default function ECGVisualizer() {
           <label>Pixels/mm: <input type="range" min="1" max="6" step="0.5" value={pixelsPerMm} onChange={e => setPixelsPerMm(parseFloat(e.target.value))} /></label>
           <label>Window (s): <input type="number" min="1" max="10" value={secondsWindow} onChange={e => setSecondsWindow(parseInt(e.target.value) || 1)} /></label>
           <label>Sample rate (Hz): <input type="number" min="20" max="1000" step="1" value={sampleRate} onChange={e => setSampleRate(Math.max(1, parseInt(e.target.value) || DEFAULT_SAMPLE_RATE))} /></label>
+          {connected && clockHealth && clockHealth.measuredRate !== null && (
+            <span style={{ fontSize: 12, color: clockHealth.drifting ? '#b45309' : '#718096' }} title="Frames per second arriving from the device over the last 10 s">measured {clockHealth.measuredRate.toFixed(1)} Hz</span>
+          )}
+          <label style={{ display: 'flex', alignItems: 'center', gap: 4 }} title="Switch to the measured rate when it differs from the setting by more than 3%">
+            <input type="checkbox" checked={autoRate} onChange={e => setAutoRate(e.target.checked)} />
+            <span>Auto rate</span>
+          </label>
           <label>Input Units:
             <select value={inputUnits} onChange={e => setInputUnits(e.target.value)}>
               <option value="mv">mV</option>
-              <option value="adc">ADC (0-1023)</option>
+              <option value="adc">ADC counts (device profile)</option>
             </select>
           </label>
-          <label style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+          <label style={{ display: 'flex', alignItems: 'center', gap: 6 }} title={describeFilter(activeFilter)}>
             <input type="checkbox" checked={filterOn} onChange={e => setFilterOn(e.target.checked)} />
-            <span>Filter 0.5–40 Hz</span>
+            <span>Filter</span>
+            <select value={filterSpec.type} disabled={!filterOn} onChange={e => updateFilter({ type: e.target.value })}>
+              {FILTER_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+            </select>
+          </label>
+          {filterSpec.type !== 'lowpass' && (
+            <label>HP (Hz): <input type="number" min="0.05" max="10" step="0.05" style={{ width: 60 }} value={filterSpec.low} disabled={!filterOn} onChange={e => updateFilter({ low: parseFloat(e.target.value) })} /></label>
+          )}
+          {filterSpec.type !== 'highpass' && (
+            <label>LP (Hz): <input type="number" min="5" max="250" step="0.5" style={{ width: 60 }} value={filterSpec.high} disabled={!filterOn} onChange={e => updateFilter({ high: parseFloat(e.target.value) })} /></label>
+          )}
+          <label>Order:
+            <select value={filterSpec.order} disabled={!filterOn} onChange={e => updateFilter({ order: parseInt(e.target.value) })}>
+              {FILTER_ORDERS.map(n => <option key={n} value={n}>{n}</option>)}
+            </select>
+          </label>
+          <button className="btn" disabled={!filterOn} onClick={() => setFilterSpec({ ...FIRMWARE_FILTER })} title={`Match the device's own filter: ${describeFilter(FIRMWARE_FILTER)}`}>Match firmware</button>
+          <PowerlineControls value={powerline} onChange={setPowerline} />
+          <label title={diagnosticBaseline ? 'Live traces keep the wander; recordings and ST analysis are corrected without phase shift' : 'Baseline wander is removed by the filter high-pass'}>Baseline:
+            <select value={baselineMethod} onChange={e => setBaselineMethod(e.target.value)}>
+              {BASELINE_METHODS.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+            </select>
+          </label>
+          <label title={`QT correction for the risk panel and report: ${describeQtcSettings(qtcSettings)}`}>QTc:
+            <select value={qtcSettings.formula} onChange={e => setQtcSettings(prev => ({ ...prev, formula: e.target.value }))}>
+              {QTC_FORMULAS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+            </select>
+          </label>
+          <label title="Sets the QTc prolongation limits">Patient:
+            <select value={qtcSettings.sex} onChange={e => setQtcSettings(prev => ({ ...prev, sex: e.target.value }))}>
+              {PATIENT_SEXES.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+            </select>
+            <input type="number" min="0" max="120" step="1" placeholder="age" style={{ width: 56 }} value={qtcSettings.age === null ? '' : qtcSettings.age} onChange={e => { const age = parseInt(e.target.value); setQtcSettings(prev => ({ ...prev, age: Number.isFinite(age) && age >= 0 ? age : null })) }} />
+          </label>
+          <label title={describeAmplitude(amplitude)}>Amplitude:
+            <select value={amplitudeMode} onChange={e => setAmplitudeMode(e.target.value)}>
+              {AMPLITUDE_MODES.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+            </select>
+          </label>
+          <button className="btn" disabled={!connected} onClick={() => { setAmplitudeCalibration(null); setShowAmplitudeDialog(true) }} title="Measure this device's gain from a known 1 mV test signal">Calibrate amplitude</button>
+          {connected && amplitude && amplitudeMode === 'absolute' && !amplitude.calibrated && (
+            <span style={{ fontSize: 12, color: '#b45309' }} title={describeAmplitude(amplitude)}>⚠ Not in mV: {amplitude.reason}</span>
+          )}
+          <label title="Undo swapped limb electrodes on the live leads and new recordings">Electrodes swapped:
+            <select value={leadCorrection} onChange={e => setLeadCorrection(e.target.value)}>
+              {REVERSALS.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+            </select>
           </label>
           <label style={{ display: 'flex', alignItems: 'center', gap: 6 }} title="Try to ensure all 6 leads appear on the printed report (derive missing leads from I & II)">
             <input type="checkbox" checked={advancedReport} onChange={e => setAdvancedReport(e.target.checked)} />
@@ -898,7 +1490,7 @@ export default function ECGVisualizer() {
             <button className="btn" onClick={() => {
               // Export report offscreen without opening modal
               const off = document.createElement('canvas')
-              drawReportPage(off, recordedData)
+              drawReportPage(off, reportData, reportRhythm, selectedEvent)
               const a = document.createElement('a')
               a.href = off.toDataURL('image/png')
               a.download = 'ecg-report-15sec.png'
@@ -910,9 +1502,25 @@ export default function ECGVisualizer() {
               🩺 View Report
             </button>
           )}
+          {connectStatus && <span style={{ fontSize: 12, color: '#718096' }}>{connectStatus}</span>}
+          {connected && sourceDescription && <span style={{ fontSize: 12, color: '#718096' }}>{sourceDescription}</span>}
+          {connected && signalQuality && <QualityBadge quality={signalQuality.overall} label="Signal" />}
+          {lostFrames > 0 && (
+            <span style={{ fontSize: 12, color: '#b45309' }} title="Frames missing from the binary sequence counter; shown as grey gaps">⚠ {lostFrames} lost frame{lostFrames === 1 ? '' : 's'}</span>
+          )}
+          {describeClockHealth(clockHealth) && (
+            <span style={{ fontSize: 12, color: '#b45309' }} title="Device sample clock differs from the nominal rate or the stream stalled; timing uses the sample index">⚠ Clock: {describeClockHealth(clockHealth)}</span>
+          )}
+          {clockHealth && clockHealth.drifting && !autoRate && (
+            <button className="btn" onClick={() => setSampleRate(nominalRate(clockHealth.measuredRate))} title="Time the trace, filters and intervals at the measured rate">Use {nominalRate(clockHealth.measuredRate)} Hz</button>
+          )}
+          {malformed.count > 0 && (
+            <span style={{ fontSize: 12, color: '#b45309' }} title={malformed.last}>⚠ {malformed.count} malformed line{malformed.count === 1 ? '' : 's'}</span>
+          )}
           <div style={{ marginLeft: 'auto', fontSize: 14, fontWeight: 600 }}>
-            Status: <strong className={isRecording || isWaiting ? 'recording-indicator' : ''} style={{ color: isCalibrating ? '#f59e0b' : isRecording ? '#ff2e97' : isWaiting ? '#7c3aed' : (connected ? '#00d9ff' : '#6b7280') }}>
-              {isCalibrating ? '🔄 Calibrating...' :
+            Status: <strong className={isRecording || isWaiting ? 'recording-indicator' : ''} style={{ color: reconnecting ? '#ef4444' : isCalibrating ? '#f59e0b' : isRecording ? '#ff2e97' : isWaiting ? '#7c3aed' : (connected ? '#00d9ff' : '#6b7280') }}>
+              {reconnecting ? (isRecording ? `🔌 Reconnecting... (recording paused at ${recordingProgress.toFixed(1)}s)` : '🔌 Reconnecting...') :
+                isCalibrating ? '🔄 Calibrating...' :
                 isRecording ? `⏺ Recording ${recordingProgress.toFixed(1)}s` :
                   isWaiting ? `⏳ Processing... ${(WAIT_SECONDS - waitProgress).toFixed(1)}s` :
                     (connected ? '✓ Ready' : '⚠ Disconnected')}
@@ -921,16 +1529,39 @@ export default function ECGVisualizer() {
         </div>
       </div>
 
+      {/* Electrode placement: holds the automatic capture until the lead-off check passes */}
+      {connected && !isCalibrating && !isRecording && !showReport && !isWaiting && !manualStopRef.current && !electrodesReady && (
+        <ElectrodeWizard electrodes={electrodes} onSkip={() => setElectrodeOverride(true)} />
+      )}
+
+      {/* Limb lead reversal: offer to swap the electrodes back in software */}
+      {connected && reversal && reversal.reversal !== 'none' && (
+        <div title={`Averaged over ${reversal.beats} beats`} style={{ display: 'flex', alignItems: 'center', gap: 10, flexWrap: 'wrap', color: '#92400e', background: '#fef3c7', padding: '8px 12px', borderRadius: 6, margin: '8px 0', fontSize: 13 }}>
+          <span>
+            ⚠ Limb leads {reversal.confidence === 'likely' ? 'look' : 'may be'} reversed: {describeReversal(reversal.reversal)} ({reversal.evidence})
+            {reversal.correction !== 'none' && ` even with ${describeReversal(reversal.correction)} corrected — check the electrode placement`}
+          </span>
+          {reversal.correction === 'none'
+            ? <button className="btn" onClick={() => setLeadCorrection(reversal.reversal)}>Correct in software</button>
+            : <button className="btn" onClick={() => setLeadCorrection('none')}>Clear correction</button>}
+        </div>
+      )}
+
       {/* Dashboard Row: VCG + Risk Analysis */}
       <div className="dashboard-row">
         <VectorCardiogram
-          leadData={liveLeadData}
+          leadData={vcgLeadData}
           sampleRate={sampleRate}
           gain={gain}
         />
         <RiskAnalysis
-          leadData={liveLeadData}
+          leadData={analysisLeadData}
           sampleRate={sampleRate}
+          baselineMethod={baselineMethod}
+          quality={signalQuality && signalQuality.leads[1]}
+          reversal={reversal && reversal.reversal !== 'none' && reversal.correction === 'none' ? reversal : null}
+          calibrated={amplitude ? amplitude.calibrated : inputUnits === 'mv'}
+          qtcSettings={qtcSettings}
         />
       </div>
 
@@ -941,7 +1572,11 @@ export default function ECGVisualizer() {
           return (
             <div key={rowIdx} className="grid-card" style={{ marginBottom: 8 }}>
               <div className="lead-row">
-                <div className="lead-title">{leads[leftIdx]} • {leads[rightIdx]}</div>
+                <div className="lead-title" style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                  {leads[leftIdx]} <QualityBadge quality={signalQuality && signalQuality.leads[leftIdx]} />
+                  <span>•</span>
+                  {leads[rightIdx]} <QualityBadge quality={signalQuality && signalQuality.leads[rightIdx]} />
+                </div>
                 <div style={{ fontSize: 12, color: '#718096' }}>10 mm/mV • 25 mm/s</div>
               </div>
               <canvas
@@ -1,98 +1,99 @@
 import React, { useMemo } from 'react'
+import { removeBaseline } from '../../ecg/baseline'
+import { delineateBeats, measureIntervals } from '../../ecg/delineation'
+import { countBeats, beatIntervals } from '../../ecg/beatClassifier'
+import { QTC_FORMULAS, QTC_DEFAULTS, BAZETT_MAX_BPM, qtcLimits, describeQtcFormula, describeQtcSettings } from '../../ecg/qtc'
+import { describeQuality, QUALITY_ISSUES } from '../../ecg/signalQuality'
+import QualityBadge from '../../ecg/QualityBadge'
+import { describeReversal } from '../../ecg/leadReversal'
 
 /**
  * Risk Analysis Component
  * Calculates clinical ECG metrics and risk scoring
- * Algorithms: HR, HRV, QRS duration, QT/QTc, ST deviation
+ * leadData: { leadII, start, beats }: Lead II over the last half minute or so,
+ * the sample index of its first sample, and the worker's classified beats on
+ * it ({ r: sample index, label }, beatClassifier.js). Every metric covers
+ * that one span:
+ * Algorithms: HR on the beats' R peaks; HRV and ectopy from their classes,
+ * leaving out the intervals around ectopic beats; PR, QRS duration, QT/QTc and
+ * ST deviation from the P, QRS and T waves delineated around each R peak
+ * (delineation.js), medians over the beats
+ * baselineMethod: 'median' | 'spline' corrects Lead II for wander first (the
+ * live filter then has no high-pass); 'filter' analyses it as delivered.
+ * quality: signal quality of Lead II (signalQuality.js); metrics are withheld
+ * while it is 'poor' and flagged while it is 'fair'.
+ * reversal: uncorrected limb lead reversal (leadReversal.js); Lead II may be
+ * another lead, so the values are flagged.
+ * calibrated: false when amplitudes are normalised by the device (amplitude.js);
+ * the ST thresholds are in mV, so ST is shown in device units and not scored.
+ * qtcSettings: QTc formula and the patient's sex and age, for the limits (qtc.js).
  */
-export default function RiskAnalysis({ leadData, sampleRate = 125 }) {
+// Beats whose intervals count towards HRV: unclassified ones stay in, so noise or a relearned template doesn't empty it
+const HRV_LABELS = ['N', 'Q']
+
+export default function RiskAnalysis({ leadData, sampleRate = 125, baselineMethod = 'filter', quality = null, reversal = null, calibrated = true, qtcSettings = QTC_DEFAULTS }) {
+    const qualityLevel = quality ? quality.level : null
 
     // Calculate all metrics when lead data changes
     const metrics = useMemo(() => {
         if (!leadData || !leadData.leadII || leadData.leadII.length < sampleRate * 2) {
             return getDefaultMetrics()
         }
+        // Flatline, clipping or noise would still produce numbers; don't show them
+        if (qualityLevel === 'poor') {
+            return getDefaultMetrics()
+        }
 
-        const samples = leadData.leadII
+        const samples = removeBaseline(leadData.leadII, sampleRate, baselineMethod)
 
-        // Detect R-peaks
-        const rPeaks = detectRPeaks(samples, sampleRate)
+        // R peaks of the worker's beats, as indices into the span
+        const beats = (leadData.beats || []).filter(b => b.r - leadData.start < samples.length)
+        const rPeaks = beats.map(b => b.r - leadData.start)
 
         // Calculate heart rate from R-R intervals
         const hrData = calculateHeartRate(rPeaks, sampleRate)
 
-        // Calculate HRV (SDNN and RMSSD)
-        const hrvData = calculateHRV(rPeaks, sampleRate)
-
-        // Estimate QRS duration
-        const qrsData = estimateQRSDuration(samples, rPeaks, sampleRate)
-
-        // Estimate QT interval and QTc
-        const qtData = estimateQTInterval(samples, rPeaks, sampleRate, hrData.hr)
+        // Ectopic beats and the intervals around them are left out of HRV
+        const labels = beats.map(b => b.label)
+        const ectopyData = assessEctopy(labels)
+        const hrvData = calculateHRV(beatIntervals(beats.map(b => b.r / sampleRate * 1000), labels, HRV_LABELS))
 
-        // Check ST segment deviation
-        const stData = checkSTDeviation(samples, rPeaks, sampleRate)
+        // Delineate P, QRS and T of every beat; intervals are medians over the beats
+        const intervals = measureIntervals(delineateBeats(samples, rPeaks, sampleRate), sampleRate)
+        const prData = assessPR(intervals)
+        const qrsData = assessQRS(intervals)
+        const qtData = assessQT(intervals, hrData.hr)
+        const stData = assessST(intervals)
+        if (!calibrated && stData.status !== 'unknown') stData.status = 'normalised'
 
         // Calculate overall risk score
-        const riskScore = calculateRiskScore(hrData, hrvData, qrsData, qtData, stData)
+        const riskScore = calculateRiskScore(hrData, hrvData, prData, qrsData, qtData, stData, ectopyData)
 
         return {
             hr: hrData,
             hrv: hrvData,
+            pr: prData,
             qrs: qrsData,
             qt: qtData,
             st: stData,
+            ectopy: ectopyData,
             risk: riskScore
         }
-    }, [leadData, sampleRate])
+    }, [leadData, sampleRate, baselineMethod, qualityLevel, calibrated, qtcSettings.formula, qtcSettings.sex, qtcSettings.age])
 
     function getDefaultMetrics() {
         return {
             hr: { hr: '--', status: 'unknown', rrInterval: '--' },
             hrv: { sdnn: '--', rmssd: '--', status: 'unknown' },
+            pr: { interval: '--', status: 'unknown' },
             qrs: { duration: '--', status: 'unknown' },
-            qt: { qt: '--', qtc: '--', status: 'unknown' },
+            qt: { qt: '--', qtc: '--', all: null, status: 'unknown' },
             st: { deviation: '--', status: 'unknown' },
+            ectopy: { counts: null, ectopic: '--', status: 'unknown' },
             risk: { score: 0, level: 'unknown', factors: [] }
         }
     }
 
-    // Simple R-peak detection using threshold crossing
-    function detectRPeaks(samples, sr) {
-        const peaks = []
-        const windowSize = Math.floor(sr * 0.1) // 100ms window
-        const minPeakDistance = Math.floor(sr * 0.3) // Minimum 300ms between R-peaks (max 200 bpm)
-
-        // Find maximum amplitude for threshold
-        let maxAmp = 0
-        for (let i = 0; i < samples.length; i++) {
-            if (Math.abs(samples[i]) > maxAmp) maxAmp = Math.abs(samples[i])
-        }
-
-        const threshold = maxAmp * 0.5
-
-        let lastPeakIdx = -minPeakDistance
-
-        for (let i = windowSize; i < samples.length - windowSize; i++) {
-            // Check if this is a local maximum above threshold
-            if (samples[i] > threshold && i - lastPeakIdx > minPeakDistance) {
-                let isMax = true
-                for (let j = i - windowSize; j <= i + windowSize; j++) {
-                    if (j !== i && samples[j] >= samples[i]) {
-                        isMax = false
-                        break
-                    }
-                }
-                if (isMax) {
-                    peaks.push(i)
-                    lastPeakIdx = i
-                }
-            }
-        }
-
-        return peaks
-    }
-
     // Calculate heart rate from R-R intervals
     function calculateHeartRate(rPeaks, sr) {
         if (rPeaks.length < 2) {
@@ -122,18 +123,12 @@ export default function RiskAnalysis({ leadData, sampleRate = 125 }) {
         }
     }
 
-    // Calculate Heart Rate Variability (SDNN and RMSSD)
-    function calculateHRV(rPeaks, sr) {
-        if (rPeaks.length < 3) {
+    // Calculate Heart Rate Variability (SDNN and RMSSD) from NN intervals in ms
+    function calculateHRV(rrIntervals) {
+        if (rrIntervals.length < 2) {
             return { sdnn: '--', rmssd: '--', status: 'unknown' }
         }
 
-        // Calculate R-R intervals in ms
-        const rrIntervals = []
-        for (let i = 1; i < rPeaks.length; i++) {
-            rrIntervals.push((rPeaks[i] - rPeaks[i - 1]) / sr * 1000)
-        }
-
         // SDNN: Standard deviation of NN intervals
         const mean = rrIntervals.reduce((a, b) => a + b, 0) / rrIntervals.length
         const variance = rrIntervals.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / rrIntervals.length
@@ -154,125 +149,66 @@ export default function RiskAnalysis({ leadData, sampleRate = 125 }) {
         return { sdnn, rmssd, status }
     }
 
-    // Estimate QRS duration
-    function estimateQRSDuration(samples, rPeaks, sr) {
-        if (rPeaks.length < 1) {
-            return { duration: '--', status: 'unknown' }
+    // PR interval: P onset to QRS onset
+    function assessPR(intervals) {
+        if (intervals.pr === null) {
+            return { interval: '--', status: 'unknown' }
         }
+        const pr = Math.round(intervals.pr)
 
-        // Analyze the area around R-peaks to estimate QRS width
-        const qrsWidths = []
-        const searchWindow = Math.floor(sr * 0.1) // 100ms around R-peak
-        const threshold = 0.3 // 30% of R-peak amplitude
-
-        for (const peakIdx of rPeaks) {
-            const peakAmp = samples[peakIdx]
-            let qStart = peakIdx
-            let qEnd = peakIdx
-
-            // Find Q-wave start (backward from R)
-            for (let i = peakIdx; i > Math.max(0, peakIdx - searchWindow); i--) {
-                if (Math.abs(samples[i]) < Math.abs(peakAmp) * threshold) {
-                    qStart = i
-                    break
-                }
-            }
-
-            // Find S-wave end (forward from R)
-            for (let i = peakIdx; i < Math.min(samples.length, peakIdx + searchWindow); i++) {
-                if (Math.abs(samples[i]) < Math.abs(peakAmp) * threshold) {
-                    qEnd = i
-                    break
-                }
-            }
-
-            const qrsMs = ((qEnd - qStart) / sr) * 1000
-            if (qrsMs > 40 && qrsMs < 200) { // Sanity check
-                qrsWidths.push(qrsMs)
-            }
-        }
+        // Under 120 ms: pre-excitation; over 200 ms: first degree AV block
+        let status = 'normal'
+        if (pr < 120 || pr > 200) status = 'warning'
 
-        if (qrsWidths.length === 0) {
+        return { interval: pr, status }
+    }
+
+    // QRS duration: QRS onset to J point
+    function assessQRS(intervals) {
+        if (intervals.qrs === null) {
             return { duration: '--', status: 'unknown' }
         }
-
-        const avgQRS = Math.round(qrsWidths.reduce((a, b) => a + b, 0) / qrsWidths.length)
+        const duration = Math.round(intervals.qrs)
 
         // QRS > 120ms is abnormal (bundle branch block)
         let status = 'normal'
-        if (avgQRS > 100) status = 'warning'
-        if (avgQRS > 120) status = 'danger'
+        if (duration > 100) status = 'warning'
+        if (duration > 120) status = 'danger'
 
-        return { duration: avgQRS, status }
+        return { duration, status }
     }
 
-    // Estimate QT interval
-    function estimateQTInterval(samples, rPeaks, sr, hr) {
-        if (rPeaks.length < 2 || hr === '--' || hr <= 0) {
-            return { qt: '--', qtc: '--', status: 'unknown' }
+    // QT interval: QRS onset to T end, corrected by every formula (qtc.js);
+    // the patient's limits are applied to the chosen one
+    function assessQT(intervals, hr) {
+        if (intervals.qt === null || intervals.qtc === null) {
+            return { qt: '--', qtc: '--', all: null, status: 'unknown' }
         }
+        const all = {}
+        for (const { value } of QTC_FORMULAS) all[value] = Math.round(intervals.qtc[value])
+        const qtc = all[qtcSettings.formula]
+        const limits = qtcLimits(qtcSettings)
 
-        // QT is typically ~40% of R-R interval
-        // This is a simplified estimation
-        const avgRR = 60 / hr // seconds
-        const estimatedQT = avgRR * 0.4 * 1000 // ms
-
-        // Bazett formula for QTc: QTc = QT / sqrt(RR)
-        const qtc = Math.round(estimatedQT / Math.sqrt(avgRR))
-
-        // QTc > 450ms (men) or > 460ms (women) is prolonged
         let status = 'normal'
-        if (qtc > 430) status = 'warning'
-        if (qtc > 450) status = 'danger'
+        if (qtc > limits.borderline) status = 'warning'
+        if (qtc > limits.prolonged) status = 'danger'
 
         return {
-            qt: Math.round(estimatedQT),
+            qt: Math.round(intervals.qt),
             qtc,
-            status
+            all,
+            status,
+            // Bazett overcorrects at high rates; point at the others
+            bazettHigh: qtcSettings.formula === 'bazett' && hr !== '--' && hr > BAZETT_MAX_BPM
         }
     }
 
-    // Check ST segment deviation
-    function checkSTDeviation(samples, rPeaks, sr) {
-        if (rPeaks.length < 2) {
-            return { deviation: '--', status: 'unknown' }
-        }
-
-        // ST segment is ~80ms after J-point (end of QRS)
-        const jPointOffset = Math.floor(sr * 0.06) // ~60ms after R
-        const stOffset = Math.floor(sr * 0.08) // ~80ms for ST measurement
-
-        const stDeviations = []
-
-        for (let i = 0; i < rPeaks.length - 1; i++) {
-            const peakIdx = rPeaks[i]
-            const nextPeakIdx = rPeaks[i + 1]
-
-            // Find isoelectric baseline (before R-peak, in TP segment)
-            const baselineStart = peakIdx - Math.floor(sr * 0.1)
-            let baseline = 0
-            let count = 0
-            for (let j = Math.max(0, baselineStart); j < peakIdx - Math.floor(sr * 0.05); j++) {
-                baseline += samples[j]
-                count++
-            }
-            baseline = count > 0 ? baseline / count : 0
-
-            // Measure ST segment
-            const stIdx = peakIdx + jPointOffset + stOffset
-            if (stIdx < nextPeakIdx && stIdx < samples.length) {
-                const stValue = samples[stIdx]
-                const deviation = (stValue - baseline) // in mV
-                stDeviations.push(deviation)
-            }
-        }
-
-        if (stDeviations.length === 0) {
+    // ST deviation: 60 ms after the J point, from the PR segment
+    function assessST(intervals) {
+        if (intervals.st === null) {
             return { deviation: '--', status: 'unknown' }
         }
-
-        const avgDeviation = stDeviations.reduce((a, b) => a + b, 0) / stDeviations.length
-        const deviationMm = avgDeviation * 10 // Convert mV to mm (10mm/mV)
+        const deviationMm = intervals.st * 10 // Convert mV to mm (10mm/mV)
 
         // ST elevation/depression > 1mm is significant
         let status = 'normal'
@@ -285,8 +221,22 @@ export default function RiskAnalysis({ leadData, sampleRate = 125 }) {
         }
     }
 
+    // Ectopic beats: ventricular (V) and supraventricular premature (S)
+    function assessEctopy(labels) {
+        if (labels.length === 0) {
+            return { counts: null, ectopic: '--', status: 'unknown' }
+        }
+        const counts = countBeats(labels)
+        const ectopic = counts.V + counts.S
+        // Frequent: over 10% of the beats
+        let status = 'normal'
+        if (ectopic > 0) status = 'warning'
+        if (ectopic > 0.1 * labels.length) status = 'danger'
+        return { counts, ectopic, status }
+    }
+
     // Calculate overall risk score
-    function calculateRiskScore(hr, hrv, qrs, qt, st) {
+    function calculateRiskScore(hr, hrv, pr, qrs, qt, st, ectopy) {
         let score = 0
         const factors = []
 
@@ -298,6 +248,9 @@ export default function RiskAnalysis({ leadData, sampleRate = 125 }) {
         if (hrv.status === 'warning') { score += 1; factors.push('Low HRV') }
         if (hrv.status === 'danger') { score += 2; factors.push('Very low HRV') }
 
+        // PR scoring
+        if (pr.status === 'warning') { score += 1; factors.push(pr.interval > 200 ? 'Long PR' : 'Short PR') }
+
         // QRS scoring
         if (qrs.status === 'warning') { score += 1; factors.push('Wide QRS') }
         if (qrs.status === 'danger') { score += 2; factors.push('QRS >120ms') }
@@ -310,6 +263,10 @@ export default function RiskAnalysis({ leadData, sampleRate = 125 }) {
         if (st.status === 'warning') { score += 1; factors.push('ST deviation') }
         if (st.status === 'danger') { score += 3; factors.push('Significant ST change') }
 
+        // Ectopy scoring
+        if (ectopy.status === 'warning') { score += 1; factors.push(ectopy.counts.V > 0 ? 'PVCs' : 'Premature beats') }
+        if (ectopy.status === 'danger') { score += 2; factors.push('Frequent ectopy') }
+
         // Determine overall risk level
         let level = 'low'
         if (score >= 3) level = 'medium'
@@ -348,8 +305,38 @@ export default function RiskAnalysis({ leadData, sampleRate = 125 }) {
                 }}>
                     Real-time Analysis
                 </span>
+                <QualityBadge quality={quality} label="Lead II" style={{ marginLeft: '8px' }} />
             </div>
 
+            {/* Signal quality gate */}
+            {(qualityLevel === 'poor' || qualityLevel === 'fair') && (
+                <div title={describeQuality(quality)} style={{
+                    marginBottom: '10px',
+                    padding: '8px 10px',
+                    background: qualityLevel === 'poor' ? '#fee2e2' : '#fef3c7',
+                    borderRadius: '6px',
+                    fontSize: '12px',
+                    color: qualityLevel === 'poor' ? '#991b1b' : '#92400e'
+                }}>
+                    {qualityLevel === 'poor' ? '⛔ Metrics withheld — signal quality insufficient' : '⚠ Low signal quality — values may be unreliable'}
+                    {quality.issues.length > 0 && ` (${quality.issues.map(i => QUALITY_ISSUES[i] || i).join(', ')})`}
+                </div>
+            )}
+
+            {/* Electrode swap not yet corrected */}
+            {reversal && (
+                <div title={reversal.evidence} style={{
+                    marginBottom: '10px',
+                    padding: '8px 10px',
+                    background: '#fef3c7',
+                    borderRadius: '6px',
+                    fontSize: '12px',
+                    color: '#92400e'
+                }}>
+                    ⚠ Limb leads {reversal.confidence === 'likely' ? 'look' : 'may be'} reversed ({describeReversal(reversal.reversal)}) — values may belong to another lead
+                </div>
+            )}
+
             <div className="risk-grid">
                 {/* Heart Rate */}
                 <div className="risk-item">
@@ -387,6 +374,24 @@ export default function RiskAnalysis({ leadData, sampleRate = 125 }) {
                     </div>
                 </div>
 
+                {/* PR Interval */}
+                <div className="risk-item">
+                    <div className="risk-item-label">PR Interval</div>
+                    <div className="risk-item-value" style={{ color: getStatusColor(metrics.pr.status) }}>
+                        {metrics.pr.interval}
+                        <span className="risk-item-unit">ms</span>
+                    </div>
+                    <div className="risk-status" style={{
+                        background: getStatusBg(metrics.pr.status),
+                        color: getStatusColor(metrics.pr.status)
+                    }}>
+                        {metrics.pr.status === 'normal' ? '✓ Normal' :
+                            metrics.pr.status === 'warning' ? (metrics.pr.interval > 200 ? '⚠ Long' : '⚠ Short') :
+                                metrics.hr.status !== 'unknown' ? 'No P wave' : '...'
+                        }
+                    </div>
+                </div>
+
                 {/* QRS Duration */}
                 <div className="risk-item">
                     <div className="risk-item-label">QRS Duration</div>
@@ -407,7 +412,7 @@ export default function RiskAnalysis({ leadData, sampleRate = 125 }) {
 
                 {/* QTc Interval */}
                 <div className="risk-item">
-                    <div className="risk-item-label">QTc Interval</div>
+                    <div className="risk-item-label" title={describeQtcSettings(qtcSettings)}>QTc ({describeQtcFormula(qtcSettings.formula)})</div>
                     <div className="risk-item-value" style={{ color: getStatusColor(metrics.qt.status) }}>
                         {metrics.qt.qtc}
                         <span className="risk-item-unit">ms</span>
@@ -421,6 +426,16 @@ export default function RiskAnalysis({ leadData, sampleRate = 125 }) {
                                 metrics.qt.status === 'danger' ? '⚠ Prolonged' : '...'
                         }
                     </div>
+                    {metrics.qt.all && (
+                        <div style={{ marginTop: '4px', fontSize: '10px', color: '#718096' }} title={`QT ${metrics.qt.qt} ms corrected by each formula`}>
+                            {QTC_FORMULAS.map(f => `${f.label.slice(0, 3)} ${metrics.qt.all[f.value]}`).join(' · ')}
+                        </div>
+                    )}
+                    {metrics.qt.bazettHigh && (
+                        <div style={{ marginTop: '2px', fontSize: '10px', color: '#b45309' }}>
+                            Bazett overcorrects above {BAZETT_MAX_BPM} bpm
+                        </div>
+                    )}
                 </div>
 
                 {/* ST Deviation */}
@@ -428,7 +443,7 @@ export default function RiskAnalysis({ leadData, sampleRate = 125 }) {
                     <div className="risk-item-label">ST Deviation</div>
                     <div className="risk-item-value" style={{ color: getStatusColor(metrics.st.status) }}>
                         {metrics.st.deviation}
-                        <span className="risk-item-unit">mm</span>
+                        <span className="risk-item-unit">{calibrated ? 'mm' : 'mm*'}</span>
                     </div>
                     <div className="risk-status" style={{
                         background: getStatusBg(metrics.st.status),
@@ -436,7 +451,25 @@ export default function RiskAnalysis({ leadData, sampleRate = 125 }) {
                     }}>
                         {metrics.st.status === 'normal' ? '✓ Normal' :
                             metrics.st.status === 'warning' ? '⚠ Deviation' :
-                                metrics.st.status === 'danger' ? '⚠ Significant' : '...'
+                                metrics.st.status === 'danger' ? '⚠ Significant' :
+                                    metrics.st.status === 'normalised' ? '* Not in mV' : '...'
+                        }
+                    </div>
+                </div>
+
+                {/* Ectopic Beats */}
+                <div className="risk-item">
+                    <div className="risk-item-label">Ectopic Beats</div>
+                    <div className="risk-item-value" style={{ color: getStatusColor(metrics.ectopy.status) }}>
+                        {metrics.ectopy.ectopic}
+                        {metrics.ectopy.counts && <span className="risk-item-unit">/ {metrics.ectopy.counts.N + metrics.ectopy.counts.S + metrics.ectopy.counts.V + metrics.ectopy.counts.Q}</span>}
+                    </div>
+                    <div className="risk-status" style={{
+                        background: getStatusBg(metrics.ectopy.status),
+                        color: getStatusColor(metrics.ectopy.status)
+                    }}>
+                        {metrics.ectopy.status === 'normal' ? '✓ None' :
+                            metrics.ectopy.counts ? `⚠ ${metrics.ectopy.counts.V} V · ${metrics.ectopy.counts.S} S` : '...'
                         }
                     </div>
                 </div>
@@ -460,7 +493,9 @@ export default function RiskAnalysis({ leadData, sampleRate = 125 }) {
                 <span className={`risk-score-value ${metrics.risk.level}`}>
                     {metrics.risk.level === 'low' ? '● LOW RISK' :
                         metrics.risk.level === 'medium' ? '● MODERATE' :
-                            metrics.risk.level === 'high' ? '● HIGH RISK' : 'ANALYZING...'}
+                            metrics.risk.level === 'high' ? '● HIGH RISK' :
+                                qualityLevel === 'poor' ? 'WITHHELD' : 'ANALYZING...'}
+                    {qualityLevel === 'fair' && metrics.risk.level !== 'unknown' && ' (low quality)'}
                 </span>
             </div>
 